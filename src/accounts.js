@@ -0,0 +1,77 @@
+// src/accounts.js - named IBHS accounts from secrets, and keeping their credentials out of output
+
+export const DEFAULT_ACCOUNT = 'default';
+
+// Aliases end up in key-value store keys and file names
+const ALIAS_PATTERN = /^[a-z0-9][a-z0-9_-]{0,39}$/i;
+
+const REDACTED = '[redacted]';
+
+/**
+ * The account registry, from the environment (Apify secrets) only - never from input:
+ *
+ *   IBHS_ACCOUNTS                    {"acme": {"username": "...", "password": "..."}, ...}
+ *   IBHS_USERNAME / IBHS_PASSWORD    the "default" account
+ *
+ * Returns a Map alias → { alias, username, password }. Error messages name aliases, never
+ * credentials (a JSON.parse message would quote the secret, so it is not passed on).
+ */
+export function loadAccounts(env = process.env) {
+  const accounts = new Map();
+
+  if (env.IBHS_ACCOUNTS) {
+    let registry;
+    try {
+      registry = JSON.parse(env.IBHS_ACCOUNTS);
+    } catch {
+      throw new Error('IBHS_ACCOUNTS is not valid JSON - expected {"<alias>": {"username": "...", "password": "..."}}');
+    }
+    if (!registry || typeof registry !== 'object' || Array.isArray(registry)) {
+      throw new Error('IBHS_ACCOUNTS must be an object of {"<alias>": {"username", "password"}}');
+    }
+    for (const [alias, entry] of Object.entries(registry)) {
+      if (!ALIAS_PATTERN.test(alias)) {
+        throw new Error(`IBHS_ACCOUNTS: alias "${alias}" may only use letters, digits, "-" and "_" (up to 40)`);
+      }
+      if (typeof entry?.username !== 'string' || !entry.username || typeof entry?.password !== 'string' || !entry.password) {
+        throw new Error(`IBHS_ACCOUNTS: account "${alias}" needs a "username" and a "password"`);
+      }
+      accounts.set(alias, { alias, username: entry.username, password: entry.password });
+    }
+  }
+
+  if (env.IBHS_USERNAME && env.IBHS_PASSWORD && !accounts.has(DEFAULT_ACCOUNT)) {
+    accounts.set(DEFAULT_ACCOUNT, { alias: DEFAULT_ACCOUNT, username: env.IBHS_USERNAME, password: env.IBHS_PASSWORD });
+  }
+
+  return accounts;
+}
+
+/**
+ * The alias items use when they do not name one: the `account` input, else "default",
+ * else the only registered account. Null when several are registered and none is picked.
+ */
+export function defaultAccountAlias(accounts, requested) {
+  if (requested) {
+    if (!accounts.has(requested)) throw new Error(unknownAccount(accounts, requested));
+    return requested;
+  }
+  if (accounts.has(DEFAULT_ACCOUNT)) return DEFAULT_ACCOUNT;
+  return accounts.size === 1 ? [...accounts.keys()][0] : null;
+}
+
+export const unknownAccount = (accounts, alias) =>
+  `Unknown account "${alias}" (registered: ${[...accounts.keys()].join(', ') || 'none'})`;
+
+/**
+ * `text` with every registered username and password replaced by [redacted].
+ */
+export function redactCredentials(text, accounts) {
+  let out = String(text);
+  for (const { username, password } of accounts.values()) {
+    for (const secret of [password, username]) {
+      if (secret) out = out.split(secret).join(REDACTED);
+    }
+  }
+  return out;
+}
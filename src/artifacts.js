@@ -0,0 +1,177 @@
+// src/artifacts.js - screenshots and other debugging artifacts saved to the key-value store
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { Actor, log } from 'apify';
+import { sanitizeFileName, kvSafeKey, recordUrl } from './utils.js';
+import { isFailedStatus } from './schema.js';
+
+// ==================== SCREENSHOT CAPTURE ====================
+
+export async function captureAndSaveScreenshot(page, address, stage = 'final') {
+  try {
+    const timestamp = Date.now();
+    const safeName = sanitizeFileName(address);
+    const screenshotKey = `screenshot-${safeName}-${stage}-${timestamp}.png`;
+    
+    log.info(`📸 Capturing ${stage} screenshot for: ${address}`);
+    
+    const png = await page.screenshot({ 
+      fullPage: true,
+      timeout: 30000 
+    });
+    
+    await Actor.setValue(screenshotKey, png, { contentType: 'image/png' });
+    
+    const screenshotUrl = recordUrl(screenshotKey);
+    
+    log.info(`✅ Screenshot saved: ${screenshotKey}`);
+    log.info(`🔗 Screenshot URL: ${screenshotUrl}`);
+    
+    return {
+      key: screenshotKey,
+      url: screenshotUrl,
+      timestamp: new Date().toISOString()
+    };
+  } catch (e) {
+    log.error(`❌ Screenshot capture failed: ${e.message}`);
+    return {
+      key: null,
+      url: null,
+      error: e.message,
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
+// ==================== DIAGNOSTICS BUNDLE ====================
+
+/**
+ * Zip `{ name: Buffer | string }` files into one buffer.
+ */
+export async function zipFiles(files) {
+  const { default: JSZip } = await import('jszip');
+  const zip = new JSZip();
+  for (const [name, content] of Object.entries(files)) zip.file(name, content);
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+// Headers whose values are the login itself
+const SECRET_HEADERS = ['cookie', 'set-cookie', 'authorization'];
+
+/**
+ * A HAR with cookie and authorization values blanked, then passed through `redact`.
+ */
+export function scrubHar(text, redact = (t) => t) {
+  let har;
+  try {
+    har = JSON.parse(text);
+  } catch {
+    return redact(text);
+  }
+  for (const { request, response } of har.log?.entries || []) {
+    for (const message of [request, response].filter(Boolean)) {
+      for (const header of message.headers || []) {
+        if (SECRET_HEADERS.includes(String(header.name).toLowerCase())) header.value = '[redacted]';
+      }
+      for (const cookie of message.cookies || []) cookie.value = '[redacted]';
+    }
+  }
+  return redact(JSON.stringify(har, null, 2));
+}
+
+/**
+ * A Playwright trace with `redact` applied to its text entries (the action log, where typed
+ * values end up). Screenshots under resources/ are left alone. The trace is recorded without
+ * DOM snapshots, so it holds no network data - request headers and bodies are in the HAR only.
+ */
+export async function redactTrace(buffer, redact = (t) => t) {
+  const { default: JSZip } = await import('jszip');
+  const zip = await JSZip.loadAsync(buffer);
+  for (const [name, entry] of Object.entries(zip.files)) {
+    if (entry.dir || name.startsWith('resources/')) continue;
+    zip.file(name, redact(await entry.async('string')));
+  }
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+/**
+ * Opt-in (`diagnostics: true`) recording for one address. Runs the lookup in a throwaway
+ * context cloned from the worker's session, with a Playwright trace (actions and screenshots)
+ * and a HAR, and collects console messages, page errors and failed requests.
+ * `captureFailure()` snapshots the DOM at the failing step. `finish(result)` zips everything into one `diagnostics-*.zip` record when
+ * the result failed (see isFailedStatus) and returns `{ key, url, files }`; otherwise it is
+ * all thrown away. `redact(text)` is applied to every text file (e.g. to drop credentials).
+ */
+export async function startDiagnostics(browser, sourceContext, { address, contextOptions, loginUrl, timeouts, redact = (t) => t }) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ibhs-diagnostics-'));
+  const harPath = path.join(dir, 'network.har');
+  const tracePath = path.join(dir, 'trace.zip');
+
+  const context = await browser.newContext({
+    ...contextOptions,
+    storageState: await sourceContext.storageState(),
+    recordHar: { path: harPath, content: 'omit' },
+  });
+  // No DOM snapshots: with them the trace also records every request's headers and bodies
+  // (session cookies included), which cannot be scrubbed reliably
+  await context.tracing.start({ screenshots: true, snapshots: false });
+  const page = await context.newPage();
+
+  const events = [];
+  const at = () => new Date().toISOString();
+  page.on('console', (msg) => events.push({ at: at(), type: `console.${msg.type()}`, text: msg.text(), location: msg.location() }));
+  page.on('pageerror', (err) => events.push({ at: at(), type: 'pageerror', text: err.message, stack: err.stack }));
+  page.on('requestfailed', (req) => events.push({ at: at(), type: 'requestfailed', text: `${req.method()} ${req.url()}: ${req.failure()?.errorText}` }));
+
+  await page.goto(loginUrl, { waitUntil: 'domcontentloaded', timeout: timeouts.navigation });
+
+  const snapshots = {};
+
+  return {
+    page,
+
+    async captureFailure({ step, error }) {
+      const name = `dom-${Object.keys(snapshots).length + 1}-${sanitizeFileName(step || 'unknown')}.html`;
+      const html = await page.content().catch((e) => `<!-- page.content() failed: ${e.message} -->`);
+      snapshots[name] = `<!-- ${page.url()} | failed after step "${step}" | ${String(error?.message).replace(/--/g, '- -')} -->\n${html}`;
+    },
+
+    async finish(result) {
+      const failed = isFailedStatus(result.status);
+      try {
+        await context.tracing.stop(failed ? { path: tracePath } : undefined).catch(() => {});
+        await context.close().catch(() => {});
+        if (!failed) return null;
+
+        const files = {
+          'result.json': JSON.stringify(result, null, 2),
+          'console.json': JSON.stringify(events, null, 2),
+          ...snapshots,
+        };
+        for (const name of Object.keys(files)) files[name] = redact(files[name]);
+        const har = await fs.readFile(harPath, 'utf8').catch(() => null);
+        if (har) files['network.har'] = scrubHar(har, redact);
+        const trace = await fs.readFile(tracePath).catch(() => null);
+        if (trace) {
+          // A trace that cannot be redacted is left out rather than shipped as recorded
+          const redacted = await redactTrace(trace, redact).catch((e) => {
+            log.warning(`⚠️ Leaving the trace out of the diagnostics bundle: ${e.message}`);
+            return null;
+          });
+          if (redacted) files['trace.zip'] = redacted;
+        }
+
+        const key = kvSafeKey(`diagnostics-${sanitizeFileName(address)}-${Date.now()}.zip`);
+        await Actor.setValue(key, await zipFiles(files), { contentType: 'application/zip' });
+        log.info(`🧰 Diagnostics saved: ${key} (${Object.keys(files).join(', ')})`);
+        return { key, url: recordUrl(key), files: Object.keys(files) };
+      } catch (e) {
+        log.warning(`⚠️ Diagnostics bundle failed: ${e.message}`);
+        return { key: null, url: null, files: [], error: e.message };
+      } finally {
+        await fs.rm(dir, { recursive: true, force: true }).catch(() => {});
+      }
+    },
+  };
+}
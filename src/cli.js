@@ -0,0 +1,307 @@
+#!/usr/bin/env node
+// src/cli.js - run the actor from a terminal, without the Apify platform
+//
+//   node src/cli.js fetch "513 Malaga Dr, Mobile, AL 36608" FH25016154
+//   node src/cli.js fetch --file addresses.csv --concurrency 2 --format csv > results.csv
+//   node src/cli.js report --buckets expired,within30
+//   node src/cli.js check-selectors --canary "513 Malaga Dr, Mobile, AL 36608" --fh FH25016154
+//
+// Every command runs src/main.js with local storage, so the ledger, the saved session and
+// the flow definition are the same as in `apify run`. Logs go to stderr, results to stdout.
+import { spawn } from 'child_process';
+import { existsSync, realpathSync } from 'fs';
+import fs from 'fs/promises';
+import path from 'path';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import { parseCsv, parseXlsx, rowsToItems } from './sources.js';
+import { normalizeFhNumber } from './search.js';
+import { toCsv } from './report.js';
+import { isFailedStatus } from './schema.js';
+import { loadAccounts } from './accounts.js';
+
+const MAIN_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), 'main.js');
+
+// The CLI's input lives next to INPUT, so a local INPUT.json for `apify run` is left alone
+export const CLI_INPUT_KEY = 'CLI_INPUT';
+
+export const COMMANDS = ['fetch', 'report', 'check-selectors'];
+
+const USAGE = `Usage: ibhs-certs <command> [options]
+
+Commands:
+  fetch <address|FH number...>   Look up certificates and save the PDFs
+  fetch --file addresses.csv     ... for every row of a CSV / XLSX file
+  report                         Expiration report from the ledger (no login)
+  check-selectors --canary <address> [--fh <FH number>]
+                                 Walk the portal with a known certificate and grade every selector
+
+Options:
+  --out-dir <dir>       Where fetched PDFs are saved (default ./certificates)
+  --headed              Show the browser
+  --concurrency <n>     Browser workers for fetch (default 1)
+  --account <alias>     Which IBHS_ACCOUNTS account to use (a CSV "account" column routes rows)
+  --format json|csv     Output on stdout (default json)
+  --buckets <list>      report: only these buckets, e.g. expired,within30
+  --flow <file>         Flow definition override (selectors), as for the "flow" input
+  --login-url <url>     Portal URL, e.g. the mock portal's
+  --storage-dir <dir>   Local Apify storage with the ledger and session (default ./storage)
+  --quiet               Only print the actor log when it fails
+  -h, --help
+
+Credentials come from IBHS_USERNAME / IBHS_PASSWORD and/or IBHS_ACCOUNTS, or a .env file in
+the current directory.
+`;
+
+// Columns of `fetch --format csv`; the JSON output has every field
+const FETCH_COLUMNS = ['address', 'status', 'errorCode', 'fhNumber', 'approvedAt', 'expirationDate', 'buildingAddress', 'file', 'error'];
+const CHECK_COLUMNS = ['name', 'status', 'selector', 'candidate', 'candidates', 'ms', 'detail'];
+const REPORT_COLUMNS = ['bucket', 'daysUntilExpiration', 'expirationIso', 'fhNumber', 'address', 'approvedAt', 'expirationDate'];
+
+// ==================== ARGUMENTS ====================
+
+/**
+ * argv (without node and the script) → `{ command, values, positionals }`. Throws with a
+ * message meant for the terminal on anything it does not understand.
+ */
+export function parseCli(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      file: { type: 'string' },
+      'out-dir': { type: 'string', default: 'certificates' },
+      headed: { type: 'boolean', default: false },
+      concurrency: { type: 'string', default: '1' },
+      account: { type: 'string' },
+      format: { type: 'string', default: 'json' },
+      buckets: { type: 'string' },
+      canary: { type: 'string' },
+      fh: { type: 'string' },
+      flow: { type: 'string' },
+      'login-url': { type: 'string' },
+      'storage-dir': { type: 'string', default: 'storage' },
+      quiet: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
+
+  const [command, ...rest] = positionals;
+  if (values.help || !command) return { command: 'help', values, positionals: [] };
+  if (!COMMANDS.includes(command)) throw new Error(`Unknown command "${command}" (expected ${COMMANDS.join(', ')})`);
+  if (!['json', 'csv'].includes(values.format)) throw new Error(`--format must be json or csv, not "${values.format}"`);
+
+  const concurrency = Number(values.concurrency);
+  if (!Number.isInteger(concurrency) || concurrency < 1) throw new Error('--concurrency must be a whole number of at least 1');
+  values.concurrency = concurrency;
+
+  if (command === 'fetch' && !rest.length && !values.file) throw new Error('fetch needs addresses / FH numbers or --file');
+  if (command === 'check-selectors' && !values.canary && !values.fh) throw new Error('check-selectors needs --canary (and optionally --fh)');
+  if (values.fh && !normalizeFhNumber(values.fh)) throw new Error(`--fh "${values.fh}" is not an FH/FEH number`);
+
+  return { command, values, positionals: rest };
+}
+
+/**
+ * A bare FH number on the command line is looked up by FH number; anything else is an address.
+ */
+export function itemFromArgument(value) {
+  const text = String(value).trim();
+  const fh = normalizeFhNumber(text);
+  return fh && text.replace(/[\s:-]/g, '').toUpperCase() === fh ? { fhNumber: fh } : text;
+}
+
+/**
+ * CSV / XLSX rows → input items, with the extra columns as tags (e.g. `client`).
+ */
+export async function readAddressFile(file) {
+  const buffer = await fs.readFile(file);
+  const rows = /\.xlsx$/i.test(file) ? await parseXlsx(buffer) : parseCsv(buffer.toString('utf8'));
+  return rowsToItems(rows).map(({ fields, tags }) => ({ ...tags, ...fields }));
+}
+
+/**
+ * The actor input for a command. Credentials are not part of it - they reach the actor
+ * through its environment.
+ */
+export function buildInput(command, values, items = [], flow = undefined) {
+  const common = {
+    ...(values['login-url'] && { loginUrl: values['login-url'] }),
+    ...(flow && { flow }),
+    ...(values.account && { account: values.account }),
+    headed: values.headed,
+  };
+
+  if (command === 'report') {
+    return {
+      mode: 'expirationReport',
+      ...(values.buckets && { includeBuckets: values.buckets.split(',').map((b) => b.trim()).filter(Boolean) }),
+    };
+  }
+
+  if (command === 'check-selectors') {
+    const canary = values.canary && values.fh
+      ? { address: values.canary, fhNumber: values.fh }
+      : values.canary || { fhNumber: values.fh };
+    return { ...common, mode: 'healthCheck', canary, failOnBroken: true };
+  }
+
+  return {
+    ...common,
+    addresses: items,
+    maxAddressesPerRun: items.length,
+    concurrency: values.concurrency,
+    // An explicit request is looked up again even when the ledger has it
+    forceRefresh: 'all',
+    storage: [{ type: 'local', directory: path.resolve(values['out-dir']) }],
+  };
+}
+
+// ==================== OUTPUT ====================
+
+/**
+ * fetch results for the terminal: `file` is where the PDF was saved locally, if anywhere.
+ */
+export function fetchRows(items) {
+  return items.map((item) => ({
+    ...item,
+    file: item.storage?.find((s) => s.type === 'local' && !s.error)?.path || null,
+  }));
+}
+
+export function formatOutput(rows, format, columns) {
+  return format === 'csv' ? toCsv(rows, columns) : `${JSON.stringify(rows, null, 2)}\n`;
+}
+
+// ==================== RUNNING THE ACTOR ====================
+
+function loadDotEnv(file = path.resolve('.env')) {
+  // Variables already set in the environment win over the file
+  if (existsSync(file)) process.loadEnvFile(file);
+}
+
+const datasetFiles = async (storageDir) => (await fs.readdir(path.join(storageDir, 'datasets', 'default')).catch(() => []))
+  .filter((f) => f.endsWith('.json'))
+  .sort();
+
+async function readKvJson(storageDir, key) {
+  const file = path.join(storageDir, 'key_value_stores', 'default', `${key}.json`);
+  return fs.readFile(file, 'utf8').then(JSON.parse).catch(() => null);
+}
+
+/**
+ * Run src/main.js against `storageDir` with `input`. Resolves to the exit code and the
+ * dataset items this run added (older runs' items stay in the same dataset).
+ */
+async function runActor(storageDir, input, { quiet = false } = {}) {
+  const kvDir = path.join(storageDir, 'key_value_stores', 'default');
+  await fs.mkdir(kvDir, { recursive: true });
+  await fs.writeFile(path.join(kvDir, `${CLI_INPUT_KEY}.json`), JSON.stringify(input, null, 2));
+  const before = (await datasetFiles(storageDir)).length;
+
+  const env = {
+    ...process.env,
+    ACTOR_INPUT_KEY: CLI_INPUT_KEY,
+    CRAWLEE_STORAGE_DIR: storageDir,
+    APIFY_LOCAL_STORAGE_DIR: storageDir,
+    CRAWLEE_PURGE_ON_START: '0',
+    APIFY_PURGE_ON_START: '0',
+  };
+
+  const exitCode = await new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [MAIN_PATH], { env, stdio: ['ignore', quiet ? 'pipe' : 2, quiet ? 'pipe' : 2] });
+    let log = '';
+    child.stdout?.on('data', (d) => { log += d; });
+    child.stderr?.on('data', (d) => { log += d; });
+    child.on('error', reject);
+    child.on('close', (code) => {
+      if (code !== 0 && quiet) process.stderr.write(log);
+      resolve(code);
+    });
+  });
+
+  const items = [];
+  for (const f of (await datasetFiles(storageDir)).slice(before)) {
+    items.push(JSON.parse(await fs.readFile(path.join(storageDir, 'datasets', 'default', f), 'utf8')));
+  }
+  return { exitCode, items };
+}
+
+/**
+ * Exit codes: 0 all good, 1 some lookups failed or a selector is broken, 2 bad usage or
+ * the actor itself failed.
+ */
+export async function main(argv = process.argv.slice(2)) {
+  let cli;
+  try {
+    cli = parseCli(argv);
+  } catch (error) {
+    process.stderr.write(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+  const { command, values, positionals } = cli;
+  if (command === 'help') {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+
+  loadDotEnv();
+  if (command !== 'report') {
+    let accounts;
+    try {
+      accounts = loadAccounts();
+    } catch (error) {
+      process.stderr.write(`${error.message}\n`);
+      return 2;
+    }
+    if (!accounts.size) {
+      process.stderr.write('Set IBHS_USERNAME and IBHS_PASSWORD (or IBHS_ACCOUNTS) in the environment or in a .env file\n');
+      return 2;
+    }
+  }
+
+  let items;
+  let flow;
+  try {
+    items = command === 'fetch'
+      ? [...positionals.map(itemFromArgument), ...(values.file ? await readAddressFile(values.file) : [])]
+      : [];
+    flow = values.flow ? JSON.parse(await fs.readFile(values.flow, 'utf8')) : undefined;
+  } catch (error) {
+    process.stderr.write(`${error.message}\n`);
+    return 2;
+  }
+  const storageDir = path.resolve(values['storage-dir']);
+
+  const started = Date.now();
+  const { exitCode, items: results } = await runActor(storageDir, buildInput(command, values, items, flow), { quiet: values.quiet });
+
+  if (command === 'report') {
+    const report = await readKvJson(storageDir, 'EXPIRATION_REPORT');
+    if (exitCode !== 0 || !report) return 2;
+    process.stdout.write(formatOutput(report.rows, values.format, REPORT_COLUMNS));
+    return 0;
+  }
+
+  if (command === 'check-selectors') {
+    // A failed login still writes a report; anything older is from a previous run
+    const report = await readKvJson(storageDir, 'HEALTH_CHECK');
+    if (!report || Date.parse(report.checkedAt) < started - 1000) return 2;
+    process.stdout.write(values.format === 'csv' ? toCsv(report.checks, CHECK_COLUMNS) : `${JSON.stringify(report, null, 2)}\n`);
+    return report.ok ? 0 : 1;
+  }
+
+  process.stdout.write(formatOutput(fetchRows(results), values.format, FETCH_COLUMNS));
+  if (exitCode !== 0) return 2;
+  return results.length < items.length || results.some((r) => isFailedStatus(r.status)) ? 1 : 0;
+}
+
+// Run when called as a script (or through the package bin), not when imported by tests
+if (process.argv[1] && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main()
+    .then((code) => { process.exitCode = code; })
+    .catch((error) => {
+      process.stderr.write(`${error.stack || error.message}\n`);
+      process.exitCode = 2;
+    });
+}
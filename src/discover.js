@@ -0,0 +1,200 @@
+// src/discover.js - walk the portal's evaluation listings into a certificate inventory
+import { Actor, log } from 'apify';
+import { normalizeAddress, toDateKey } from './normalize.js';
+import { normalizeFhNumber } from './search.js';
+import { settleNetwork, waitForRowsChange } from './waits.js';
+
+export const INVENTORY_KEY = 'CERTIFICATE_INVENTORY';
+
+const ROW_SELECTOR = 'table tbody tr, [role="row"]:has([role="cell"], [role="gridcell"])';
+const NEXT_SELECTOR = [
+  'button[aria-label*="next" i]',
+  'a[aria-label*="next" i]',
+  '[role="button"][aria-label*="next" i]',
+  'button:text-matches("^\\\\s*(Next|›|»)\\\\s*$", "i")',
+  'a:text-matches("^\\\\s*(Next|›|»)\\\\s*$", "i")',
+].join(', ');
+const LISTING_LINK = /^\s*(My\s+)?(Evaluations|Certificates)\s*$/i;
+
+/**
+ * Header → field rules for listing columns. Unlike the dialog labels these are loose:
+ * listings abbreviate ("Exp.", "FH #") and the columns are the only structure there is.
+ */
+const LISTING_COLUMNS = [
+  { field: 'fhNumber', header: /^(fe?h|fortified|certificate)\s*(#|no\.?|num(ber)?|id)?$/i },
+  { field: 'evaluationId', header: /^evaluation\s*(#|no\.?|num(ber)?|id)?$/i },
+  { field: 'address', header: /address|property|location/i },
+  { field: 'ownerName', header: /owner/i },
+  { field: 'status', header: /status/i },
+  { field: 'approvedAt', header: /approv/i },
+  { field: 'expirationDate', header: /^exp/i },
+];
+
+const LISTING_FIELDS = LISTING_COLUMNS.map((c) => c.field);
+
+// ==================== ROW PARSING ====================
+
+/**
+ * Runs inside the browser: headers and cell texts of the biggest table or ARIA grid
+ * outside any dialog.
+ */
+function collectListingInPage() {
+  const clean = (s) => (s || '').replace(/\s+/g, ' ').trim();
+  let best = { headers: [], rows: [] };
+
+  for (const grid of document.querySelectorAll('table, [role="grid"], [role="table"]')) {
+    if (grid.closest('[role="dialog"]')) continue;
+
+    let headers;
+    let rows;
+    if (grid.tagName === 'TABLE') {
+      headers = [...grid.querySelectorAll('thead th, thead td')].map((c) => clean(c.textContent));
+      rows = [...(grid.tBodies[0]?.rows || [])].map((tr) => [...tr.cells].map((c) => clean(c.textContent)));
+    } else {
+      headers = [...grid.querySelectorAll('[role="columnheader"]')].map((c) => clean(c.textContent));
+      rows = [...grid.querySelectorAll('[role="row"]')]
+        .filter((r) => !r.querySelector('[role="columnheader"]'))
+        .map((r) => [...r.querySelectorAll('[role="cell"], [role="gridcell"]')].map((c) => clean(c.textContent)));
+    }
+
+    if (rows.length > best.rows.length) best = { headers, rows };
+  }
+
+  return best;
+}
+
+/**
+ * One listing row → `{ fhNumber, evaluationId, address, ownerName, status, approvedAt, expirationDate }`
+ * using the column headers, with an FH number regex over the whole row as fallback.
+ * Returns null for rows with nothing usable (spacers, "Loading..." rows).
+ */
+export function parseListingRow(headers, cells) {
+  const entry = Object.fromEntries(LISTING_FIELDS.map((f) => [f, null]));
+
+  headers.forEach((header, i) => {
+    const rule = LISTING_COLUMNS.find((c) => c.header.test(header));
+    if (rule && !entry[rule.field] && cells[i]) entry[rule.field] = cells[i];
+  });
+
+  entry.fhNumber = normalizeFhNumber(entry.fhNumber || cells.join(' '));
+  for (const field of ['approvedAt', 'expirationDate']) {
+    if (entry[field]) entry[field] = toDateKey(entry[field]) || entry[field];
+  }
+
+  return entry.fhNumber || entry.evaluationId || entry.address ? entry : null;
+}
+
+// Same certificate seen on two pages (or twice while scrolling) is kept once
+export const listingKey = (entry) =>
+  entry.fhNumber || (entry.evaluationId && `eval:${entry.evaluationId}`) || normalizeAddress(entry.address);
+
+// ==================== LISTING WALK ====================
+
+async function rowSignature(page) {
+  const rows = page.locator(ROW_SELECTOR);
+  return {
+    count: await rows.count(),
+    first: ((await rows.first().textContent().catch(() => '')) || '').trim(),
+  };
+}
+
+/**
+ * Walk every page of the listing on an already logged-in page. Handles both "Next"
+ * pagination and infinite scroll: each round first scrolls to the last row, and only
+ * when no more rows load does it look for an enabled Next control. Stops after
+ * `maxPages` rounds. Returns `{ certificates, pages }`.
+ */
+export async function discoverCertificates(page, { loginUrl, listingUrl, maxPages = 50, throttle, timeouts }) {
+  await throttle();
+  log.info(`🗂️ Opening certificate listing: ${listingUrl || loginUrl}`);
+  await page.goto(listingUrl || loginUrl, { waitUntil: 'domcontentloaded', timeout: timeouts.navigation });
+
+  // Without an explicit URL, the dashboard may need a click through to the listing
+  if (!listingUrl) {
+    const link = page.getByText(LISTING_LINK).first();
+    const hasLink = await link.waitFor({ state: 'visible', timeout: timeouts.networkIdle })
+      .then(() => true)
+      .catch(() => false);
+    if (hasLink) await link.click();
+  }
+
+  const ready = await page.locator(ROW_SELECTOR).first()
+    .waitFor({ state: 'visible', timeout: timeouts.element })
+    .then(() => true)
+    .catch(() => false);
+  if (!ready) {
+    throw new Error('No certificate listing found - set "listingUrl" to the portal page that lists evaluations');
+  }
+
+  const seen = new Map();
+  let pages = 0;
+  let paging = null;
+
+  for (;;) {
+    await settleNetwork(page, timeouts);
+    pages++;
+
+    const { headers, rows } = await page.evaluate(collectListingInPage);
+    let added = 0;
+    for (const cells of rows) {
+      const entry = parseListingRow(headers, cells);
+      const key = entry && listingKey(entry);
+      if (key && !seen.has(key)) {
+        seen.set(key, entry);
+        added++;
+      }
+    }
+    log.info(`📄 Listing round ${pages}: ${rows.length} row(s), ${added} new, ${seen.size} total`);
+
+    // A round that added nothing means the page did not really change
+    if (pages > 1 && !added) break;
+    if (pages >= maxPages) {
+      log.warning(`⚠️ Stopped after maxListingPages (${maxPages}) - the listing may continue`);
+      break;
+    }
+
+    const before = await rowSignature(page);
+    await throttle();
+
+    if (paging !== 'pages') {
+      await page.locator(ROW_SELECTOR).last().scrollIntoViewIfNeeded().catch(() => {});
+      await page.mouse.wheel(0, 5000).catch(() => {});
+      if (await waitForRowsChange(page, ROW_SELECTOR, before, { timeout: timeouts.networkIdle })) {
+        paging = 'scroll';
+        continue;
+      }
+      if (paging === 'scroll') break;
+    }
+
+    const next = page.locator(NEXT_SELECTOR).first();
+    const nextUsable = await next.isVisible().catch(() => false)
+      && await next.isEnabled().catch(() => false)
+      && (await next.getAttribute('aria-disabled').catch(() => null)) !== 'true';
+    if (!nextUsable) break;
+
+    paging = 'pages';
+    await next.click();
+    if (!(await waitForRowsChange(page, ROW_SELECTOR, before, { timeout: timeouts.element }))) break;
+  }
+
+  return { certificates: [...seen.values()], pages };
+}
+
+/**
+ * Save the inventory as the CERTIFICATE_INVENTORY record.
+ */
+export async function saveInventory(certificates, { pages }) {
+  const inventory = {
+    discoveredAt: new Date().toISOString(),
+    pages,
+    total: certificates.length,
+    byStatus: certificates.reduce((acc, c) => {
+      const status = c.status || 'unknown';
+      acc[status] = (acc[status] || 0) + 1;
+      return acc;
+    }, {}),
+    certificates,
+  };
+  await Actor.setValue(INVENTORY_KEY, inventory);
+  return inventory;
+}
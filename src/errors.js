@@ -0,0 +1,43 @@
+// src/errors.js - errors that carry a result status for the dataset item
+
+/**
+ * Thrown from a processing step to end the address with one of the RESULT_STATUSES
+ * (schema.js), e.g. `ambiguous_match`. Any extra `details` (usually `errorCode`) are
+ * merged onto the dataset result.
+ */
+export class StepError extends Error {
+  constructor(message, status = 'timeout', details = {}) {
+    super(message);
+    this.name = 'StepError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Login failures. Every one ends the address as `login_failed`; `code` says why:
+ * bad_credentials, mfa_required, account_locked or login_timeout.
+ */
+export class LoginError extends StepError {
+  constructor(message, code = 'login_timeout') {
+    super(message, 'login_failed', { errorCode: code });
+    this.name = 'LoginError';
+    this.code = code;
+  }
+}
+
+// Codes that logging in again will not fix within this run
+export const FATAL_LOGIN_CODES = ['bad_credentials', 'mfa_required', 'account_locked'];
+
+// Playwright's messages for a page, context or browser that went away mid-step
+const CLOSED_PATTERN = /has been closed|Target closed|Page crashed|browser has disconnected/i;
+
+/**
+ * `errorCode` for an error that no step turned into a StepError: `element_timeout` for a
+ * Playwright timeout, `browser_crashed` when the page or browser died, else `page_error`.
+ */
+export function unexpectedErrorCode(error) {
+  if (error?.name === 'TimeoutError') return 'element_timeout';
+  if (CLOSED_PATTERN.test(error?.message || '')) return 'browser_crashed';
+  return 'page_error';
+}
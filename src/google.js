@@ -0,0 +1,20 @@
+// src/google.js - service-account auth shared by the Drive and Sheets integrations
+import { google } from 'googleapis';
+
+export function hasGoogleCredentials() {
+  return Boolean(process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL && process.env.GOOGLE_SERVICE_ACCOUNT_KEY);
+}
+
+/**
+ * Authorized JWT client for GOOGLE_SERVICE_ACCOUNT_EMAIL / GOOGLE_SERVICE_ACCOUNT_KEY
+ * (the key may use `\n` escapes, as Apify env vars usually do).
+ */
+export async function googleAuth(scopes) {
+  const jwt = new google.auth.JWT({
+    email: process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL,
+    key: process.env.GOOGLE_SERVICE_ACCOUNT_KEY.replace(/\\n/g, '\n'),
+    scopes,
+  });
+  await jwt.authorize();
+  return jwt;
+}
@@ -0,0 +1,241 @@
+// src/health.js - selector canary: walk the lookup flow for one known address without downloading
+import { Actor, log } from 'apify';
+import { jitter } from './utils.js';
+import { pickOption, checkDialogMatches, lookupLabel } from './search.js';
+import { extractCertificateDataFromPopup } from './popup.js';
+import { captureAndSaveScreenshot } from './artifacts.js';
+import { DEFAULT_FLOW, findSelector, selectorsFor } from './selectors.js';
+import { settleNetwork, waitForDropdown, waitForCertificateDialog } from './waits.js';
+
+export const HEALTH_CHECK_KEY = 'HEALTH_CHECK';
+
+// Dialog fields the dataset depends on; a regex hit means the labelled markup is gone
+const REQUIRED_FIELDS = ['fhNumber', 'expirationDate', 'buildingAddress'];
+
+const STEP_NAMES = ['newEvaluation', 'redesignation', 'searchField', 'dropdownItems', 'dialog', 'downloadButton', 'closeButton'];
+
+// ==================== REPORT ====================
+
+// Report line for a check that isn't a selector (option match, dialog fields, errors)
+const plainCheck = (name, status, detail = null) => ({
+  name, status, selector: null, candidate: null, candidates: null, ms: null, detail,
+});
+
+/**
+ * One report line from a `findSelector` result (or the selector that matched) for flow
+ * step `name`: `matched` on the primary candidate, `fallback` on a later one, `broken`
+ * when none matched.
+ */
+export function selectorCheck(flow, name, found, { detail = null } = {}) {
+  const candidates = selectorsFor(flow, name);
+  const selector = typeof found === 'string' ? found : found?.selector;
+  const index = selector ? candidates.indexOf(selector) : -1;
+  return {
+    name,
+    status: index < 0 ? 'broken' : index === 0 ? 'matched' : 'fallback',
+    selector: selector || null,
+    candidate: index < 0 ? null : index,
+    candidates: candidates.length,
+    ms: null,
+    detail,
+  };
+}
+
+/**
+ * Dialog field check from the popup sources: structural sources (definition list, table,
+ * form, label) are `matched`, a regex over the dialog text is `fallback`, missing is `broken`.
+ */
+export function fieldCheck(field, popupData) {
+  const value = popupData?.[field];
+  const source = popupData?.sources?.[field] || null;
+  return plainCheck(
+    `field:${field}`,
+    !value ? 'broken' : source === 'regex' ? 'fallback' : 'matched',
+    value ? `${value} (${source})` : 'not found in dialog',
+  );
+}
+
+/**
+ * Totals per status; `ok` is false when anything is broken or was skipped because an
+ * earlier step broke.
+ */
+export function summarizeChecks(checks) {
+  const counts = { matched: 0, fallback: 0, broken: 0, skipped: 0 };
+  for (const c of checks) counts[c.status] = (counts[c.status] || 0) + 1;
+  return { ok: counts.broken === 0 && counts.skipped === 0, counts };
+}
+
+function buildReport(lookup, checks, started, flow) {
+  const { ok, counts } = summarizeChecks(checks);
+  return {
+    checkedAt: new Date(started).toISOString(),
+    flowVersion: flow.version,
+    canary: { type: lookup.type, value: lookup.value, ...(lookup.fhNumber && { fhNumber: lookup.fhNumber }) },
+    ok,
+    counts,
+    durationMs: Date.now() - started,
+    checks,
+    screenshot: null,
+  };
+}
+
+/**
+ * Report for a run that could not log in: login broken, every portal step skipped.
+ */
+export function loginFailureReport(lookup, error, { started = Date.now(), flow = DEFAULT_FLOW } = {}) {
+  return buildReport(lookup, [
+    plainCheck('login', 'broken', `${error.code || 'error'}: ${error.message}`),
+    ...STEP_NAMES.map((name) => plainCheck(name, 'skipped')),
+  ], started, flow);
+}
+
+// ==================== CANARY WALK ====================
+
+/**
+ * Walk New Evaluation → Redesignation → search → dropdown → certificate dialog for the
+ * canary lookup on an already logged-in page, recording which candidate every selector
+ * matched. The Download button is looked for but never clicked. Steps after the first
+ * broken one are reported as `skipped`. `login` ({ reused, ms, selectors }) is how the run
+ * got its session; a fresh login also grades the login form selectors it used. The page is
+ * sent back to `loginUrl` afterwards.
+ */
+export async function runHealthCheck(page, lookup, { loginUrl, login, flow = DEFAULT_FLOW, matchThreshold = 0.75, matchMargin = 0.1, throttle, timeouts }) {
+  const checks = [{ ...plainCheck('login', 'matched', login.reused ? 'saved session reused' : 'logged in'), ms: login.ms }];
+  for (const [name, selector] of Object.entries(login.selectors || {})) {
+    // No submit button is fine - the form is submitted with Enter
+    checks.push(selector || name !== 'loginSubmit'
+      ? selectorCheck(flow, name, selector)
+      : plainCheck(name, 'fallback', 'no submit button - pressed Enter'));
+  }
+  const started = Date.now();
+  let stepStarted = started;
+
+  const record = (check) => {
+    check.ms ??= Date.now() - stepStarted;
+    stepStarted = Date.now();
+    checks.push(check);
+    const icon = { matched: '✅', fallback: '⚠️', broken: '❌' }[check.status] || '⏭️';
+    log.info(`${icon} ${check.name}: ${check.status}${check.selector ? ` (${check.selector})` : ''}${check.detail ? ` - ${check.detail}` : ''}`);
+    return check.status !== 'broken';
+  };
+
+  let dialogSelector = null;
+  const find = async (name, timeout) => {
+    const found = await findSelector(page, flow, name, { timeout });
+    record(selectorCheck(flow, name, found));
+    return found;
+  };
+
+  // Each step returns false to stop the walk; everything not reached is reported as skipped
+  const steps = [
+    async () => {
+      await throttle();
+      const found = await find('newEvaluation', timeouts.element);
+      await found?.locator.click();
+      return Boolean(found);
+    },
+    async () => {
+      const found = await find('redesignation', timeouts.element);
+      await found?.locator.click();
+      return Boolean(found);
+    },
+    async () => {
+      await throttle();
+      const search = await find('searchField', timeouts.element);
+      if (!search) return false;
+
+      await search.locator.click();
+      await search.locator.press('Control+A');
+      await search.locator.press('Backspace');
+      for (const char of lookup.value) {
+        await search.locator.type(char, { delay: jitter(80, 60) });
+      }
+      return true;
+    },
+    async () => {
+      await settleNetwork(page, timeouts);
+      const selector = await waitForDropdown(page, selectorsFor(flow, 'dropdownItems'), { timeout: timeouts.dropdown });
+      const options = selector ? await page.locator(selector).all() : [];
+      if (!record(selectorCheck(flow, 'dropdownItems', selector, { detail: `${options.length} option(s)` }))) return false;
+
+      const texts = [];
+      for (const item of options) texts.push((await item.textContent().catch(() => '')) || '');
+      const match = pickOption(lookup, texts, { threshold: matchThreshold, margin: matchMargin });
+      if (match.ambiguous) {
+        record(plainCheck('canaryMatch', 'broken', match.reason));
+        return false;
+      }
+      record(plainCheck('canaryMatch', 'matched', `${match.best.text} (${match.best.score})`));
+
+      await throttle();
+      await options[match.best.index].click();
+      return true;
+    },
+    async () => {
+      const dialog = await waitForCertificateDialog(page, { timeout: timeouts.dialog, selectors: selectorsFor(flow, 'dialog') });
+      if (!record(selectorCheck(flow, 'dialog', dialog.selector))) return false;
+      dialogSelector = dialog.selector;
+      if (!dialog.loaded) log.warning('⚠️ Dialog opened but no FH number appeared');
+
+      const popupData = await extractCertificateDataFromPopup(page, `health-check-${lookupLabel(lookup)}`, {
+        timeout: timeouts.dialog,
+        dialogSelector,
+      });
+      for (const field of REQUIRED_FIELDS) record(fieldCheck(field, popupData));
+
+      const wrongCertificate = checkDialogMatches(lookup, popupData);
+      if (wrongCertificate) {
+        record(plainCheck('canaryCertificate', 'broken', wrongCertificate));
+      }
+      return true;
+    },
+    // Present is enough - the canary never downloads, and the dialog still gets closed
+    async () => {
+      await find('downloadButton', timeouts.element);
+      return true;
+    },
+    async () => {
+      const close = await find('closeButton', timeouts.element);
+      if (!close) return false;
+      await close.locator.click();
+      await page.locator(dialogSelector).first().waitFor({ state: 'hidden', timeout: timeouts.element }).catch(() => {});
+      return true;
+    },
+  ];
+
+  let reached = 0;
+  try {
+    for (; reached < steps.length; reached++) {
+      if (!(await steps[reached]())) break;
+    }
+  } catch (error) {
+    log.error(`❌ Health check stopped at ${STEP_NAMES[reached]}: ${error.message}`);
+    record(plainCheck(STEP_NAMES[reached], 'broken', error.message));
+  }
+
+  // Anything after the step that broke could not be checked
+  for (const name of STEP_NAMES.slice(reached + 1)) {
+    if (!checks.some((c) => c.name === name)) {
+      checks.push(plainCheck(name, 'skipped'));
+    }
+  }
+
+  const report = buildReport(lookup, checks, started, flow);
+  if (!report.ok) {
+    const shot = await captureAndSaveScreenshot(page, `health-check-${lookupLabel(lookup)}`, 'broken');
+    report.screenshot = shot.url;
+  }
+
+  await throttle();
+  await page.goto(loginUrl, { waitUntil: 'domcontentloaded', timeout: timeouts.navigation }).catch(() => {});
+
+  return report;
+}
+
+/**
+ * Save the report as the HEALTH_CHECK record. It stays out of the dataset, which only
+ * holds lookup results (RESULT_SCHEMA).
+ */
+export async function saveHealthReport(report) {
+  await Actor.setValue(HEALTH_CHECK_KEY, report);
+}
@@ -0,0 +1,221 @@
+// src/ledger.js - per-address job ledger with retries, backoff and re-checks
+import { Actor } from 'apify';
+import { normalizeAddress } from './normalize.js';
+import { isFailedStatus } from './schema.js';
+
+// A named store outlives the run; the run's default store is new on every platform run
+export const LEDGER_STORE = 'ibhs-ledger';
+const LEDGER_KEY = 'processed_addresses';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_BACKOFF_MS = 7 * DAY_MS;
+
+export const LEDGER_STATES = ['pending', 'completed', 'error', 'no_certificate', 'ambiguous'];
+
+/**
+ * Map a dataset result onto a ledger state. A PDF that failed verification is retried like
+ * an error; other not_found results are settled until a re-check.
+ */
+export function stateForResult(result) {
+  switch (result.status) {
+    case 'downloaded':
+      return 'completed';
+    case 'no_certificate':
+      return 'no_certificate';
+    case 'ambiguous_match':
+      return 'ambiguous';
+    case 'not_found':
+      return result.errorCode === 'verification_failed' ? 'error' : 'no_certificate';
+    default:
+      return 'error';
+  }
+}
+
+// Entries written before the ledger existed only carried { status, timestamp, ... }
+export function migrateEntry(entry) {
+  if (entry.state) return entry;
+  return {
+    state: entry.status === 'completed' ? 'completed' : 'error',
+    attempts: 1,
+    errorStreak: entry.status === 'completed' ? 0 : 1,
+    lastAttemptAt: entry.timestamp || null,
+    nextAttemptAt: null,
+    lastStatus: entry.status || null,
+    lastError: null,
+    fhNumber: entry.fhNumber || null,
+    approvedAt: entry.approvedAt || null,
+    expirationDate: entry.expirationDate || null,
+  };
+}
+
+// FH numbers and owner:/eval: keys are stored as they are; everything else is an address
+const isAddressKey = (key) => !/^FE?H\d+$/.test(key) && !/^(owner|eval):/.test(key);
+const rekeyAddress = (key) => (isAddressKey(key) && normalizeAddress(key)) || key;
+
+/**
+ * Address keys written by older versions ("513 malaga dr", units dropped) are run through
+ * the current normalizeAddress. When two old keys now agree, the most recently attempted
+ * entry is kept.
+ */
+export function migrateKeys(ledger) {
+  const migrated = {};
+  for (const [key, entry] of Object.entries(ledger)) {
+    const next = entry.aliases ? { ...entry, aliases: [...new Set(entry.aliases.map(rekeyAddress))] } : entry;
+    const newKey = rekeyAddress(key);
+    const existing = migrated[newKey];
+    if (!existing || (next.lastAttemptAt || '') > (existing.lastAttemptAt || '')) migrated[newKey] = next;
+  }
+  return migrated;
+}
+
+// ==================== STORAGE ====================
+
+export async function loadLedger() {
+  const store = await Actor.openKeyValueStore(LEDGER_STORE);
+  // Ledgers written before the named store are picked up from the default store once
+  const raw = (await store.getValue(LEDGER_KEY))
+    || (await (await Actor.openKeyValueStore()).getValue(LEDGER_KEY))
+    || {};
+  return migrateKeys(Object.fromEntries(Object.entries(raw).map(([k, v]) => [k, migrateEntry(v)])));
+}
+
+export async function saveLedger(ledger) {
+  const store = await Actor.openKeyValueStore(LEDGER_STORE);
+  await store.setValue(LEDGER_KEY, ledger);
+}
+
+// ==================== SCHEDULING ====================
+
+/**
+ * Decide whether an address should be (re)processed this run.
+ * Returns { process, reason } so the skip can be logged.
+ *
+ * Options:
+ *   forceRefresh          'all' | true | array of ledger keys (matched against aliases too)
+ *   retryFailed           retry `error` entries once their backoff has elapsed
+ *   maxAttempts           stop retrying after this many consecutive errors
+ *   recheckOlderThanDays  re-run finished entries last attempted before this age
+ */
+export function shouldProcess(entry, key, { forceRefresh, retryFailed = true, maxAttempts = 5, recheckOlderThanDays } = {}, now = Date.now()) {
+  if (!entry) return { process: true, reason: 'new' };
+
+  const forced = Array.isArray(forceRefresh) && [key, ...(entry.aliases || [])].some((k) => forceRefresh.includes(k));
+  if (forceRefresh === true || forceRefresh === 'all' || forced) {
+    return { process: true, reason: 'forced refresh' };
+  }
+
+  if (entry.state === 'pending') return { process: true, reason: 'pending' };
+
+  if (entry.state === 'error') {
+    if (!retryFailed) return { process: false, reason: 'failed earlier (retryFailed is off)' };
+    if (entry.errorStreak >= maxAttempts) return { process: false, reason: `gave up after ${entry.errorStreak} failed attempts` };
+    if (entry.nextAttemptAt && Date.parse(entry.nextAttemptAt) > now) {
+      return { process: false, reason: `backing off until ${entry.nextAttemptAt}` };
+    }
+    return { process: true, reason: `retry #${entry.errorStreak}` };
+  }
+
+  if (recheckOlderThanDays != null && entry.lastAttemptAt) {
+    const age = now - Date.parse(entry.lastAttemptAt);
+    if (age >= recheckOlderThanDays * DAY_MS) {
+      return { process: true, reason: `re-check (last ${entry.lastAttemptAt})` };
+    }
+  }
+
+  return { process: false, reason: `already ${entry.state}` };
+}
+
+export function markPending(ledger, key, address) {
+  const entry = ledger[key];
+  if (!entry) {
+    ledger[key] = {
+      state: 'pending',
+      address,
+      attempts: 0,
+      errorStreak: 0,
+      lastAttemptAt: null,
+      nextAttemptAt: null,
+      lastStatus: null,
+      lastError: null,
+      fhNumber: null,
+      approvedAt: null,
+      expirationDate: null,
+    };
+  }
+  return ledger[key];
+}
+
+/**
+ * Record the outcome of one attempt. Errors get an exponential backoff:
+ * retryBackoffMinutes, then doubled for each further consecutive failure (capped at 7 days).
+ * Certificate data from an earlier successful run is kept when the new attempt finds none.
+ */
+export function recordAttempt(ledger, key, result, { retryBackoffMinutes = 30 } = {}) {
+  const previous = ledger[key] || {};
+  const attempts = (previous.attempts || 0) + 1;
+  const state = stateForResult(result);
+  const errorStreak = state === 'error' ? (previous.errorStreak || 0) + 1 : 0;
+  const attemptedAt = result.timestamp || new Date().toISOString();
+
+  let nextAttemptAt = null;
+  if (state === 'error') {
+    const delay = Math.min(retryBackoffMinutes * 60_000 * 2 ** (errorStreak - 1), MAX_BACKOFF_MS);
+    nextAttemptAt = new Date(Date.parse(attemptedAt) + delay).toISOString();
+  }
+
+  ledger[key] = {
+    ...previous,
+    state,
+    // FH number / owner lookups only know the property address once the dialog was read
+    address: result.lookupType && result.lookupType !== 'address'
+      ? result.buildingAddress || previous.address || result.address
+      : result.address,
+    attempts,
+    errorStreak,
+    lastAttemptAt: attemptedAt,
+    nextAttemptAt,
+    lastStatus: result.status,
+    lastError: result.error || null,
+    fhNumber: result.fhNumber || previous.fhNumber || null,
+    approvedAt: result.approvedAt || previous.approvedAt || null,
+    expirationDate: result.expirationDate || previous.expirationDate || null,
+  };
+
+  return ledger[key];
+}
+
+// ==================== KEYS ====================
+
+/**
+ * The key an entry is stored under for a lookup key: itself, the FH-keyed entry that
+ * lists it as an alias, or (for an FH number) an older entry that recorded that number.
+ */
+export function resolveLedgerKey(ledger, key) {
+  if (ledger[key]) return key;
+
+  for (const [k, entry] of Object.entries(ledger)) {
+    if (entry.aliases?.includes(key) || entry.fhNumber === key) return k;
+  }
+  return key;
+}
+
+/**
+ * Once a settled lookup (see isFailedStatus) found its FH number, move the entry under that
+ * number so the property is recognized however it is looked up next time. A failed lookup's
+ * FH number may belong to another property, so its entry stays where it is. The old key is
+ * kept in `aliases`; an entry already stored under the FH number is merged. Returns the key
+ * the entry now lives under.
+ */
+export function rekeyByFhNumber(ledger, key, { status, fhNumber } = {}) {
+  if (!fhNumber || isFailedStatus(status) || key === fhNumber || !ledger[key]) return key;
+
+  const existing = ledger[fhNumber] || {};
+  const moved = ledger[key];
+  ledger[fhNumber] = {
+    ...existing,
+    ...moved,
+    aliases: [...new Set([...(existing.aliases || []), ...(moved.aliases || []), key])],
+  };
+  delete ledger[key];
+
+  return fhNumber;
+}
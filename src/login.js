@@ -0,0 +1,140 @@
+// src/login.js - IBHS portal login
+import { log } from 'apify';
+import { sleep, jitter } from './utils.js';
+import { DEFAULT_TIMEOUTS, settleNetwork } from './waits.js';
+import { LoginError } from './errors.js';
+import { DEFAULT_FLOW, findSelector } from './selectors.js';
+
+const LOCKED_TEXT = /account (is |has been )?(temporarily )?(locked|disabled|suspended)|too many (failed )?(login |sign[- ]in )?attempts/i;
+const MFA_TEXT = /verification code|authenticator app|two[- ]factor|multi[- ]factor|one[- ]time (pass)?code/i;
+const BAD_CREDENTIALS_TEXT = /invalid (email|username|user name|password|credentials|login)|incorrect (email|username|password)|wrong password/i;
+
+// ==================== PAGE STATE ====================
+
+const visible = async (page, flow, name) => Boolean(await findSelector(page, flow, name));
+
+/**
+ * What the portal is showing right now: loggedIn, loginForm, accountLocked,
+ * mfaRequired, badCredentials, or unknown while the SPA is still rendering.
+ */
+export async function readLoginState(page, flow = DEFAULT_FLOW) {
+  if (await visible(page, flow, 'newEvaluation')) return 'loggedIn';
+
+  const text = await page.locator('body').innerText().catch(() => '');
+  if (LOCKED_TEXT.test(text)) return 'accountLocked';
+  if (await visible(page, flow, 'mfaCode') || MFA_TEXT.test(text)) return 'mfaRequired';
+
+  const form = await visible(page, flow, 'loginEmail') || await visible(page, flow, 'loginPassword');
+  if (form && BAD_CREDENTIALS_TEXT.test(text)) return 'badCredentials';
+  if (form) return 'loginForm';
+
+  return 'unknown';
+}
+
+/**
+ * Poll until the page settles into one of `states`. Returns the state, or null on timeout.
+ */
+export async function waitForLoginState(page, states, { timeout, flow = DEFAULT_FLOW }) {
+  const deadline = Date.now() + timeout;
+  do {
+    const state = await readLoginState(page, flow);
+    if (states.includes(state)) return state;
+    await sleep(250);
+  } while (Date.now() < deadline);
+  return null;
+}
+
+// ==================== LOGIN ====================
+
+/**
+ * Open the portal and sign in unless the (possibly restored) session is still valid.
+ * Returns { reused, selectors } — reused is true when no login form had to be filled in,
+ * selectors are the flow selectors the form was filled with.
+ * Throws LoginError with a code for bad credentials, MFA, lockout or a timeout.
+ */
+export async function ensureLoggedIn(page, { loginUrl, username, password, politeDelayMs, timeouts = DEFAULT_TIMEOUTS, flow = DEFAULT_FLOW }) {
+  log.info('🔐 Starting login process...');
+
+  await page.goto(loginUrl, { waitUntil: 'domcontentloaded', timeout: timeouts.navigation });
+  await settleNetwork(page, timeouts);
+
+  const before = await waitForLoginState(page, ['loggedIn', 'loginForm', 'badCredentials', 'mfaRequired', 'accountLocked'], { timeout: timeouts.element, flow });
+
+  if (before === 'loggedIn') {
+    log.info('✅ Already logged in - saved session is still valid');
+    return { reused: true, selectors: {} };
+  }
+  if (!before) {
+    throw new LoginError(`Neither the login form nor the portal home appeared within ${timeouts.element} ms`);
+  }
+  if (before === 'accountLocked' || before === 'mfaRequired') {
+    throwForState(before);
+  }
+
+  // Remember the form so an "invalid password" banner left over from an earlier attempt
+  // is not mistaken for the answer to this one
+  const staleBanner = before === 'badCredentials';
+  const email = await findSelector(page, flow, 'loginEmail');
+  const pass = await findSelector(page, flow, 'loginPassword');
+  if (!email || !pass) {
+    throw new LoginError('Login form is missing its email or password field - check the loginEmail / loginPassword flow selectors');
+  }
+  const formField = await email.locator.elementHandle();
+
+  await email.locator.fill(username);
+  await sleep(jitter(200));
+  await pass.locator.fill(password);
+  await sleep(jitter(200));
+
+  const submit = await findSelector(page, flow, 'loginSubmit');
+  if (submit) {
+    await submit.locator.click();
+  } else {
+    await pass.locator.press('Enter');
+  }
+  const selectors = { loginEmail: email.selector, loginPassword: pass.selector, loginSubmit: submit?.selector || null };
+
+  const outcomes = ['loggedIn', 'badCredentials', 'mfaRequired', 'accountLocked'];
+  let after = await waitForLoginState(page, outcomes, { timeout: timeouts.element, flow });
+  if (after === 'badCredentials' && staleBanner) {
+    const rerendered = await formField.evaluate((el) => !el.isConnected).catch(() => true);
+    if (!rerendered) {
+      await formField.waitForElementState('hidden', { timeout: timeouts.element }).catch(() => {});
+      after = await waitForLoginState(page, outcomes, { timeout: timeouts.element, flow });
+    }
+  }
+  if (after !== 'loggedIn') throwForState(after);
+
+  await settleNetwork(page, timeouts);
+
+  log.info('✅ Login successful!');
+  await sleep(jitter(politeDelayMs));
+  return { reused: false, selectors };
+}
+
+function throwForState(state) {
+  switch (state) {
+    case 'badCredentials':
+      throw new LoginError('IBHS rejected the username or password', 'bad_credentials');
+    case 'mfaRequired':
+      throw new LoginError('IBHS is asking for a verification code (MFA) - log in once by hand to trust this device', 'mfa_required');
+    case 'accountLocked':
+      throw new LoginError('IBHS reports the account as locked - wait or contact IBHS before retrying', 'account_locked');
+    default:
+      throw new LoginError('Login did not reach the portal home page in time', 'login_timeout');
+  }
+}
+
+/**
+ * Run before each address: if the portal dropped back to the login form (session expired),
+ * log in again on the same page. Returns true when a fresh login was needed.
+ */
+export async function ensureSession(page, options) {
+  const timeouts = options.timeouts || DEFAULT_TIMEOUTS;
+  const state = await waitForLoginState(page, ['loggedIn', 'loginForm', 'badCredentials', 'mfaRequired', 'accountLocked'], { timeout: timeouts.element, flow: options.flow });
+  if (state === 'loggedIn') return false;
+
+  log.warning(`🔑 Session lost (${state || 'no portal page'}) - logging in again...`);
+  const { reused } = await ensureLoggedIn(page, options);
+  return !reused;
+}
@@ -0,0 +1,404 @@
+// src/lookup.js - one address through the portal: search, pick, extract, download
+import { Actor, log } from 'apify';
+import { jitter, sanitizeFileName, kvSafeKey, streamToBuffer, recordUrl } from './utils.js';
+import { pickOption, checkDialogMatches, lookupLabel } from './search.js';
+import { StepError, unexpectedErrorCode } from './errors.js';
+import { verifyCertificatePdf } from './verify.js';
+import { stampCertificateMetadata } from './packet.js';
+import { extractCertificateDataFromPopup } from './popup.js';
+import { captureAndSaveScreenshot } from './artifacts.js';
+import { storeToDestinations } from './storage/index.js';
+import { DEFAULT_TIMEOUTS, settleNetwork, waitForDropdown, waitForCertificateDialog } from './waits.js';
+import { createLapTimer } from './timing.js';
+import { DEFAULT_FLOW, findSelector, selectorsFor } from './selectors.js';
+
+const noThrottle = async () => {};
+
+// ==================== ADDRESS LOOKUP ====================
+
+/**
+ * Run one queued lookup (address, FH number, owner name or evaluation ID) on an already
+ * logged-in page and return its dataset result.
+ * `throttle` is the run-wide rate limiter shared by every worker; it is awaited before
+ * each action that hits the portal. The page is sent back to `loginUrl` afterwards.
+ * `diagnostics` (from startDiagnostics) gets a DOM snapshot of the page when a step fails.
+ * Every portal element is found through `flow` (see selectors.js); the result records the
+ * flow version and which selector each step used.
+ */
+export async function processAddress(page, { addr, key, attempt, tags = {}, lookup = { type: 'address', value: addr } }, {
+  loginUrl,
+  matchThreshold = 0.75,
+  matchMargin = 0.1,
+  verifyPdf = true,
+  throttle = noThrottle,
+  timeouts = DEFAULT_TIMEOUTS,
+  destinations = [],
+  diagnostics = null,
+  flow = DEFAULT_FLOW,
+} = {}) {
+  const result = {
+    address: addr,
+    searchAddress: key,
+    lookupType: lookup.type,
+    lookupValue: lookup.value,
+    timestamp: new Date().toISOString(),
+    attempt,
+    success: false,
+    status: null,
+    errorCode: null,
+    fhNumber: null,
+    approvedAt: null,
+    expirationDate: null,
+    buildingAddress: null,
+    buildingStreet: null,
+    buildingUnit: null,
+    buildingCity: null,
+    buildingState: null,
+    buildingZip: null,
+    program: null,
+    designation: null,
+    certificateStatus: null,
+    fieldSources: null,
+    matchedOption: null,
+    matchScore: null,
+    candidates: [],
+    screenshot: null,
+    screenshotKey: null,
+    certificateFile: null,
+    certificateUrl: null,
+    fileName: null,
+    fileSize: null,
+    verification: null,
+    storage: [],
+    googleDriveId: null,
+    googleDriveUrl: null,
+    flowVersion: flow.version,
+    selectorsUsed: {},
+    timings: null,
+    durationMs: null,
+    error: null
+  };
+
+  const lap = createLapTimer();
+
+  // Remember which selector each flow step matched; fallbacks are worth a warning
+  const used = (name, selector, index) => {
+    result.selectorsUsed[name] = selector;
+    if (index > 0) log.warning(`⚠️ ${name} only matched fallback #${index}: ${selector}`);
+  };
+  const find = async (name, options) => {
+    const found = await findSelector(page, flow, name, options);
+    if (found) used(name, found.selector, found.index);
+    return found;
+  };
+
+  try {
+    // Navigate to New Evaluation
+    await throttle();
+    log.info('📋 Step 1: Clicking "New Evaluation"...');
+    const newEvaluation = await find('newEvaluation', { timeout: timeouts.element });
+    if (!newEvaluation) {
+      throw new StepError('"New Evaluation" not found', 'timeout', { errorCode: 'element_timeout' });
+    }
+    await newEvaluation.locator.click();
+    lap('newEvaluation');
+
+    // Click Redesignation
+    log.info('🔄 Step 2: Clicking "Redesignation"...');
+    const redesignation = await find('redesignation', { timeout: timeouts.element });
+    if (!redesignation) {
+      throw new StepError('"Redesignation" not found', 'timeout', { errorCode: 'element_timeout' });
+    }
+    await redesignation.locator.click();
+    lap('redesignation');
+
+    // Search for address
+    await throttle();
+    log.info(`🔍 Step 3: Searching for "${lookup.value}" (${lookup.type})...`);
+    
+    const search = await find('searchField', { timeout: timeouts.element });
+    if (!search) {
+      throw new StepError('Search field not found', 'timeout', { errorCode: 'element_timeout' });
+    }
+    const searchField = search.locator;
+
+    await searchField.click();
+    await searchField.press('Control+A');
+    await searchField.press('Backspace');
+    
+    // Type the query character by character
+    log.info('⌨️ Typing search...');
+    for (const char of lookup.value) {
+      await searchField.type(char, { delay: jitter(80, 60) });
+    }
+    lap('search');
+    
+    // Wait for the dropdown to open and stop re-filtering instead of pressing Enter
+    log.info('⏳ Waiting for dropdown results...');
+    await settleNetwork(page, timeouts);
+    const dropdownItems = selectorsFor(flow, 'dropdownItems');
+    const dropdownSelector = await waitForDropdown(page, dropdownItems, { timeout: timeouts.dropdown });
+    lap('dropdown');
+    
+    if (!dropdownSelector) {
+      throw new StepError(`No dropdown results for ${lookupLabel(lookup)}`, 'not_found', { errorCode: 'no_results' });
+    }
+    used('dropdownItems', dropdownSelector, dropdownItems.indexOf(dropdownSelector));
+
+    // Read every dropdown item so the right one can be picked
+    const options = await page.locator(dropdownSelector).all();
+    log.info(`✅ Found ${options.length} dropdown items with selector: ${dropdownSelector}`);
+
+    // Score every option instead of trusting the first one
+    const optionTexts = [];
+    for (const item of options) {
+      optionTexts.push((await item.textContent().catch(() => '')) || '');
+    }
+
+    const match = pickOption(lookup, optionTexts, { threshold: matchThreshold, margin: matchMargin });
+    result.candidates = match.candidates.map(({ text, score }) => ({ text, score }));
+
+    for (const c of match.candidates) {
+      log.info(`   ${c.score.toFixed(3)}  ${c.text}`);
+    }
+
+    if (match.ambiguous) {
+      throw new StepError(match.reason, match.status, match.status === 'not_found' ? { errorCode: 'no_match' } : {});
+    }
+
+    await throttle();
+    log.info(`🖱️ Clicking best match (${match.best.score}): ${match.best.text}`);
+    result.matchedOption = match.best.text;
+    result.matchScore = match.best.score;
+    await options[match.best.index].click();
+    lap('select');
+    
+    // Wait for popup to load certificate details
+    log.info('⏳ Step 4: Waiting for popup to load certificate details...');
+    const dialogSelectors = selectorsFor(flow, 'dialog');
+    const dialog = await waitForCertificateDialog(page, { timeout: timeouts.dialog, selectors: dialogSelectors });
+    lap('dialog');
+
+    if (!dialog.opened) {
+      throw new StepError(`Certificate dialog did not open within ${timeouts.dialog} ms`, 'timeout', { errorCode: 'dialog_timeout' });
+    }
+    used('dialog', dialog.selector, dialogSelectors.indexOf(dialog.selector));
+    if (!dialog.loaded) {
+      log.warning('⚠️ Dialog opened but no FH number appeared - extracting what is there');
+    }
+
+    // Capture screenshot
+    log.info('📸 Step 5: Capturing screenshot...');
+    const screenshot = await captureAndSaveScreenshot(page, addr, 'certificate-loaded');
+    result.screenshot = screenshot.url;
+    result.screenshotKey = screenshot.key;
+    lap('screenshot');
+
+    // Extract data from popup
+    log.info('📊 Step 6: Extracting data from popup...');
+    const popupData = await extractCertificateDataFromPopup(page, addr, {
+      timeout: timeouts.dialog,
+      dialogSelector: dialog.selector,
+    });
+    lap('extract');
+
+    // A dialog for another certificate is not this lookup's data, so none of it is kept
+    const wrongCertificate = checkDialogMatches(lookup, popupData);
+    if (wrongCertificate) {
+      throw new StepError(wrongCertificate, 'not_found', { errorCode: 'wrong_certificate' });
+    }
+
+    result.fhNumber = popupData.fhNumber;
+    result.approvedAt = popupData.approvedAt;
+    result.expirationDate = popupData.expirationDate;
+    result.buildingAddress = popupData.buildingAddress;
+    result.buildingStreet = popupData.buildingStreet;
+    result.buildingUnit = popupData.buildingUnit;
+    result.buildingCity = popupData.buildingCity;
+    result.buildingState = popupData.buildingState;
+    result.buildingZip = popupData.buildingZip;
+    result.program = popupData.program;
+    result.designation = popupData.designation;
+    result.certificateStatus = popupData.status;
+    result.fieldSources = popupData.sources;
+
+    // Try to download PDF
+    log.info('📥 Step 7: Attempting PDF download...');
+    const download = await find('downloadButton');
+    
+    if (!download) {
+      log.warning('⚠️ Download button not found in popup');
+      result.status = 'no_certificate';
+      result.errorCode = 'no_download_button';
+      result.error = 'No Download button in the certificate dialog';
+    } else {
+      const downloadButton = download.locator;
+      await throttle();
+      const downloadPromise = page.waitForEvent('download', { timeout: timeouts.download })
+        .then(d => ({ kind: 'download', d }))
+        .catch(() => null);
+
+      try {
+        await downloadButton.click({ timeout: 5000 });
+      } catch (clickError) {
+        log.warning(`⚠️ Normal click failed, trying force click`);
+        await downloadButton.click({ force: true });
+      }
+      
+      const signal = await downloadPromise;
+      if (signal?.kind !== 'download') {
+        throw new StepError(`No download started within ${timeouts.download} ms of clicking Download`, 'timeout', { errorCode: 'download_timeout' });
+      }
+
+      const stream = await signal.d.createReadStream();
+      let buffer = stream ? await streamToBuffer(stream) : null;
+      lap('download');
+
+      if (!buffer || buffer.length === 0) {
+        log.warning('⚠️ The portal sent an empty certificate file');
+        result.status = 'no_certificate';
+        result.errorCode = 'empty_download';
+        result.error = 'The portal sent an empty certificate file';
+      } else {
+        const fhNum = result.fhNumber || key;
+        const expDate = result.expirationDate ? ` - Expires ${result.expirationDate}` : '';
+        const fileName = sanitizeFileName(`${fhNum}${expDate}.pdf`);
+        result.fileName = fileName;
+        result.fileSize = buffer.length;
+
+        // Make sure the PDF is the certificate we searched for before storing it
+        let verification = { verified: true, unverifiable: false, mismatches: [], pdf: null };
+        if (verifyPdf) {
+          log.info('🔎 Verifying PDF contents...');
+          verification = await verifyCertificatePdf(buffer, {
+            fhNumber: result.fhNumber,
+            buildingAddress: result.buildingAddress,
+            expirationDate: result.expirationDate,
+            searchAddress: lookup.type === 'address' ? addr : null,
+          }, { addressThreshold: matchThreshold }).catch((e) => ({
+            verified: false,
+            unverifiable: false,
+            mismatches: [`PDF could not be parsed: ${e.message}`],
+            pdf: null,
+          }));
+          result.verification = verification;
+          lap('verify');
+        }
+
+        // A scanned PDF cannot be checked; that says nothing against it, so it is kept like
+        // a verified one (just not stamped) and the lookup is not retried
+        const failedVerification = !verification.verified && !verification.unverifiable;
+        if (verification.unverifiable) log.warning('⚠️ PDF has no text layer - stored without verification');
+
+        // Only a verified PDF is labelled with the details it was checked against
+        if (verification.verified) {
+          buffer = await stampCertificateMetadata(buffer, {
+            fhNumber: result.fhNumber,
+            address: result.buildingAddress || addr,
+            approvedAt: result.approvedAt,
+            expirationDate: result.expirationDate,
+            designation: result.designation,
+          });
+          result.fileSize = buffer.length;
+        }
+
+        const kvKey = kvSafeKey(`${fhNum}-certificate${failedVerification ? '-unverified' : ''}.pdf`);
+
+        // Save to KVS
+        await Actor.setValue(kvKey, buffer, { contentType: 'application/pdf' });
+        result.certificateFile = kvKey;
+        result.certificateUrl = recordUrl(kvKey);
+
+        if (failedVerification) {
+          // The PDF is someone else's certificate (or unreadable): kept for review, not uploaded
+          log.error(`❌ PDF verification failed: ${verification.mismatches.join('; ')}`);
+          result.status = 'not_found';
+          result.errorCode = 'verification_failed';
+          result.error = verification.mismatches.join('; ');
+        } else {
+          // Upload to every configured destination
+          result.storage = await storeToDestinations(destinations, buffer, {
+            fileName,
+            meta: {
+              ...tags,
+              fhNumber: result.fhNumber,
+              address: result.buildingAddress || addr,
+              approvedAt: result.approvedAt,
+              expirationDate: result.expirationDate,
+              street: result.buildingStreet,
+              unit: result.buildingUnit,
+              city: result.buildingCity,
+              state: result.buildingState,
+              zip: result.buildingZip,
+            },
+          });
+          const driveFile = result.storage.find((s) => s.type === 'googleDrive' && !s.error);
+          if (driveFile) {
+            result.googleDriveId = driveFile.id;
+            result.googleDriveUrl = driveFile.url;
+          }
+          lap('upload');
+
+          const failedUploads = result.storage.filter((s) => s.error);
+          if (failedUploads.length) {
+            result.status = 'upload_failed';
+            result.errorCode = 'upload_failed';
+            result.error = failedUploads.map((s) => `${s.name}: ${s.error}`).join('; ');
+          }
+        }
+
+        log.info(`✅ PDF downloaded: ${kvKey} (${buffer.length} bytes)`);
+      }
+    }
+
+    result.status ||= 'downloaded';
+
+  } catch (error) {
+    const lastStep = Object.keys(lap.timings).at(-1) || null;
+    lap('failedStep');
+    log.error(`❌ Error processing ${addr}: ${error.message}`);
+    result.error = error.message;
+    if (error instanceof StepError) {
+      result.status = error.status;
+      Object.assign(result, error.details);
+    } else {
+      // Playwright timeouts and pages that crashed or navigated away mid-step
+      result.status = 'timeout';
+      result.errorCode = unexpectedErrorCode(error);
+    }
+    
+    // Capture error screenshot
+    const errorScreenshot = await captureAndSaveScreenshot(page, addr, 'error');
+    result.screenshot = errorScreenshot.url;
+    result.screenshotKey = errorScreenshot.key;
+
+    if (diagnostics) await diagnostics.captureFailure({ step: lastStep, error });
+  }
+
+  // Close any open dialogs
+  try {
+    const close = await find('closeButton');
+    if (close) {
+      await close.locator.click();
+      await page.locator(result.selectorsUsed.dialog || selectorsFor(flow, 'dialog')[0]).first().waitFor({ state: 'hidden', timeout: timeouts.element });
+    }
+  } catch (e) {
+    // Continue
+  }
+
+  // Return to main page - the lookup itself is done, so a failed reset only costs the next one a retry
+  try {
+    await throttle();
+    await page.goto(loginUrl, { waitUntil: 'domcontentloaded', timeout: timeouts.navigation });
+    await settleNetwork(page, timeouts);
+  } catch (e) {
+    log.warning(`⚠️ Could not return to the main page after ${addr}: ${e.message}`);
+  }
+  lap('reset');
+
+  result.success = result.status === 'downloaded';
+  result.timings = lap.timings;
+  result.durationMs = lap.total();
+
+  return result;
+}
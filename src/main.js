@@ -1,573 +1,464 @@
 // src/main.js - FIXED VERSION with dropdown selection
 import { Actor, log } from 'apify';
 import { chromium } from 'playwright';
-import fs from 'fs/promises';
-import { google } from 'googleapis';
-import { Readable } from 'stream';
+import { normalizeAddress } from './normalize.js';
+import { loadLedger, saveLedger, shouldProcess, markPending, recordAttempt, resolveLedgerKey, rekeyByFhNumber } from './ledger.js';
+import { runExpirationReport } from './report.js';
+import { ensureLoggedIn, ensureSession } from './login.js';
+import { loadSessionState, saveSessionState, clearSessionState } from './session.js';
+import { LoginError, FATAL_LOGIN_CODES, unexpectedErrorCode } from './errors.js';
+import { loadAccounts, defaultAccountAlias, unknownAccount, redactCredentials } from './accounts.js';
+import { processAddress } from './lookup.js';
+import { createRateLimiter, runWorkerPool } from './pool.js';
+import { resolveTimeouts, settleNetwork } from './waits.js';
+import { createDestinations, closeDestinations } from './storage/index.js';
+import { createWebhookNotifier } from './webhook.js';
+import { loadAddressSource, attachSourceFields } from './sources.js';
+import { summarizeTimings } from './timing.js';
+import { validateResult, buildRunOutput } from './schema.js';
+import { discoverCertificates, saveInventory } from './discover.js';
+import { startDiagnostics } from './artifacts.js';
+import { saveCertificatePacket } from './packet.js';
+import { runHealthCheck, loginFailureReport, saveHealthReport } from './health.js';
+import { loadFlow } from './selectors.js';
+import { createApiServer, startApiServer, createSerialQueue, HttpError } from './server.js';
+import { kvSafeKey } from './utils.js';
+import { LOOKUP_TYPES, parseLookup, lookupKey, refreshKey, lookupLabel, normalizeFhNumber } from './search.js';
+
+const CONTEXT_OPTIONS = {
+  userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 Chrome/119 Safari/537.36',
+  acceptDownloads: true,
+};
+
+// Dataset item for an address that never got to (or died during) processAddress
+function failedResult(addr, key, error, flow) {
+  return {
+    address: addr,
+    searchAddress: key,
+    timestamp: new Date().toISOString(),
+    flowVersion: flow.version,
+    success: false,
+    status: error instanceof LoginError ? error.status : 'timeout',
+    errorCode: error instanceof LoginError ? error.code : unexpectedErrorCode(error),
+    error: error.message,
+  };
+}
 
-const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
-const jitter = (base, spread = 350) => base + Math.floor(Math.random() * spread);
+/**
+ * RUN_SUMMARY record, also POSTed to the webhook as `run.finished`. The OUTPUT record is
+ * the stable subset automations read (see buildRunOutput); its status counts and failed
+ * addresses are copied into the summary too.
+ */
+async function finishRun(notify, summary, results = []) {
+  const output = buildRunOutput(results, summary);
+  const full = { ...summary, statusCounts: output.statusCounts, failedAddresses: output.failedAddresses };
+  const delivery = await notify('run.finished', full);
+  await Actor.setValue('RUN_SUMMARY', { ...full, ...(delivery && { webhook: delivery }) });
+  await Actor.setValue('OUTPUT', output);
+  return output;
+}
 
-// ==================== UTILITY FUNCTIONS ====================
+// ==================== MAIN ACTOR ====================
 
-const normalizeAddress = (s = '') =>
-  s.toLowerCase()
-    .replace(/[.,]/g, ' ')
-    .replace(/\s+/g, ' ')
-    .replace(/\b(apt|apartment|ste|suite|unit)\b\s*\w+/g, '')
-    .trim();
+async function run() {
+  await Actor.init();
 
-function sanitizeFileName(name) {
-  return name.replace(/[\\/:*?"<>|\s]+/g, '_').slice(0, 180);
-}
+  const input = (await Actor.getInput()) || {};
+  const {
+    mode = 'download',
+    loginUrl = 'https://app.ibhs.org/fh',
+    addresses: rawAddresses = [],
+    address,
+    addressSource,
+    maxAddressesPerRun = 100,
+    politeDelayMs = 1000,
+    concurrency = 1,
+    timeouts: timeoutOverrides,
+    matchThreshold = 0.75,
+    matchMargin = 0.1,
+    verifyPdf = true,
+    storage,
+    webhookUrl,
+    webhookSecret = process.env.WEBHOOK_SECRET,
+    webhookRetries = 3,
+    retryFailed = true,
+    forceRefresh,
+    recheckOlderThanDays,
+    maxAttempts = 5,
+    retryBackoffMinutes = 30,
+    exportFormats = [],
+    reminderDays = 60,
+    includeBuckets,
+    listingUrl,
+    maxListingPages = 50,
+    fetchDiscovered = false,
+    diagnostics = false,
+    packet = false,
+    headed = false,
+    canary,
+    failOnBroken = true,
+    port = Actor.config.get('containerPort'),
+    apiKey = process.env.SERVER_API_KEY,
+    maxQueuedLookups = 20,
+    flow: flowOverride,
+    flowRecord,
+    account: accountInput,
+  } = input;
 
-function kvSafeKey(name) {
-  return (name || '')
-    .replace(/[^a-zA-Z0-9!\-_\.'()]+/g, '-')
-    .slice(0, 250);
-}
+  // Report modes work from stored data only - no browser or login needed
+  if (mode === 'expirationReport') {
+    await runExpirationReport({ exportFormats, reminderDays, includeBuckets });
+    await Actor.exit();
+    return;
+  }
 
-async function streamToBuffer(stream) {
-  const chunks = [];
-  for await (const c of stream) chunks.push(c);
-  return Buffer.concat(chunks);
-}
+  // discoverAll builds its queue from the portal's own listings after login
+  const discovering = mode === 'discoverAll';
+
+  // healthCheck walks the lookup flow for one known `canary` and reports on every selector
+  const checking = mode === 'healthCheck';
+  // An address canary that also gives its FH number is searched by address and checked against it
+  const canaryLookup = !checking ? null
+    : canary?.address && canary?.fhNumber
+      ? { type: 'address', value: String(canary.address).trim(), fhNumber: normalizeFhNumber(canary.fhNumber) }
+      : parseLookup(canary);
+  if (checking && !canaryLookup) {
+    throw new Error('❌ healthCheck mode needs a "canary" - an address (or { fhNumber }) known to have a certificate');
+  }
 
-// ==================== SCREENSHOT CAPTURE ====================
+  // server keeps the logged-in browser open and takes lookups over HTTP instead of from input;
+  // a Standby run is always a server
+  const serving = mode === 'server' || Actor.config.get('metaOrigin') === 'STANDBY';
 
-async function captureAndSaveScreenshot(page, address, stage = 'final') {
-  try {
-    const timestamp = Date.now();
-    const safeName = sanitizeFileName(address);
-    const screenshotKey = `screenshot-${safeName}-${stage}-${timestamp}.png`;
-    
-    log.info(`📸 Capturing ${stage} screenshot for: ${address}`);
-    
-    const png = await page.screenshot({ 
-      fullPage: true,
-      timeout: 30000 
-    });
-    
-    await Actor.setValue(screenshotKey, png, { contentType: 'image/png' });
-    
-    const kvStoreId = Actor.getEnv().defaultKeyValueStoreId;
-    const screenshotUrl = `https://api.apify.com/v2/key-value-stores/${kvStoreId}/records/${screenshotKey}`;
-    
-    log.info(`✅ Screenshot saved: ${screenshotKey}`);
-    log.info(`🔗 Screenshot URL: ${screenshotUrl}`);
-    
-    return {
-      key: screenshotKey,
-      url: screenshotUrl,
-      timestamp: new Date().toISOString()
-    };
-  } catch (e) {
-    log.error(`❌ Screenshot capture failed: ${e.message}`);
-    return {
-      key: null,
-      url: null,
-      error: e.message,
-      timestamp: new Date().toISOString()
-    };
+  // Accounts come from secrets only (IBHS_ACCOUNTS, or IBHS_USERNAME / IBHS_PASSWORD as "default");
+  // items pick one by alias, so credentials never pass through input, the dataset or the logs
+  if (input.username || input.password) {
+    throw new Error('❌ Credentials are not accepted in input - set the IBHS_USERNAME / IBHS_PASSWORD or IBHS_ACCOUNTS secrets');
+  }
+  const accounts = loadAccounts();
+  if (!accounts.size) {
+    throw new Error('❌ Missing credentials! Set IBHS_USERNAME and IBHS_PASSWORD, or IBHS_ACCOUNTS');
+  }
+  const runAccount = defaultAccountAlias(accounts, accountInput);
+  log.info(`👤 Accounts: ${[...accounts.keys()].join(', ')}${runAccount ? ` (default ${runAccount})` : ''}`);
+  if ((checking || discovering) && !runAccount) {
+    throw new Error(`❌ ${mode} works on one account - set "account" to one of ${[...accounts.keys()].join(', ')}`);
   }
-}
 
-// ==================== DATA EXTRACTION FROM POPUP ====================
-
-async function extractCertificateDataFromPopup(page, address) {
-  const data = {
-    fhNumber: null,
-    approvedAt: null,
-    expirationDate: null,
-    buildingAddress: null,
-    buildingCity: null,
-    buildingZip: null,
-    designation: null,
-    program: null,
-    status: null
+  const accountOf = (raw) => {
+    const alias = (typeof raw === 'object' && raw?.account) || runAccount;
+    if (!alias) throw new Error('several accounts are registered - give the item an "account" or set "account" in input');
+    if (!accounts.has(alias)) throw new Error(unknownAccount(accounts, alias));
+    return alias;
   };
 
-  try {
-    log.info('📊 Extracting data from popup modal...');
-    
-    // Wait for popup content to stabilize
-    await page.waitForTimeout(3000);
-    
-    // Get popup text content
-    const popupText = await page.locator('[role="dialog"]').textContent().catch(() => '');
-    
-    // Save popup HTML for debugging if needed
-    try {
-      const modalHtml = await page.locator('[role="dialog"]').innerHTML();
-      const htmlKey = `popup-html-${sanitizeFileName(address)}-${Date.now()}.html`;
-      await Actor.setValue(htmlKey, modalHtml, { contentType: 'text/html' });
-    } catch (e) {
-      // Continue even if we can't save HTML
-    }
-    
-    // Extract FH/FEH Number
-    const fhMatch = popupText.match(/FE?H[\s:-]?\d{8,}/i);
-    if (fhMatch) {
-      data.fhNumber = fhMatch[0].replace(/[\s:-]/g, '').toUpperCase();
-      log.info(`   ✓ FH Number: ${data.fhNumber}`);
-    }
-    
-    // Extract dates using table structure
+  // Parse input items. Strings are addresses; objects look up by `fhNumber`, `evaluationId`,
+  // `address` or `ownerName`, `account` picks the IBHS account, and any other fields (e.g.
+  // `client`) are used as storage tags
+  const toItem = (raw) => {
+    let lookup;
+    let account;
     try {
-      const popupTables = await page.locator('[role="dialog"] table').all();
-      
-      for (const table of popupTables) {
-        const rows = await table.locator('tr').all();
-        
-        for (const row of rows) {
-          const cells = await row.locator('td, th').all();
-          const cellTexts = [];
-          
-          for (const cell of cells) {
-            const text = await cell.textContent();
-            cellTexts.push(text?.trim() || '');
-          }
-          
-          // Look for date patterns in cells
-          for (let i = 0; i < cellTexts.length; i++) {
-            const cellText = cellTexts[i];
-            const prevCell = i > 0 ? cellTexts[i - 1] : '';
-            
-            // Check for Approved Date
-            if (/approved/i.test(prevCell) || /approved/i.test(cellText)) {
-              const dateMatch = cellText.match(/\d{1,2}[\/-]\d{1,2}[\/-]\d{4}/);
-              if (dateMatch && !data.approvedAt) {
-                data.approvedAt = dateMatch[0];
-                log.info(`   ✓ Approved At: ${data.approvedAt}`);
-              }
-            }
-            
-            // Check for Expiration Date
-            if (/expir/i.test(prevCell) || /expir/i.test(cellText)) {
-              const dateMatch = cellText.match(/\d{1,2}[\/-]\d{1,2}[\/-]\d{4}/);
-              if (dateMatch && !data.expirationDate) {
-                data.expirationDate = dateMatch[0];
-                log.info(`   ✓ Expiration Date: ${data.expirationDate}`);
-              }
-            }
-          }
-        }
-      }
+      lookup = parseLookup(raw);
+      account = lookup && accountOf(raw);
     } catch (e) {
-      log.warning(`Table extraction error: ${e.message}`);
+      log.warning(`⚠️ Skipping input item: ${e.message}`);
+      return null;
     }
-    
-    // Fallback: Extract dates from text with context
-    if (!data.approvedAt) {
-      const approvedMatch = popupText.match(/Approved[^0-9]{0,20}(\d{1,2}[\/-]\d{1,2}[\/-]\d{4})/i);
-      if (approvedMatch) {
-        data.approvedAt = approvedMatch[1];
-        log.info(`   ✓ Approved At (text): ${data.approvedAt}`);
-      }
-    }
-    
-    if (!data.expirationDate) {
-      const expirationMatch = popupText.match(/Expir[^0-9]{0,20}(\d{1,2}[\/-]\d{1,2}[\/-]\d{4})/i);
-      if (expirationMatch) {
-        data.expirationDate = expirationMatch[1];
-        log.info(`   ✓ Expiration Date (text): ${data.expirationDate}`);
-      }
-    }
-    
-    // Extract Building Address
-    const addressMatch = popupText.match(/Building\s+Address[:\s]*([^\n]{10,100})/i);
-    if (addressMatch) {
-      data.buildingAddress = addressMatch[1].trim();
-      log.info(`   ✓ Building Address: ${data.buildingAddress}`);
-    }
-    
-    // Extract other fields
-    const programMatch = popupText.match(/Program[:\s]*([^\n]{3,50})/i);
-    if (programMatch) {
-      data.program = programMatch[1].trim();
-      log.info(`   ✓ Program: ${data.program}`);
-    }
-    
-    const designationMatch = popupText.match(/Designation\s+Level[:\s]*([^\n]{3,30})/i);
-    if (designationMatch) {
-      data.designation = designationMatch[1].trim();
-      log.info(`   ✓ Designation: ${data.designation}`);
-    }
-    
-    log.info('');
-    log.info('📊 Extraction Summary:');
-    log.info(`   FH Number:        ${data.fhNumber || '❌ NOT FOUND'}`);
-    log.info(`   Approved At:      ${data.approvedAt || '❌ NOT FOUND'}`);
-    log.info(`   Expiration Date:  ${data.expirationDate || '❌ NOT FOUND'}`);
-    log.info(`   Building Address: ${data.buildingAddress || '❌ NOT FOUND'}`);
-    log.info('');
-    
-    return data;
-    
-  } catch (e) {
-    log.error(`❌ Popup extraction error: ${e.message}`);
-    return data;
-  }
-}
-
-// ==================== GOOGLE DRIVE UPLOAD ====================
-
-async function uploadToGoogleDrive(buffer, fileName, mimeType = 'application/pdf') {
-  const folderId = process.env.GOOGLE_DRIVE_FOLDER_ID;
-  const clientEmail = process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL;
-  let privateKey = process.env.GOOGLE_SERVICE_ACCOUNT_KEY;
+    if (!lookup) return null;
+
+    const tags = typeof raw === 'object'
+      ? Object.fromEntries(Object.entries(raw).filter(([k]) => !LOOKUP_TYPES.includes(k) && k !== 'account'))
+      : {};
+    const addr = typeof raw === 'object' && typeof raw.address === 'string' && raw.address.trim()
+      ? raw.address.trim()
+      : lookupLabel(lookup);
+    return { addr, lookup, tags, account };
+  };
 
-  if (!folderId || !clientEmail || !privateKey) {
-    log.warning('⚠️ Google Drive credentials not configured - skipping upload');
-    return null;
+  let addresses = [];
+  if (address && typeof address === 'string') {
+    addresses = [toItem(address)].filter(Boolean);
+  } else if (Array.isArray(rawAddresses)) {
+    addresses = rawAddresses.map(toItem).filter(Boolean);
   }
 
-  try {
-    privateKey = privateKey.replace(/\\n/g, '\n');
-
-    const jwt = new google.auth.JWT({
-      email: clientEmail,
-      key: privateKey,
-      scopes: ['https://www.googleapis.com/auth/drive.file'],
-    });
-    
-    await jwt.authorize();
-
-    const drive = google.drive({ version: 'v3', auth: jwt });
-    const media = { mimeType, body: Readable.from(buffer) };
-
-    const res = await drive.files.create({
-      requestBody: { name: fileName, parents: [folderId] },
-      media,
-      fields: 'id, webViewLink',
-    });
-    
-    log.info(`✅ Uploaded to Google Drive: ${res.data.webViewLink}`);
-    return res.data;
-  } catch (e) {
-    log.error(`❌ Google Drive upload failed: ${e.message}`);
-    return null;
+  // Spreadsheet rows (CSV / XLSX / Google Sheets) are added after any listed addresses
+  let sheetWriteBack = null;
+  if (addressSource) {
+    const loaded = await loadAddressSource(addressSource);
+    for (const { fields, tags: columns, sourceRow } of loaded.items) {
+      // An "account" column routes the row like an item's `account`
+      const accountColumn = Object.keys(columns).find((c) => c.toLowerCase() === 'account');
+      const { [accountColumn]: account, ...tags } = columns;
+      const item = toItem({ ...fields, ...(account && { account }) });
+      if (item) addresses.push({ ...item, tags, sourceRow });
+    }
+    sheetWriteBack = loaded.writeBack;
   }
-}
 
-// ==================== LOGIN ====================
-
-async function ensureLoggedIn(page, { loginUrl, username, password, politeDelayMs }) {
-  const emailSel  = 'input[type="email"], input[name="email"], input[autocomplete="username"]';
-  const passSel   = 'input[type="password"], input[name="password"], input[autocomplete="current-password"]';
-  const submitSel = 'button:has-text("Sign in"), button:has-text("Log in"), button[type="submit"]';
-
-  log.info('🔐 Starting login process...');
-  
-  await page.goto(loginUrl, { waitUntil: 'domcontentloaded', timeout: 90_000 });
-  await page.waitForLoadState('networkidle', { timeout: 60_000 }).catch(() => {});
-  await page.waitForTimeout(3000);
-
-  if (await page.locator(emailSel).count()) {
-    await page.fill(emailSel, username);
-    await sleep(jitter(200));
-  }
-  
-  if (await page.locator(passSel).count()) {
-    await page.fill(passSel, password);
-    await sleep(jitter(200));
+  if (!addresses.length && !discovering && !checking && !serving) {
+    throw new Error('❌ No addresses provided!');
   }
 
-  if (await page.locator(submitSel).count()) {
-    await page.click(submitSel);
-  } else {
-    await page.press(passSel, 'Enter');
-  }
+  // Certificate destinations; bad storage config fails the run before anything is queued
+  const destinations = createDestinations(storage);
+  log.info(`🗄️ Storage: ${destinations.map((d) => d.name).join(', ')}`);
 
-  await page.waitForSelector('text=/New Evaluation/i', { timeout: 30_000, state: 'visible' });
-  await page.waitForTimeout(3000);
+  // Selectors and button texts: built-in flow.json, then a FLOW_CONFIG record in ibhs-flow, then the `flow` input
+  const flow = await loadFlow({ flow: flowOverride, ...(flowRecord && { recordKey: flowRecord }) });
 
-  log.info('✅ Login successful!');
-  await sleep(jitter(politeDelayMs));
-}
+  const notify = createWebhookNotifier({ url: webhookUrl, secret: webhookSecret, maxRetries: webhookRetries });
+  if (webhookUrl) log.info(`📣 Webhook: ${new URL(webhookUrl).origin}${webhookSecret ? ' (signed)' : ''}`);
+  const runStarted = Date.now();
 
-// ==================== STORAGE ====================
+  // forceRefresh entries are keyed the same way as the ledger entries they should match
+  const toRefreshKey = (raw) => {
+    try {
+      return refreshKey(raw) || [];
+    } catch (e) {
+      log.warning(`⚠️ Ignoring forceRefresh entry: ${e.message}`);
+      return [];
+    }
+  };
 
-async function loadProcessed() {
-  const store = await Actor.openKeyValueStore();
-  return (await store.getValue('processed_addresses')) || {};
-}
+  // Decide what this run should work on from the ledger
+  const ledger = await loadLedger();
+  const ledgerOptions = {
+    retryFailed,
+    maxAttempts,
+    recheckOlderThanDays,
+    forceRefresh: Array.isArray(forceRefresh) ? forceRefresh.flatMap(toRefreshKey) : forceRefresh,
+  };
 
-async function saveProcessed(map) {
-  const store = await Actor.openKeyValueStore();
-  await store.setValue('processed_addresses', map);
-}
+  const queue = [];
+  for (const { addr, lookup, tags, account, sourceRow } of checking || serving ? [] : addresses) {
+    if (queue.length >= maxAddressesPerRun) break;
 
-// ==================== MAIN ACTOR ====================
+    // Entries found by owner / evaluation ID / address are re-keyed under their FH number
+    // once it is known, so later runs resolve through the entry's aliases
+    const key = resolveLedgerKey(ledger, lookupKey(lookup));
 
-async function run() {
-  await Actor.init();
+    if (!key || queue.some((q) => q.key === key)) continue;
 
-  const input = (await Actor.getInput()) || {};
-  const {
-    loginUrl = 'https://app.ibhs.org/fh',
-    addresses: rawAddresses = [],
-    address,
-    maxAddressesPerRun = 100,
-    politeDelayMs = 1000,
-    username: usernameFromInput,
-    password: passwordFromInput,
-  } = input;
+    const decision = shouldProcess(ledger[key], key, ledgerOptions);
+    if (!decision.process) {
+      log.info(`⏭️ Skipping (${decision.reason}): ${addr}`);
+      continue;
+    }
 
-  // Parse addresses
-  let addresses = [];
-  if (address && typeof address === 'string') {
-    addresses = [address.trim()];
-  } else if (Array.isArray(rawAddresses)) {
-    addresses = rawAddresses
-      .map(a => typeof a === 'string' ? a.trim() : a.address?.trim())
-      .filter(Boolean);
+    log.info(`➕ Queued (${decision.reason}): ${addr}`);
+    markPending(ledger, key, addr);
+    queue.push({ addr, key, lookup, tags, account, sourceRow });
   }
+  await saveLedger(ledger);
 
-  // Get credentials
-  const username = usernameFromInput || process.env.IBHS_USERNAME;
-  const password = passwordFromInput || process.env.IBHS_PASSWORD;
+  if (!discovering && !checking && !serving) log.info(`📋 Processing ${queue.length} of ${addresses.length} address(es)`);
 
-  if (!username || !password) {
-    throw new Error('❌ Missing credentials! Set IBHS_USERNAME and IBHS_PASSWORD');
-  }
-  
-  if (!addresses.length) {
-    throw new Error('❌ No addresses provided!');
+  if (!queue.length && !discovering && !checking && !serving) {
+    log.info('✅ Nothing to do - every address is up to date in the ledger');
+    await finishRun(notify, {
+      startedAt: new Date(runStarted).toISOString(),
+      finishedAt: new Date().toISOString(),
+      requested: addresses.length,
+      processed: 0,
+    });
+    await Actor.exit();
+    return;
   }
 
-  log.info(`📋 Processing ${addresses.length} address(es)`);
+  const timeouts = resolveTimeouts(timeoutOverrides);
 
-  const processed = await loadProcessed();
-
-  // Launch browser
+  // Launch browser (`headed` shows it - for watching a run locally)
   const browser = await chromium.launch({
-    headless: true,
+    headless: !headed,
     args: ['--disable-blink-features=AutomationControlled', '--no-sandbox'],
   });
 
-  const context = await browser.newContext({
-    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 Chrome/119 Safari/537.36',
-    acceptDownloads: true,
-  });
+  // One logged-in context per account, started from that account's saved session so the
+  // login form is skipped. A failed login is kept on the session and its items stay pending
+  const sessions = new Map();
+  const openSession = async (alias) => {
+    if (sessions.has(alias)) return sessions.get(alias);
+
+    const { username, password } = accounts.get(alias);
+    const savedState = await loadSessionState(alias);
+    const context = await browser.newContext({ ...CONTEXT_OPTIONS, ...(savedState && { storageState: savedState }) });
+    const session = {
+      alias,
+      context,
+      page: await context.newPage(),
+      loginOptions: { loginUrl, username, password, politeDelayMs, timeouts, flow },
+      loginStarted: Date.now(),
+      loginMs: null,
+      sessionReused: false,
+      loginSelectors: {},
+      relogins: 0,
+      loginError: null,
+      blocked: null,
+    };
+    sessions.set(alias, session);
+
+    try {
+      ({ reused: session.sessionReused, selectors: session.loginSelectors } = await ensureLoggedIn(session.page, session.loginOptions));
+      session.loginMs = Date.now() - session.loginStarted;
+      await saveSessionState(context, alias);
+    } catch (error) {
+      if (!(error instanceof LoginError)) throw error;
+      await clearSessionState(alias);
+      session.loginError = error;
+      session.blocked = error;
+      log.error(`❌ Login failed for account "${alias}" (${error.code}): ${error.message}`);
+    }
+    return session;
+  };
 
-  const page = await context.newPage();
+  const errorSummary = (error) => ({ code: error.code, message: error.message });
+
+  // RUN_SUMMARY login fields: run-wide totals as before, plus one entry per account
+  const loginSummary = () => {
+    const all = [...sessions.values()];
+    const blocked = all.find((s) => s.blocked)?.blocked;
+    return {
+      loginMs: all.reduce((sum, s) => sum + (s.loginMs || 0), 0),
+      sessionReused: all.length > 0 && all.every((s) => s.sessionReused),
+      flow: { version: flow.version, sources: flow.sources, loginSelectors: all[0]?.loginSelectors || {} },
+      relogins: all.reduce((sum, s) => sum + s.relogins, 0),
+      accounts: Object.fromEntries(all.map((s) => [s.alias, {
+        loginMs: s.loginMs,
+        sessionReused: s.sessionReused,
+        relogins: s.relogins,
+        loginError: s.blocked ? errorSummary(s.blocked) : null,
+      }])),
+      ...(blocked && { loginError: errorSummary(blocked) }),
+    };
+  };
 
   try {
-    // Login
-    await ensureLoggedIn(page, { loginUrl, username, password, politeDelayMs });
+    // healthCheck, discoverAll and the server start on the run's account; a batch logs in
+    // to each account when its items come up
+    const primary = runAccount && (checking || discovering || serving) ? await openSession(runAccount) : null;
+    if (primary?.loginError) {
+      const error = primary.loginError;
+
+      // Queued addresses stay pending in the ledger and are picked up by the next run
+      if (checking) {
+        const report = loginFailureReport(canaryLookup, error, { started: primary.loginStarted, flow });
+        await saveHealthReport(report);
+        await notify('health.check', report);
+      }
+      await finishRun(notify, {
+        startedAt: new Date(runStarted).toISOString(),
+        finishedAt: new Date().toISOString(),
+        requested: addresses.length,
+        processed: 0,
+        loginError: errorSummary(error),
+      });
+      await browser.close().catch(() => {});
+      await Actor.fail(`❌ Login failed (${error.code}): ${error.message}`);
+      return;
+    }
+
+    const throttle = createRateLimiter(politeDelayMs);
 
+    const results = [];
     let handled = 0;
-    
-    for (const rawAddr of addresses) {
-      if (handled >= maxAddressesPerRun) break;
-
-      const addr = (rawAddr || '').trim();
-      const key = normalizeAddress(addr);
-      
-      if (!key) continue;
-      if (processed[key]) {
-        log.info(`⏭️ Skipping (already processed): ${addr}`);
-        continue;
+    let workerCount = 1;
+
+    // One item start to finish: session check, lookup, diagnostics, write-back, webhook,
+    // dataset and ledger. Null when the account's login is blocked and the item stays pending
+    const processItem = async (worker, item) => {
+      const { addr, key, lookup, tags } = item;
+      const { session } = worker;
+      if (session.blocked) {
+        log.warning(`⏸️ Leaving ${addr} pending - login is blocked for account "${session.alias}" (${session.blocked.code})`);
+        return null;
       }
 
       log.info('');
       log.info(`${'='.repeat(60)}`);
-      log.info(`🎯 PROCESSING: ${addr}`);
+      log.info(`🎯 PROCESSING: ${addr}${accounts.size > 1 ? ` [${session.alias}]` : ''}${workerCount > 1 ? ` (worker ${worker.id})` : ''}`);
       log.info(`${'='.repeat(60)}`);
       log.info('');
 
-      const result = {
-        address: addr,
-        searchAddress: key,
-        timestamp: new Date().toISOString(),
-        success: false,
-        fhNumber: null,
-        approvedAt: null,
-        expirationDate: null,
-        buildingAddress: null,
-        program: null,
-        designation: null,
-        screenshot: null,
-        certificateFile: null,
-        error: null
-      };
-
+      // The portal drops idle sessions; log in again before the address rather than failing at Step 1
+      let result;
       try {
-        // Navigate to New Evaluation
-        log.info('📋 Step 1: Clicking "New Evaluation"...');
-        await page.waitForSelector('text=/^\\s*New Evaluation\\s*$/i', { 
-          timeout: 30000, 
-          state: 'visible' 
-        });
-        await page.getByText(/^\s*New Evaluation\s*$/i).first().click();
-        await page.waitForTimeout(3000);
-        await page.waitForLoadState('networkidle', { timeout: 60000 });
-
-        // Click Redesignation
-        log.info('🔄 Step 2: Clicking "Redesignation"...');
-        await page.waitForSelector('text=/^\\s*Redesignation\\s*$/i', { 
-          timeout: 30000,
-          state: 'visible' 
-        });
-        await page.getByText(/^\s*Redesignation\s*$/i).first().click();
-        await page.waitForTimeout(3000);
-        await page.waitForLoadState('networkidle', { timeout: 60000 });
-
-        // Search for address
-        log.info(`🔍 Step 3: Searching for "${addr}"...`);
-        await page.waitForTimeout(2000);
-        
-        const searchField = page.locator('input[placeholder*="Type to search" i]').nth(1);
-        
-        if (!(await searchField.count())) {
-          throw new Error('Search field not found');
-        }
-
-        await searchField.click();
-        await page.waitForTimeout(500);
-        await searchField.press('Control+A');
-        await searchField.press('Backspace');
-        await page.waitForTimeout(500);
-        
-        // Type address character by character
-        log.info('⌨️ Typing address...');
-        for (const char of addr) {
-          await searchField.type(char, { delay: jitter(80, 60) });
-        }
-        
-        // CRITICAL FIX: Wait for dropdown and click result instead of pressing Enter
-        log.info('⏳ Waiting for dropdown results...');
-        await page.waitForTimeout(3000);
-
-        // Try to find and click dropdown item
-        log.info('🖱️ Looking for dropdown results...');
-        const dropdownSelectors = [
-          '.e-popup.e-popup-open .e-list-item',
-          '.e-dropdownbase .e-list-item',
-          '[role="listbox"] [role="option"]',
-          '.e-autocomplete .e-list-item',
-          'ul.e-list-parent li',
-          '.bp5-menu-item'
-        ];
-        
-        let clicked = false;
-        for (const selector of dropdownSelectors) {
-          const items = await page.locator(selector).all();
-          
-          if (items.length > 0) {
-            log.info(`✅ Found ${items.length} dropdown items with selector: ${selector}`);
-            log.info('🖱️ Clicking first dropdown result...');
-            await items[0].click();
-            clicked = true;
-            break;
-          }
-        }
-        
-        if (!clicked) {
-          log.warning('⚠️ No dropdown found, using keyboard navigation...');
-          await page.keyboard.press('ArrowDown');
-          await page.waitForTimeout(500);
-          await page.keyboard.press('Enter');
+        if (await ensureSession(worker.page, session.loginOptions)) {
+          session.relogins++;
+          await saveSessionState(worker.context, session.alias);
         }
-        
-        // Wait for popup to load certificate details
-        log.info('⏳ Step 4: Waiting for popup to load certificate details...');
-        await page.waitForTimeout(8000);
-        await page.waitForLoadState('networkidle', { timeout: 60000 });
-
-        // Capture screenshot
-        log.info('📸 Step 5: Capturing screenshot...');
-        const screenshot = await captureAndSaveScreenshot(page, addr, 'certificate-loaded');
-        result.screenshot = screenshot.url;
-        result.screenshotKey = screenshot.key;
-
-        // Extract data from popup
-        log.info('📊 Step 6: Extracting data from popup...');
-        const popupData = await extractCertificateDataFromPopup(page, addr);
-        
-        result.fhNumber = popupData.fhNumber;
-        result.approvedAt = popupData.approvedAt;
-        result.expirationDate = popupData.expirationDate;
-        result.buildingAddress = popupData.buildingAddress;
-        result.program = popupData.program;
-        result.designation = popupData.designation;
-
-        // Try to download PDF
-        log.info('📥 Step 7: Attempting PDF download...');
-        const downloadButton = page.locator('[role="dialog"]').getByText(/^\s*Download\s*$/i).first();
-        
-        if (await downloadButton.count() > 0) {
-          const downloadPromise = page.waitForEvent('download', { timeout: 60_000 })
-            .then(d => ({ kind: 'download', d }))
-            .catch(() => null);
+      } catch (error) {
+        log.error(`❌ Re-login failed for account "${session.alias}"${error.code ? ` (${error.code})` : ''}: ${error.message}`);
+        if (FATAL_LOGIN_CODES.includes(error.code)) session.blocked = error;
+        result = failedResult(addr, key, error, flow);
+      }
 
-          try {
-            await downloadButton.click({ timeout: 5000 });
-          } catch (clickError) {
-            log.warning(`⚠️ Normal click failed, trying force click`);
-            await downloadButton.click({ force: true });
-          }
-          
-          const signal = await downloadPromise;
-
-          if (signal?.kind === 'download') {
-            const stream = await signal.d.createReadStream();
-            const buffer = stream ? await streamToBuffer(stream) : null;
-
-            if (buffer && buffer.length > 0) {
-              const fhNum = result.fhNumber || key;
-              const expDate = result.expirationDate ? ` - Expires ${result.expirationDate}` : '';
-              const fileName = sanitizeFileName(`${fhNum}${expDate}.pdf`);
-              const kvKey = kvSafeKey(`${fhNum}-certificate.pdf`);
-
-              // Save to KVS
-              await Actor.setValue(kvKey, buffer, { contentType: 'application/pdf' });
-              result.certificateFile = kvKey;
-              result.certificateUrl = `https://api.apify.com/v2/key-value-stores/${Actor.getEnv().defaultKeyValueStoreId}/records/${kvKey}`;
-
-              // Upload to Google Drive
-              const driveFile = await uploadToGoogleDrive(buffer, fileName);
-              if (driveFile) {
-                result.googleDriveId = driveFile.id;
-                result.googleDriveUrl = driveFile.webViewLink;
-              }
-
-              log.info(`✅ PDF downloaded: ${kvKey} (${buffer.length} bytes)`);
-            }
-          }
-        } else {
-          log.warning('⚠️ Download button not found in popup');
-        }
+      // Diagnostics mode runs the address in a recorded copy of the worker's session;
+      // the account's username and password are scrubbed from what it keeps
+      const recorder = !result && diagnostics
+        ? await startDiagnostics(browser, worker.context, {
+          address: addr,
+          contextOptions: CONTEXT_OPTIONS,
+          loginUrl,
+          timeouts,
+          redact: (text) => redactCredentials(text, accounts),
+        })
+          .catch((error) => {
+            log.warning(`⚠️ Diagnostics recording could not start: ${error.message}`);
+            return null;
+          })
+        : null;
+
+      result ||= await processAddress(recorder?.page || worker.page, { addr, key, lookup, tags, attempt: (ledger[key]?.attempts || 0) + 1 }, {
+        loginUrl,
+        matchThreshold,
+        matchMargin,
+        verifyPdf,
+        throttle,
+        timeouts,
+        destinations,
+        diagnostics: recorder,
+        flow,
+      }).catch(async (error) => {
+        // processAddress handles step errors itself; this only catches a page that died
+        log.error(`❌ Worker ${worker.id} failed on ${addr}: ${error.message}`);
+        await recorder?.captureFailure({ step: 'processAddress', error });
+        return failedResult(addr, key, error, flow);
+      });
+
+      // Which account looked it up - its alias, never its credentials
+      result.account = session.alias;
+
+      // Failed lookups keep their trace, HAR, console log and DOM snapshots; successful ones drop them
+      if (recorder) {
+        const bundle = await recorder.finish(result);
+        if (bundle) result.diagnostics = bundle;
+      }
 
-        result.success = true;
-        result.status = 'completed';
+      // Carry the input row's extra columns through to the output
+      await attachSourceFields(result, item, sheetWriteBack);
 
-      } catch (error) {
-        log.error(`❌ Error processing ${addr}: ${error.message}`);
-        result.error = error.message;
-        result.status = 'error';
-        
-        // Capture error screenshot
-        const errorScreenshot = await captureAndSaveScreenshot(page, addr, 'error');
-        result.screenshot = errorScreenshot.url;
-        result.screenshotKey = errorScreenshot.key;
-      }
+      // Deliver to the webhook first so the saved item records whether that worked
+      const delivery = await notify('result', result);
+      if (delivery) result.webhook = delivery;
 
-      // Save result
+      // Save result - a schema problem is a bug here, but the item is still worth keeping
+      const problems = validateResult(result);
+      if (problems.length) log.warning(`⚠️ Result for ${addr} does not match the dataset schema: ${problems.join('; ')}`);
       await Actor.pushData(result);
-
-      processed[key] = {
-        status: result.status,
-        timestamp: result.timestamp,
-        fhNumber: result.fhNumber,
-        approvedAt: result.approvedAt,
-        expirationDate: result.expirationDate
-      };
-      await saveProcessed(processed);
+      results.push(result);
+
+      // A login failure says nothing about the address, so it stays pending for the next run
+      if (result.status !== 'login_failed') {
+        const entry = recordAttempt(ledger, key, result, { retryBackoffMinutes });
+        rekeyByFhNumber(ledger, key, result);
+        await saveLedger(ledger);
+        log.info(`📒 Ledger: ${entry.state} (attempt ${entry.attempts}${entry.nextAttemptAt ? `, next retry after ${entry.nextAttemptAt}` : ''})`);
+      }
 
       log.info('');
-      log.info('📊 RESULT SUMMARY:');
+      log.info(`📊 RESULT SUMMARY: ${addr}`);
       log.info(`   FH Number:        ${result.fhNumber || '❌ NOT FOUND'}`);
       log.info(`   Approved At:      ${result.approvedAt || '❌ NOT FOUND'}`);
       log.info(`   Expiration Date:  ${result.expirationDate || '❌ NOT FOUND'}`);
@@ -576,27 +467,274 @@ async function run() {
       log.info(`   Certificate:      ${result.certificateFile ? '✅ DOWNLOADED' : '⚠️ NOT AVAILABLE'}`);
       log.info('');
 
-      // Close any open dialogs
-      try {
-        const closeButton = page.locator('[role="dialog"] button[aria-label="Close"]').first();
-        if (await closeButton.count() > 0) {
-          await closeButton.click();
-          await page.waitForTimeout(1000);
+      handled++;
+      return result;
+    };
+
+    if (checking) {
+      log.info(`🩺 Health check with canary ${lookupLabel(canaryLookup)}`);
+      const report = await runHealthCheck(primary.page, canaryLookup, {
+        loginUrl,
+        login: { reused: primary.sessionReused, ms: primary.loginMs, selectors: primary.loginSelectors },
+        flow,
+        matchThreshold,
+        matchMargin,
+        throttle,
+        timeouts,
+      });
+      await saveHealthReport(report);
+      const delivery = await notify('health.check', report);
+      await finishRun(notify, {
+        startedAt: new Date(runStarted).toISOString(),
+        finishedAt: new Date().toISOString(),
+        durationMs: Date.now() - runStarted,
+        requested: 0,
+        processed: 0,
+        ...loginSummary(),
+        healthCheck: { ok: report.ok, counts: report.counts, ...(delivery && { webhook: delivery }) },
+      });
+
+      const { matched, fallback, broken, skipped } = report.counts;
+      log.info(`🩺 Selectors: ${matched} matched, ${fallback} on fallbacks, ${broken} broken, ${skipped} skipped`);
+      if (!report.ok && failOnBroken) {
+        await browser.close().catch(() => {});
+        await Actor.fail(`❌ Health check failed: ${report.checks.filter((c) => c.status === 'broken').map((c) => c.name).join(', ')}`);
+      } else if (fallback) {
+        log.warning('⚠️ Some selectors only matched a fallback - update the primary before the portal drifts further');
+      }
+      return;
+    }
+
+    if (serving) {
+      // Without a default account no lookup has a session to start from: log in to every
+      // account now, so /health only says ready once the logins went through
+      if (!runAccount) {
+        for (const alias of accounts.keys()) await openSession(alias);
+      }
+
+      const lookupQueue = createSerialQueue({ maxPending: maxQueuedLookups });
+      const baseUrl = (Actor.config.get('standbyUrl') || '').replace(/\/$/, '');
+      const serverStarted = Date.now();
+      const blocked = ({ alias, blocked: error }) => new HttpError(
+        503,
+        `Login is blocked for account "${alias}" (${error.code}): ${error.message}`,
+        { errorCode: error.code, account: alias },
+      );
+
+      const server = createApiServer({
+        apiKey,
+        lookup: async (body) => {
+          let lookup;
+          let account;
+          try {
+            lookup = parseLookup(body);
+            account = lookup && accountOf(body);
+          } catch (error) {
+            throw new HttpError(400, error.message);
+          }
+          if (!lookup) throw new HttpError(400, 'Send an address, or an object with fhNumber, evaluationId, address or ownerName');
+          if (sessions.get(account)?.blocked) throw blocked(sessions.get(account));
+
+          // An explicit request always goes to the portal, whatever the ledger says. With a default
+          // account, the others log in on their first lookup, in the queue like any lookup
+          const { addr, tags } = toItem(body);
+          const result = await lookupQueue.run(async () => {
+            const session = await openSession(account);
+            const key = resolveLedgerKey(ledger, lookupKey(lookup));
+            if (!session.blocked) markPending(ledger, key, addr);
+            return processItem({ id: 1, context: session.context, page: session.page, session }, { addr, key, lookup, tags });
+          });
+          if (!result) throw blocked(sessions.get(account));
+
+          const pdfUrl = result.status === 'downloaded' && result.fhNumber
+            ? `${baseUrl}/certificates/${result.fhNumber}/pdf`
+            : null;
+          return { ...result, pdfUrl };
+        },
+        getCertificatePdf: (fhNumber) => Actor.getValue(kvSafeKey(`${fhNumber}-certificate.pdf`)),
+        health: async () => {
+          const { accounts: accountStates, loginError } = loginSummary();
+          return {
+            ok: !loginError,
+            status: loginError ? 'login_blocked' : lookupQueue.running ? 'busy' : 'ready',
+            flowVersion: flow.version,
+            uptimeMs: Date.now() - serverStarted,
+            accounts: accountStates,
+            queue: { running: lookupQueue.running, pending: lookupQueue.pending, maxPending: maxQueuedLookups },
+            lookups: handled,
+            lastLookupAt: results.at(-1)?.timestamp || null,
+            loginError: loginError || null,
+          };
+        },
+      });
+
+      const api = await startApiServer(server, port);
+      log.info(`🌐 API listening on port ${api.port}${apiKey ? ' (API key required)' : ''}: POST /lookup, GET /certificates/:fhNumber/pdf, GET /health`);
+
+      // Lookups already accepted finish before the server closes
+      const stop = () => {
+        log.info('🛑 Stopping the API server...');
+        api.close();
+      };
+      Actor.on('aborting', stop);
+      Actor.on('migrating', stop);
+      process.once('SIGTERM', stop);
+      process.once('SIGINT', stop);
+      await api.closed;
+
+      await saveLedger(ledger);
+      await finishRun(notify, {
+        startedAt: new Date(runStarted).toISOString(),
+        finishedAt: new Date().toISOString(),
+        durationMs: Date.now() - runStarted,
+        mode,
+        requested: handled,
+        processed: handled,
+        ...loginSummary(),
+        stepTimings: summarizeTimings(results),
+      }, results);
+      log.info(`✅ API server stopped after ${handled} lookup(s)`);
+      return;
+    }
+
+    // Inventory of everything the account can see; with fetchDiscovered, certificates the
+    // ledger has never seen are queued like input items (by address, checked against the FH number)
+    let discovery = null;
+    if (discovering) {
+      const { certificates, pages } = await discoverCertificates(primary.page, {
+        loginUrl,
+        listingUrl,
+        maxPages: maxListingPages,
+        throttle,
+        timeouts,
+      });
+
+      for (const cert of certificates) {
+        const keys = [cert.fhNumber, cert.address && normalizeAddress(cert.address)].filter(Boolean);
+        cert.inLedger = keys.some((k) => ledger[resolveLedgerKey(ledger, k)]);
+        if (cert.inLedger || !fetchDiscovered || queue.length >= maxAddressesPerRun) continue;
+
+        const lookup = cert.address
+          ? { type: 'address', value: cert.address, fhNumber: cert.fhNumber }
+          : cert.fhNumber ? { type: 'fhNumber', value: cert.fhNumber } : { type: 'evaluationId', value: cert.evaluationId };
+        const key = cert.fhNumber || lookupKey(lookup);
+        if (queue.some((q) => q.key === key)) continue;
+
+        markPending(ledger, key, lookupLabel(lookup));
+        queue.push({ addr: lookupLabel(lookup), key, lookup, tags: {}, account: runAccount });
+      }
+      await saveLedger(ledger);
+
+      const inventory = await saveInventory(certificates, { pages });
+      discovery = {
+        total: inventory.total,
+        pages,
+        notInLedger: certificates.filter((c) => !c.inLedger).length,
+        queued: queue.length,
+      };
+      log.info(`🗂️ Discovered ${discovery.total} certificate(s), ${discovery.notInLedger} not in the ledger, ${discovery.queued} queued`);
+
+      if (!queue.length) {
+        await finishRun(notify, {
+          startedAt: new Date(runStarted).toISOString(),
+          finishedAt: new Date().toISOString(),
+          requested: 0,
+          processed: 0,
+          ...loginSummary(),
+          discovery,
+        });
+        return;
+      }
+    }
+
+    // Each account's items run together, accounts in the order they first appear, with
+    // their workers sharing that account's login session
+    const aliases = [...new Set(queue.map((q) => q.account))];
+    for (const alias of aliases) {
+      const items = queue.filter((q) => q.account === alias);
+      const session = await openSession(alias);
+      if (session.loginError) {
+        log.warning(`⏸️ Leaving ${items.length} address(es) of account "${alias}" pending - login failed (${session.loginError.code})`);
+        continue;
+      }
+
+      workerCount = Math.max(1, Math.min(Number(concurrency) || 1, items.length));
+      const workers = [{ id: 1, context: session.context, page: session.page, session }];
+
+      if (workerCount > 1) {
+        const storageState = await session.context.storageState();
+        for (let id = 2; id <= workerCount; id++) {
+          // A worker that cannot open the portal is left out; the others take its share
+          let workerContext = null;
+          try {
+            workerContext = await browser.newContext({ ...CONTEXT_OPTIONS, storageState });
+            const workerPage = await workerContext.newPage();
+            await workerPage.goto(loginUrl, { waitUntil: 'domcontentloaded', timeout: timeouts.navigation });
+            await settleNetwork(workerPage, timeouts);
+            workers.push({ id, context: workerContext, page: workerPage, session });
+          } catch (error) {
+            log.warning(`⚠️ Worker ${id} could not open the portal, continuing without it: ${error.message}`);
+            await workerContext?.close().catch(() => {});
+          }
         }
-      } catch (e) {
-        // Continue
+        workerCount = workers.length;
+        log.info(`👷 Started ${workerCount} workers sharing the "${alias}" login session`);
       }
 
-      // Return to main page
-      await page.goto(loginUrl, { waitUntil: 'networkidle' });
-      await page.waitForTimeout(2000);
+      await runWorkerPool(items, workers, processItem);
 
-      handled++;
+      // The next account gets its own contexts
+      if (aliases.length > 1) await Promise.all(workers.map((w) => w.context.close().catch(() => {})));
     }
 
+    await saveLedger(ledger);
+
+    // One merged PDF (with an index page) and a ZIP of this run's certificates for the office;
+    // a packet that fails to build does not fail the lookups it is made of
+    const certificatePacket = packet
+      ? await saveCertificatePacket(results).catch((error) => {
+        log.error(`❌ Certificate packet failed: ${error.message}`);
+        return { error: error.message };
+      })
+      : null;
+
+    // Step timings across the run, to spot portal slowdowns between runs
+    const stepTimings = summarizeTimings(results);
+    const logins = loginSummary();
+    const output = await finishRun(notify, {
+      startedAt: new Date(runStarted).toISOString(),
+      finishedAt: new Date().toISOString(),
+      durationMs: Date.now() - runStarted,
+      requested: discovering ? queue.length : addresses.length,
+      processed: handled,
+      webhookFailures: results.filter((r) => r.webhook && !r.webhook.delivered).length,
+      concurrency: Math.max(1, Math.min(Number(concurrency) || 1, queue.length)),
+      ...logins,
+      stepTimings,
+      ...(discovery && { discovery }),
+      ...(certificatePacket && { packet: certificatePacket }),
+    }, results);
+
+    log.info('⏱️ Step timings (avg / p95 / max ms):');
+    for (const [step, t] of Object.entries(stepTimings)) {
+      log.info(`   ${step.padEnd(16)} ${t.avgMs} / ${t.p95Ms} / ${t.maxMs}`);
+    }
+    log.info(`📊 By status: ${Object.entries(output.statusCounts).filter(([, n]) => n).map(([status, n]) => `${status} ${n}`).join(', ')}`);
     log.info(`✅ Run complete! Processed ${handled} addresses`);
 
+    // An account that never logged in fails the run - after the other accounts' items - so alerts fire
+    const failedLogins = [...sessions.values()].filter((s) => s.loginError);
+    if (failedLogins.length) {
+      await browser.close().catch(() => {});
+      await Actor.fail(`❌ Login failed: ${failedLogins.map((s) => `"${s.alias}" (${s.loginError.code}) ${s.loginError.message}`).join('; ')}`);
+      return;
+    }
+    if (logins.loginError) {
+      log.error(`❌ Stopped early - login failed (${logins.loginError.code}): ${logins.loginError.message}`);
+    }
+
   } finally {
+    await closeDestinations(destinations).catch(() => {});
     await browser.close().catch(() => {});
     await Actor.exit();
   }
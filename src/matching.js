@@ -0,0 +1,80 @@
+// src/matching.js - scores autocomplete options against the searched address
+import { normalizeAddress, parseAddressParts } from './normalize.js';
+
+const WEIGHTS = { number: 0.4, street: 0.4, city: 0.1, zip: 0.1, unit: 0.2 };
+
+function tokenCoverage(needles, haystack) {
+  if (!needles.length) return 0;
+  const hay = new Set(haystack);
+  return needles.filter((t) => hay.has(t)).length / needles.length;
+}
+
+/**
+ * Score one dropdown option against the parsed search address (0..1).
+ * A street-number, ZIP or unit mismatch is treated as a different property.
+ */
+export function scoreCandidate(target, optionText) {
+  const optionTokens = normalizeAddress(optionText).split(' ').filter((t) => t && !t.startsWith('#'));
+  const optionUnit = parseAddressParts(optionText).unit;
+  const optionZip = (optionText.match(/\b\d{5}(?:-\d{4})?\b/g) || [])
+    .map((z) => z.slice(0, 5))
+    .filter((z) => z !== target.number);
+
+  let total = 0;
+  let weight = 0;
+
+  if (target.number) {
+    if (!optionTokens.includes(target.number)) return 0;
+    total += WEIGHTS.number;
+    weight += WEIGHTS.number;
+  }
+
+  if (target.street.length) {
+    total += WEIGHTS.street * tokenCoverage(target.street, optionTokens);
+    weight += WEIGHTS.street;
+  }
+
+  if (target.city.length) {
+    total += WEIGHTS.city * tokenCoverage(target.city, optionTokens);
+    weight += WEIGHTS.city;
+  }
+
+  if (target.zip && optionZip.length) {
+    if (!optionZip.includes(target.zip)) return 0;
+    total += WEIGHTS.zip;
+    weight += WEIGHTS.zip;
+  }
+
+  // Apt 2 is not Apt 3; an option without a unit is only a weaker match
+  if (target.unit) {
+    if (optionUnit && optionUnit !== target.unit) return 0;
+    total += optionUnit ? WEIGHTS.unit : 0;
+    weight += WEIGHTS.unit;
+  }
+
+  return weight ? Math.round((total / weight) * 1000) / 1000 : 0;
+}
+
+/**
+ * Rank every dropdown option and decide whether the best one is safe to click.
+ * Returns { best, candidates, ambiguous, reason } where candidates are sorted by score.
+ */
+export function pickBestMatch(searchAddress, optionTexts, { threshold = 0.75, margin = 0.1 } = {}) {
+  const target = parseAddressParts(searchAddress);
+
+  const candidates = optionTexts
+    .map((text, index) => ({ index, text: (text || '').replace(/\s+/g, ' ').trim(), score: scoreCandidate(target, text || '') }))
+    .sort((a, b) => b.score - a.score);
+
+  const [best, runnerUp] = candidates;
+
+  if (!best || best.score < threshold) {
+    return { best: null, candidates, ambiguous: true, reason: `No option reached the ${threshold} match threshold` };
+  }
+
+  if (runnerUp && best.score - runnerUp.score < margin) {
+    return { best: null, candidates, ambiguous: true, reason: `Options "${best.text}" and "${runnerUp.text}" are too close to call` };
+  }
+
+  return { best, candidates, ambiguous: false, reason: null };
+}
@@ -0,0 +1,234 @@
+// src/normalize.js - address and date normalization for ledger keys, matching and output
+
+// ==================== ADDRESS TOKENS ====================
+
+// USPS street suffix abbreviations (Publication 28, Appendix C1) → full word
+const STREET_SUFFIXES = {
+  aly: 'alley', ave: 'avenue', av: 'avenue', bch: 'beach', bnd: 'bend', blvd: 'boulevard',
+  br: 'branch', brg: 'bridge', byp: 'bypass', cswy: 'causeway', ctr: 'center', cir: 'circle',
+  cv: 'cove', ct: 'court', cres: 'crescent', crk: 'creek', xing: 'crossing', dr: 'drive',
+  est: 'estate', ests: 'estates', expy: 'expressway', ext: 'extension', fwy: 'freeway',
+  gdn: 'garden', gdns: 'gardens', grn: 'green', grv: 'grove', hbr: 'harbor', hts: 'heights',
+  hwy: 'highway', hl: 'hill', holw: 'hollow', is: 'island', jct: 'junction', lk: 'lake',
+  lndg: 'landing', ln: 'lane', mnr: 'manor', mdw: 'meadow', mdws: 'meadows', mtn: 'mountain',
+  pkwy: 'parkway', psge: 'passage', pl: 'place', plz: 'plaza', pt: 'point', rdg: 'ridge',
+  riv: 'river', rd: 'road', shr: 'shore', shrs: 'shores', spg: 'spring', sq: 'square',
+  sta: 'station', st: 'street', ter: 'terrace', trce: 'trace', trl: 'trail', tpke: 'turnpike',
+  vly: 'valley', vw: 'view', vlg: 'village', vis: 'vista', wy: 'way',
+};
+
+const DIRECTIONALS = {
+  n: 'north', s: 'south', e: 'east', w: 'west',
+  ne: 'northeast', nw: 'northwest', se: 'southeast', sw: 'southwest',
+};
+
+// Secondary unit designators → USPS abbreviation. "FL" (floor) is left out: it is far more
+// often Florida. A bare "#" has no designator.
+const UNIT_DESIGNATORS = {
+  apt: 'apt', apartment: 'apt', ste: 'ste', suite: 'ste', unit: 'unit', bldg: 'bldg',
+  building: 'bldg', floor: 'fl', rm: 'rm', room: 'rm', lot: 'lot', spc: 'spc', space: 'spc',
+  trlr: 'trlr', trailer: 'trlr',
+};
+
+// Unit ids contain a digit or are a single letter ("2", "4B", "A", "A-1"), so "Lot Rd" is a street
+const UNIT_PATTERN = new RegExp(
+  `(?:^|[\\s,])((?:(${Object.keys(UNIT_DESIGNATORS).join('|')})(?:\\.\\s*|\\s*#\\s*|\\s+)|#\\s*)([0-9][a-z0-9-]*|[a-z](?:-?[0-9]+)?))(?=$|[\\s,])`,
+  'i',
+);
+
+const ZIP_PATTERN = /^\d{5}(-\d{4})?$/;
+
+/**
+ * Pull the secondary unit ("Apt 2", "Suite 300", "#4B") out of an address.
+ * Returns `{ rest, unit }` where unit is `{ text, designator, id }` or null.
+ */
+export function extractUnit(value = '') {
+  const text = String(value);
+  const m = text.match(UNIT_PATTERN);
+  if (!m) return { rest: text.replace(/\s+/g, ' ').trim(), unit: null };
+
+  const start = m.index + m[0].indexOf(m[1]);
+  const rest = `${text.slice(0, start)} ${text.slice(start + m[1].length)}`
+    .replace(/\s*,\s*(?=,|$)/g, '')
+    .replace(/\s+,/g, ',')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  return {
+    rest,
+    unit: {
+      text: m[1].trim(),
+      designator: m[2] ? UNIT_DESIGNATORS[m[2].toLowerCase()] : null,
+      id: m[3].toLowerCase(),
+    },
+  };
+}
+
+/**
+ * Lowercased tokens with suffixes and directionals spelled out ("S" → "south", "Rd" → "road").
+ * The two-letter token right before a ZIP is a state and stays as it is (CT, NE).
+ */
+function canonicalTokens(text) {
+  const tokens = String(text).toLowerCase().replace(/[^a-z0-9\s-]/g, ' ').split(/\s+/)
+    .filter((t) => t && t !== '-');
+  const stateIndex = tokens.findIndex((t, i) => i > 0 && ZIP_PATTERN.test(t) && /^[a-z]{2}$/.test(tokens[i - 1])) - 1;
+
+  return tokens.map((t, i) => (i === stateIndex ? t : STREET_SUFFIXES[t] || DIRECTIONALS[t] || t));
+}
+
+/**
+ * Ledger / comparison key: "513 Malaga Dr., Apt 2, Mobile, AL 36608" → "513 malaga drive mobile al 36608 #2".
+ * The unit is kept (as `#id`, whatever its designator) so two apartments never share a key.
+ */
+export function normalizeAddress(value = '') {
+  const { rest, unit } = extractUnit(value || '');
+  return [...canonicalTokens(rest), ...(unit ? [`#${unit.id}`] : [])].join(' ');
+}
+
+/**
+ * Split a free-form address into matching parts.
+ * "513 Malaga Dr, Apt 2, Gulf Shores, AL 36542" →
+ * { number: '513', street: ['malaga','drive'], unit: '2', city: ['gulf','shores'], state: 'al', zip: '36542' }
+ */
+export function parseAddressParts(raw = '') {
+  const { rest, unit } = extractUnit(raw || '');
+
+  // Last 5-digit group that isn't the leading street number
+  const zips = [...rest.matchAll(/\b(\d{5})(?:-\d{4})?\b/g)].filter((m) => rest.slice(0, m.index).trim());
+  const zip = zips.length ? zips[zips.length - 1][1] : null;
+
+  const segments = rest.split(',').map((s) => s.trim()).filter(Boolean);
+  const street = canonicalTokens(segments[0] || '');
+
+  let number = null;
+  if (/^\d+[a-z]?$/.test(street[0] || '')) {
+    number = street.shift();
+  }
+
+  // City is the segment after the street, minus any state/ZIP that shares it
+  let city = [];
+  let state = null;
+  if (segments.length > 1) {
+    city = canonicalTokens(segments[1]).filter((t) => !ZIP_PATTERN.test(t));
+    if (segments.length === 2 && city.length > 1 && /^[a-z]{2}$/.test(city[city.length - 1])) {
+      state = city.pop();
+    }
+  }
+  if (!state) state = rest.match(/\b([A-Za-z]{2})\s+\d{5}(?:-\d{4})?\s*$/)?.[1].toLowerCase() || null;
+
+  return {
+    number,
+    street: street.filter((t) => !/^\d{5}$/.test(t)),
+    unit: unit?.id || null,
+    city,
+    state,
+    zip,
+  };
+}
+
+/**
+ * Split "520 Novatan Rd S, Apt 2, Mobile, AL 36608" into display parts, keeping the
+ * original spelling: { street: '520 Novatan Rd S', unit: 'Apt 2', city: 'Mobile', state: 'AL', zip: '36608' }.
+ */
+export function splitAddress(value = '') {
+  const parts = { street: null, unit: null, city: null, state: null, zip: null };
+  const { rest, unit } = extractUnit(value || '');
+  parts.unit = unit?.text || null;
+
+  const segments = rest.split(',').map((s) => s.trim()).filter(Boolean);
+  if (!segments.length) return parts;
+
+  parts.street = segments.shift();
+
+  const tail = segments.join(' ');
+  const stateZip = tail.match(/\b([A-Z]{2})\s*(\d{5})(?:-\d{4})?\s*$/i);
+  if (stateZip) {
+    parts.state = stateZip[1].toUpperCase();
+    parts.zip = stateZip[2];
+  } else {
+    const zipOnly = tail.match(/\b(\d{5})(?:-\d{4})?\s*$/);
+    if (zipOnly) parts.zip = zipOnly[1];
+  }
+
+  if (segments.length) {
+    parts.city = segments[0].replace(/\b[A-Z]{2}\s*\d{5}(-\d{4})?\s*$/i, '').replace(/\b\d{5}(-\d{4})?\s*$/, '').trim() || null;
+  }
+
+  return parts;
+}
+
+// ==================== DATES ====================
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const MONTH_NAME = '[A-Za-z]{3,9}\\.?';
+const YEAR = "'?(?:\\d{4}|\\d{2})";
+
+/**
+ * Any date `toDateKey` understands, for finding one in free text:
+ * 2030-08-08, 8/8/2030, 08-08-30, Aug 8, 2030, August 8th '30, 8 August 2030, 08-Aug-2030.
+ */
+export const DATE_PATTERN = new RegExp([
+  '\\b\\d{4}[-/.]\\d{1,2}[-/.]\\d{1,2}(?!\\d)',
+  '\\b\\d{1,2}[-/.]\\d{1,2}[-/.](?:\\d{4}|\\d{2})\\b',
+  `\\b${MONTH_NAME}\\s+\\d{1,2}(?:st|nd|rd|th)?,?\\s+${YEAR}\\b`,
+  `\\b\\d{1,2}(?:st|nd|rd|th)?[\\s-]+${MONTH_NAME}[\\s,-]+${YEAR}\\b`,
+].join('|'), 'i');
+
+const monthIndex = (word) => {
+  const w = word.toLowerCase().replace(/\.$/, '');
+  if (w.length < 3) return -1;
+  return MONTHS.findIndex((m) => m.startsWith(w) || (w === 'sept' && m === 'september'));
+};
+
+// Two-digit years are 2000-2069 / 1970-1999
+const fullYear = (y) => {
+  const year = String(y).replace(/^'/, '');
+  if (year.length === 4) return Number(year);
+  return Number(year) < 70 ? 2000 + Number(year) : 1900 + Number(year);
+};
+
+const isoDate = (year, month, day) => {
+  const y = fullYear(year);
+  const m = Number(month);
+  const d = Number(day);
+  const date = new Date(Date.UTC(y, m - 1, d));
+  if (date.getUTCFullYear() !== y || date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) return null;
+  return `${y}-${String(m).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+};
+
+/**
+ * Reduce a date in any supported format to ISO 8601 "2030-08-08", or null.
+ * Numeric dates are read US-style (month first) unless the year comes first.
+ */
+export function toDateKey(value) {
+  if (!value) return null;
+  const text = String(value);
+
+  const iso = text.match(/\b(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?!\d)/);
+  if (iso) return isoDate(iso[1], iso[2], iso[3]);
+
+  const numeric = text.match(/\b(\d{1,2})[-/.](\d{1,2})[-/.](\d{4}|\d{2})\b/);
+  if (numeric) return isoDate(numeric[3], numeric[1], numeric[2]);
+
+  // Words that only look like months ("Decision 3 2029") are skipped, not fatal
+  const monthFirst = new RegExp(`\\b(${MONTH_NAME})\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(${YEAR})\\b`, 'gi');
+  for (const [, name, day, year] of text.matchAll(monthFirst)) {
+    if (monthIndex(name) >= 0) return isoDate(year, monthIndex(name) + 1, day);
+  }
+
+  const dayFirst = new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?[\\s-]+(${MONTH_NAME})[\\s,-]+(${YEAR})\\b`, 'gi');
+  for (const [, day, name, year] of text.matchAll(dayFirst)) {
+    if (monthIndex(name) >= 0) return isoDate(year, monthIndex(name) + 1, day);
+  }
+
+  return null;
+}
+
+/**
+ * First date within 30 characters after a label in free text, as written
+ * ("Expires on: March 3, 2029" with label "Expir" → "March 3, 2029"), or null.
+ */
+export function findLabelledDate(text, label) {
+  const m = String(text || '').match(new RegExp(`${label}\\w*[^\\n]{0,30}?(${DATE_PATTERN.source})`, 'i'));
+  return m ? m[1] : null;
+}
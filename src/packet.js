@@ -0,0 +1,215 @@
+// src/packet.js - certificate PDF metadata, and one merged packet (plus a ZIP) per run
+import { Actor, log } from 'apify';
+import { PDFDocument, PDFName, PDFHexString, PDFSignature, StandardFonts, rgb } from 'pdf-lib';
+import { zipFiles } from './artifacts.js';
+import { toCsv } from './report.js';
+import { sanitizeFileName, recordUrl } from './utils.js';
+
+export const PACKET_PDF_KEY = 'certificate-packet.pdf';
+export const PACKET_ZIP_KEY = 'certificate-packet.zip';
+
+// Statuses whose PDF was verified and stored (an upload failure does not change the file)
+const PACKET_STATUSES = ['downloaded', 'upload_failed'];
+
+// The standard fonts only encode Latin-1; anything else would make pdf-lib throw
+const pdfText = (value) => String(value ?? '').replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+
+// ==================== METADATA ====================
+
+// Only look for signature fields when the PDF has a form; getForm() would add an empty one
+const hasSignatureFields = (doc) => Boolean(doc.catalog.getAcroForm())
+  && doc.getForm().getFields().some((field) => field instanceof PDFSignature);
+
+/**
+ * The certificate PDF with its details in the document info: title, subject (the address),
+ * keywords, and `FHNumber` / `Address` / `ApprovedAt` / `ExpirationDate` entries for
+ * scripts that read them. Returns the PDF unchanged when it cannot be rewritten (e.g. it
+ * is encrypted) or carries signature fields, which rewriting it would invalidate - the
+ * certificate matters more than its metadata.
+ */
+export async function stampCertificateMetadata(buffer, { fhNumber, address, approvedAt, expirationDate, designation } = {}) {
+  try {
+    const doc = await PDFDocument.load(buffer, { updateMetadata: false });
+    if (hasSignatureFields(doc)) {
+      log.info('🔏 Certificate PDF has signature fields - leaving it as downloaded');
+      return buffer;
+    }
+
+    doc.setTitle(pdfText(['IBHS certificate', fhNumber, address && `- ${address}`].filter(Boolean).join(' ')));
+    if (address) doc.setSubject(pdfText(address));
+    doc.setKeywords([fhNumber, designation, expirationDate && `expires ${expirationDate}`].filter(Boolean).map(pdfText));
+    doc.setModificationDate(new Date());
+
+    const info = doc.getInfoDict();
+    const custom = { FHNumber: fhNumber, Address: address, ApprovedAt: approvedAt, ExpirationDate: expirationDate };
+    for (const [name, value] of Object.entries(custom)) {
+      if (value) info.set(PDFName.of(name), PDFHexString.fromText(String(value)));
+    }
+    return Buffer.from(await doc.save());
+  } catch (error) {
+    log.warning(`⚠️ Could not add metadata to the certificate PDF: ${error.message}`);
+    return buffer;
+  }
+}
+
+// ==================== PACKET ====================
+
+const PAGE = { width: 612, height: 792, margin: 40 };
+const ROW_HEIGHT = 18;
+const ROWS_PER_PAGE = 32;
+
+const INDEX_COLUMNS = [
+  { key: 'no', label: '#', width: 22 },
+  { key: 'address', label: 'Address', width: 186 },
+  { key: 'fhNumber', label: 'FH number', width: 74 },
+  { key: 'designation', label: 'Designation', width: 96 },
+  { key: 'approvedAt', label: 'Approved', width: 62 },
+  { key: 'expirationDate', label: 'Expires', width: 62 },
+  { key: 'page', label: 'Page', width: 30 },
+];
+
+export const INDEX_CSV_COLUMNS = ['no', 'address', 'fhNumber', 'designation', 'approvedAt', 'expirationDate', 'page', 'file'];
+
+function fitText(text, font, size, width) {
+  let out = pdfText(text);
+  if (font.widthOfTextAtSize(out, size) <= width) return out;
+  while (out && font.widthOfTextAtSize(`${out}...`, size) > width) out = out.slice(0, -1);
+  return `${out}...`;
+}
+
+function drawIndexPage(packet, rows, { title, subtitle, pageNumber, pageCount, font, bold }) {
+  const page = packet.addPage([PAGE.width, PAGE.height]);
+  let y = PAGE.height - PAGE.margin - 16;
+
+  page.drawText(pdfText(title), { x: PAGE.margin, y, size: 16, font: bold });
+  y -= 18;
+  page.drawText(pdfText(`${subtitle}${pageCount > 1 ? ` - index page ${pageNumber} of ${pageCount}` : ''}`), {
+    x: PAGE.margin, y, size: 9, font, color: rgb(0.35, 0.35, 0.35),
+  });
+  y -= 28;
+
+  const drawRow = (cells, rowFont) => {
+    let x = PAGE.margin;
+    for (const { key, width } of INDEX_COLUMNS) {
+      page.drawText(fitText(cells[key] ?? '', rowFont, 8, width - 6), { x, y, size: 8, font: rowFont });
+      x += width;
+    }
+    y -= ROW_HEIGHT;
+  };
+
+  drawRow(Object.fromEntries(INDEX_COLUMNS.map((c) => [c.key, c.label])), bold);
+  page.drawLine({
+    start: { x: PAGE.margin, y: y + ROW_HEIGHT - 5 },
+    end: { x: PAGE.width - PAGE.margin, y: y + ROW_HEIGHT - 5 },
+    thickness: 0.5,
+  });
+  for (const row of rows) drawRow({ ...row, page: row.page ?? '-' }, font);
+}
+
+/**
+ * One PDF for the run: index page(s) listing address, FH number, designation, approved
+ * and expiration dates and the page each certificate starts on, then the certificates in
+ * that order. `entries` are `{ result, pdf }`; a PDF that cannot be read is listed without
+ * a page and left out. Returns `{ pdf, rows, pages }`.
+ */
+export async function buildCertificatePacket(entries, { title = 'IBHS certificate packet', generatedAt = new Date() } = {}) {
+  const sources = [];
+  for (const { result, pdf } of entries) {
+    const source = await PDFDocument.load(pdf).catch((error) => {
+      log.warning(`⚠️ Leaving ${result.fhNumber || result.address} out of the packet: ${error.message}`);
+      return null;
+    });
+    sources.push(source);
+  }
+
+  const indexPages = Math.max(1, Math.ceil(entries.length / ROWS_PER_PAGE));
+  let nextPage = indexPages + 1;
+  const rows = entries.map(({ result }, i) => {
+    const page = sources[i] ? nextPage : null;
+    if (sources[i]) nextPage += sources[i].getPageCount();
+    return {
+      no: i + 1,
+      address: result.buildingAddress || result.address,
+      fhNumber: result.fhNumber || null,
+      designation: result.designation || null,
+      approvedAt: result.approvedAt || null,
+      expirationDate: result.expirationDate || null,
+      page,
+      file: result.fileName || null,
+    };
+  });
+
+  const packet = await PDFDocument.create();
+  const font = await packet.embedFont(StandardFonts.Helvetica);
+  const bold = await packet.embedFont(StandardFonts.HelveticaBold);
+  const included = sources.filter(Boolean).length;
+  const subtitle = `${included} certificate(s), generated ${generatedAt.toISOString().replace('T', ' ').slice(0, 16)} UTC`;
+
+  for (let p = 0; p < indexPages; p++) {
+    const pageRows = rows.slice(p * ROWS_PER_PAGE, (p + 1) * ROWS_PER_PAGE);
+    drawIndexPage(packet, pageRows, { title, subtitle, pageNumber: p + 1, pageCount: indexPages, font, bold });
+  }
+  for (const source of sources.filter(Boolean)) {
+    const pages = await packet.copyPages(source, source.getPageIndices());
+    for (const page of pages) packet.addPage(page);
+  }
+
+  packet.setTitle(pdfText(title));
+  packet.setSubject(pdfText(subtitle));
+  packet.setCreationDate(generatedAt);
+
+  return { pdf: Buffer.from(await packet.save()), rows, pages: packet.getPageCount() };
+}
+
+/**
+ * The packet, its index as CSV and every certificate under `certificates/`, in one ZIP.
+ */
+export async function buildPacketZip(entries, { pdf, rows }) {
+  const files = {
+    [PACKET_PDF_KEY]: pdf,
+    'index.csv': toCsv(rows, INDEX_CSV_COLUMNS),
+  };
+  for (const [i, { result, pdf: certificate }] of entries.entries()) {
+    let name = `certificates/${sanitizeFileName(result.fileName || `${result.fhNumber || `certificate-${i + 1}`}.pdf`)}`;
+    // Two addresses can share a certificate file name (e.g. the same FH number twice)
+    if (files[name]) name = name.replace(/\.pdf$/i, `-${i + 1}.pdf`);
+    files[name] = certificate;
+  }
+  return zipFiles(files);
+}
+
+/**
+ * After a batch: the packet PDF and ZIP of every certificate this run stored, saved as
+ * `certificate-packet.pdf` / `.zip` next to the `<FH>-certificate.pdf` records. Returns
+ * `{ certificates, skipped, pages, pdfKey, pdfUrl, zipKey, zipUrl }`, or null when the
+ * run stored no certificate.
+ */
+export async function saveCertificatePacket(results) {
+  const entries = [];
+  for (const result of results.filter((r) => PACKET_STATUSES.includes(r.status) && r.certificateFile)) {
+    const pdf = await Actor.getValue(result.certificateFile);
+    if (pdf) entries.push({ result, pdf: Buffer.from(pdf) });
+  }
+  if (!entries.length) {
+    log.info('📚 No certificates stored this run - no packet');
+    return null;
+  }
+
+  log.info(`📚 Building the certificate packet from ${entries.length} certificate(s)...`);
+  const { pdf, rows, pages } = await buildCertificatePacket(entries);
+  await Actor.setValue(PACKET_PDF_KEY, pdf, { contentType: 'application/pdf' });
+  await Actor.setValue(PACKET_ZIP_KEY, await buildPacketZip(entries, { pdf, rows }), { contentType: 'application/zip' });
+
+  const packet = {
+    certificates: rows.filter((r) => r.page).length,
+    skipped: rows.filter((r) => !r.page).length,
+    pages,
+    pdfKey: PACKET_PDF_KEY,
+    pdfUrl: recordUrl(PACKET_PDF_KEY),
+    zipKey: PACKET_ZIP_KEY,
+    zipUrl: recordUrl(PACKET_ZIP_KEY),
+  };
+  log.info(`📚 Packet saved: ${PACKET_PDF_KEY} (${pages} pages) and ${PACKET_ZIP_KEY}`);
+  log.info(`🔗 Packet: ${packet.pdfUrl}`);
+  return packet;
+}
@@ -0,0 +1,41 @@
+// src/pool.js - worker pool and the run-wide rate limiter shared by its workers
+import { sleep, jitter } from './utils.js';
+
+/**
+ * Returns an async `throttle()` that spaces calls at least `minIntervalMs` (plus jitter)
+ * apart across every caller, so N workers together still hit the portal at the polite rate.
+ */
+export function createRateLimiter(minIntervalMs) {
+  let nextSlot = 0;
+
+  return async function throttle() {
+    const now = Date.now();
+    const slot = Math.max(now, nextSlot);
+    nextSlot = slot + (minIntervalMs > 0 ? jitter(minIntervalMs) : 0);
+    if (slot > now) await sleep(slot - now);
+  };
+}
+
+/**
+ * Hand `items` out to `workers.length` workers; each worker takes the next item as soon
+ * as it is free. `handler(worker, item)` errors are left to the handler — one failing
+ * item must not stop the pool: a handler that throws anyway does not stop its worker, and
+ * the first such error is rethrown once every item has been handled.
+ */
+export async function runWorkerPool(items, workers, handler) {
+  let next = 0;
+  const errors = [];
+
+  await Promise.all(workers.map(async (worker) => {
+    while (next < items.length) {
+      const item = items[next++];
+      try {
+        await handler(worker, item);
+      } catch (error) {
+        errors.push(error);
+      }
+    }
+  }));
+
+  if (errors.length) throw errors[0];
+}
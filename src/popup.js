@@ -0,0 +1,207 @@
+// src/popup.js - structured parser for the certificate details dialog
+import { Actor, log } from 'apify';
+import { sanitizeFileName } from './utils.js';
+import { splitAddress, toDateKey, findLabelledDate, DATE_PATTERN } from './normalize.js';
+
+const FH_PATTERN = /FE?H[\s:-]?\d{8,}/i;
+
+export const POPUP_FIELDS = [
+  'fhNumber', 'approvedAt', 'expirationDate',
+  'buildingAddress', 'buildingStreet', 'buildingUnit', 'buildingCity', 'buildingState', 'buildingZip',
+  'designation', 'program', 'status',
+];
+
+/**
+ * Label → field rules. Labels must match the whole (trimmed, colon-less) label text,
+ * so a stray "program" word elsewhere in the dialog can no longer be picked up.
+ * `accept` rejects values that can't be right for the field (e.g. a date without digits).
+ */
+const FIELD_RULES = [
+  { field: 'fhNumber', label: /^(fe?h|fortified|certificate|evaluation)\s*(#|no\.?|num(ber)?|id)?$/i, accept: (v) => FH_PATTERN.test(v) },
+  { field: 'approvedAt', label: /^(date\s+)?approv(ed|al)(\s+(at|on|date))?$/i, accept: (v) => DATE_PATTERN.test(v) },
+  { field: 'expirationDate', label: /^(date\s+of\s+)?expir(es|ation|y)(\s+date)?$/i, accept: (v) => DATE_PATTERN.test(v) },
+  { field: 'buildingAddress', label: /^(building|property|home|site)?\s*address(\s+line\s*1)?$/i, accept: (v) => /\d/.test(v) && /[a-z]/i.test(v) },
+  { field: 'buildingCity', label: /^(building\s+)?city$/i },
+  { field: 'buildingState', label: /^(building\s+)?state$/i, accept: (v) => /^[a-z]{2}$|^[a-z ]{4,}$/i.test(v) },
+  { field: 'buildingZip', label: /^(building\s+)?(zip|postal)(\s*code)?$/i, accept: (v) => /\d{5}/.test(v) },
+  { field: 'designation', label: /^(designation(\s+level)?|level)$/i },
+  { field: 'program', label: /^program(\s+(name|type))?$/i },
+  { field: 'status', label: /^(evaluation\s+|certificate\s+)?status$/i },
+];
+
+// ==================== DOM COLLECTION ====================
+
+/**
+ * Runs inside the browser: walk definition lists, tables, form fields and
+ * "Label: value" elements under the dialog and return every pair found,
+ * tagged with where it came from. Also returns the dialog's innerText for fallbacks.
+ */
+function collectPairsInPage(root) {
+  const clean = (s) => (s || '').replace(/\s+/g, ' ').trim();
+  const stripColon = (s) => clean(s).replace(/[:\s]+$/, '');
+  const pairs = [];
+
+  for (const dl of root.querySelectorAll('dl')) {
+    let label = null;
+    for (const el of dl.querySelectorAll('dt, dd')) {
+      if (el.tagName === 'DT') label = stripColon(el.textContent);
+      else if (label) pairs.push({ label, value: clean(el.textContent), source: 'definitionList' });
+    }
+  }
+
+  for (const table of root.querySelectorAll('table')) {
+    const rows = [...table.rows];
+    const headerCells = rows[0] ? [...rows[0].cells] : [];
+    const hasHeaderRow = rows.length > 1 && headerCells.length > 1 && headerCells.every((c) => c.tagName === 'TH');
+
+    if (hasHeaderRow) {
+      const headers = headerCells.map((c) => stripColon(c.textContent));
+      for (const row of rows.slice(1)) {
+        [...row.cells].forEach((cell, i) => {
+          if (headers[i]) pairs.push({ label: headers[i], value: clean(cell.textContent), source: 'table' });
+        });
+      }
+    } else {
+      for (const row of rows) {
+        const cells = [...row.cells];
+        for (let i = 0; i + 1 < cells.length; i += 2) {
+          pairs.push({ label: stripColon(cells[i].textContent), value: clean(cells[i + 1].textContent), source: 'table' });
+        }
+      }
+    }
+  }
+
+  for (const field of root.querySelectorAll('input, textarea, select')) {
+    const byFor = field.id ? root.querySelector(`label[for="${CSS.escape(field.id)}"]`) : null;
+    const label = byFor?.textContent || field.closest('label')?.textContent ||
+      field.getAttribute('aria-label') || field.getAttribute('placeholder') || field.name;
+    const value = field.tagName === 'SELECT' ? field.selectedOptions[0]?.textContent : field.value;
+    if (label && value) pairs.push({ label: stripColon(label), value: clean(value), source: 'form' });
+  }
+
+  // Leaf elements: "Label: value" in one node, or a "Label:" node followed by its value
+  for (const el of root.querySelectorAll('label, span, strong, b, p, div, h4, h5, h6')) {
+    if (el.children.length || el.closest('dl, table')) continue;
+    const text = clean(el.textContent);
+    const inline = text.match(/^([A-Za-z][A-Za-z #./]{1,40}):\s*(.+)$/);
+    if (inline) {
+      pairs.push({ label: stripColon(inline[1]), value: clean(inline[2]), source: 'label' });
+    } else if (/:$/.test(text) || el.tagName === 'LABEL') {
+      const next = el.nextElementSibling;
+      if (next && !['INPUT', 'TEXTAREA', 'SELECT'].includes(next.tagName)) {
+        pairs.push({ label: stripColon(text), value: clean(next.textContent), source: 'label' });
+      }
+    }
+  }
+
+  return { pairs: pairs.filter((p) => p.label && p.value), text: root.innerText || root.textContent || '' };
+}
+
+// ==================== FIELD MAPPING ====================
+
+/**
+ * Map collected label/value pairs onto the popup fields, falling back to regexes over the
+ * dialog text. Returns { data, sources } where sources[field] is definitionList / table /
+ * form / label / regex / derived, or null when nothing was found.
+ */
+export function mapPopupFields({ pairs = [], text = '' }) {
+  const data = Object.fromEntries(POPUP_FIELDS.map((f) => [f, null]));
+  const sources = Object.fromEntries(POPUP_FIELDS.map((f) => [f, null]));
+
+  const set = (field, value, source) => {
+    if (data[field] || !value) return;
+    data[field] = value;
+    sources[field] = source;
+  };
+
+  for (const { label, value, source } of pairs) {
+    for (const rule of FIELD_RULES) {
+      if (rule.label.test(label) && (!rule.accept || rule.accept(value))) {
+        set(rule.field, value, source);
+        break;
+      }
+    }
+  }
+
+  // Regex fallbacks over the dialog text for whatever the structure didn't give us
+  const fh = text.match(FH_PATTERN);
+  if (fh) set('fhNumber', fh[0], 'regex');
+
+  set('approvedAt', findLabelledDate(text, 'Approv'), 'regex');
+
+  set('expirationDate', findLabelledDate(text, 'Expir'), 'regex');
+
+  const address = text.match(/Building\s+Address[:\s]*([^\n]{10,100})/i);
+  if (address) set('buildingAddress', address[1].trim(), 'regex');
+
+  const program = text.match(/\bFORTIFIED\s+(Home|Commercial|Multifamily)\b[^\n]{0,30}/i);
+  if (program) set('program', program[0].trim(), 'regex');
+
+  const designation = text.match(/Designation(?:\s+Level)?[:\s]+(Roof|Silver|Gold)\b/i);
+  if (designation) set('designation', designation[1], 'regex');
+
+  // Normalize values
+  if (data.fhNumber) {
+    data.fhNumber = data.fhNumber.match(FH_PATTERN)?.[0].replace(/[\s:-]/g, '').toUpperCase() || null;
+  }
+  for (const field of ['approvedAt', 'expirationDate']) {
+    if (data[field]) data[field] = toDateKey(data[field]) || data[field];
+  }
+
+  if (data.buildingAddress) {
+    const parts = splitAddress(data.buildingAddress);
+    set('buildingStreet', parts.street, 'derived');
+    set('buildingUnit', parts.unit, 'derived');
+    set('buildingCity', parts.city, 'derived');
+    set('buildingState', parts.state, 'derived');
+    set('buildingZip', parts.zip, 'derived');
+  }
+  if (data.buildingZip) data.buildingZip = data.buildingZip.match(/\d{5}/)?.[0] || data.buildingZip;
+  if (data.buildingState && data.buildingState.length === 2) data.buildingState = data.buildingState.toUpperCase();
+
+  return { data, sources };
+}
+
+// ==================== DATA EXTRACTION FROM POPUP ====================
+
+export async function extractCertificateDataFromPopup(page, address, { timeout = 30_000, dialogSelector = '[role="dialog"]' } = {}) {
+  const empty = mapPopupFields({});
+
+  try {
+    log.info('📊 Extracting data from popup modal...');
+
+    const dialog = page.locator(dialogSelector).first();
+    await dialog.waitFor({ state: 'visible', timeout });
+
+    // Save popup HTML for debugging if needed
+    try {
+      const modalHtml = await dialog.innerHTML();
+      const htmlKey = `popup-html-${sanitizeFileName(address)}-${Date.now()}.html`;
+      await Actor.setValue(htmlKey, modalHtml, { contentType: 'text/html' });
+    } catch (e) {
+      // Continue even if we can't save HTML
+    }
+
+    const collected = await dialog.evaluate(collectPairsInPage);
+    const { data, sources } = mapPopupFields(collected);
+
+    log.info(`   Found ${collected.pairs.length} label/value pairs`);
+    for (const field of POPUP_FIELDS) {
+      if (data[field]) log.info(`   ✓ ${field}: ${data[field]} (${sources[field]})`);
+    }
+
+    log.info('');
+    log.info('📊 Extraction Summary:');
+    log.info(`   FH Number:        ${data.fhNumber || '❌ NOT FOUND'}`);
+    log.info(`   Approved At:      ${data.approvedAt || '❌ NOT FOUND'}`);
+    log.info(`   Expiration Date:  ${data.expirationDate || '❌ NOT FOUND'}`);
+    log.info(`   Building Address: ${data.buildingAddress || '❌ NOT FOUND'}`);
+    log.info('');
+
+    return { ...data, sources };
+
+  } catch (e) {
+    log.error(`❌ Popup extraction error: ${e.message}`);
+    return { ...empty.data, sources: empty.sources };
+  }
+}
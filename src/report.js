@@ -0,0 +1,168 @@
+// src/report.js - expiration watch report built from the ledger (no browser needed)
+import { Actor, log } from 'apify';
+import { loadLedger } from './ledger.js';
+import { toDateKey } from './normalize.js';
+import { recordUrl } from './utils.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const REPORT_DATASET = 'expiration-report';
+
+export const EXPIRATION_BUCKETS = ['expired', 'within30', 'within60', 'within90', 'valid', 'unknown'];
+
+function bucketFor(days) {
+  if (days == null) return 'unknown';
+  if (days < 0) return 'expired';
+  if (days <= 30) return 'within30';
+  if (days <= 60) return 'within60';
+  if (days <= 90) return 'within90';
+  return 'valid';
+}
+
+/**
+ * Turn ledger entries into report rows sorted by soonest expiration.
+ * Days are counted in whole UTC days from `now`. With `includeBuckets`, only rows in those
+ * buckets are kept, and `total` / `counts` describe what was kept.
+ */
+export function buildExpirationReport(ledger, now = new Date(), { includeBuckets } = {}) {
+  const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+
+  const rows = Object.entries(ledger)
+    .filter(([, entry]) => entry.fhNumber || entry.expirationDate)
+    .map(([key, entry]) => {
+      const expirationIso = toDateKey(entry.expirationDate);
+      const days = expirationIso ? Math.round((Date.parse(expirationIso) - today) / DAY_MS) : null;
+      return {
+        key,
+        address: entry.address || key,
+        fhNumber: entry.fhNumber || null,
+        approvedAt: entry.approvedAt || null,
+        expirationDate: entry.expirationDate || null,
+        expirationIso,
+        daysUntilExpiration: days,
+        bucket: bucketFor(days),
+      };
+    })
+    .filter((row) => !includeBuckets?.length || includeBuckets.includes(row.bucket))
+    .sort((a, b) => (a.daysUntilExpiration ?? Infinity) - (b.daysUntilExpiration ?? Infinity));
+
+  const counts = Object.fromEntries(EXPIRATION_BUCKETS.map((b) => [b, 0]));
+  for (const row of rows) counts[row.bucket]++;
+
+  return { generatedAt: now.toISOString(), total: rows.length, counts, rows };
+}
+
+// ==================== EXPORTS ====================
+
+const csvCell = (v) => {
+  const s = v == null ? '' : String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+/**
+ * Rows of objects → CSV with a header line; `columns` picks and orders the fields.
+ */
+export function toCsv(rows, columns) {
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map((c) => csvCell(row[c])).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+export function reportToCsv(report) {
+  return toCsv(report.rows, ['bucket', 'daysUntilExpiration', 'expirationIso', 'fhNumber', 'address', 'approvedAt', 'expirationDate']);
+}
+
+const icsText = (s) => String(s).replace(/[\\;,]/g, (c) => `\\${c}`).replace(/\n/g, '\\n');
+
+/**
+ * One all-day event per certificate on its expiration date, with an alarm
+ * `reminderDays` before so redesignation can be scheduled ahead of the lapse.
+ */
+export function reportToIcs(report, { reminderDays = 60 } = {}) {
+  const stamp = report.generatedAt.replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//ibhs-cert-downloader//expiration report//EN',
+    'CALSCALE:GREGORIAN',
+  ];
+
+  for (const row of report.rows) {
+    if (!row.expirationIso) continue;
+    const day = row.expirationIso.replace(/-/g, '');
+    const label = row.fhNumber || row.address;
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${icsText(`${label}-${day}`)}@ibhs-cert-downloader`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${day}`,
+      `SUMMARY:${icsText(`FORTIFIED certificate expires - ${row.address}`)}`,
+      `DESCRIPTION:${icsText(`FH number: ${row.fhNumber || 'unknown'}\nAddress: ${row.address}\nSchedule redesignation before ${row.expirationIso}.`)}`,
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `DESCRIPTION:${icsText(`Redesignation due for ${row.address}`)}`,
+      `TRIGGER:-P${reminderDays}D`,
+      'END:VALARM',
+      'END:VEVENT',
+    );
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.join('\r\n') + '\r\n';
+}
+
+// ==================== MODE ====================
+
+/**
+ * The report rows in the `expiration-report` dataset, one item per property. The run's own
+ * dataset only holds lookup results (RESULT_SCHEMA); the named one is replaced each run, so
+ * it always holds the latest report.
+ */
+async function saveReportRows(rows) {
+  await (await Actor.openDataset(REPORT_DATASET)).drop();
+  await (await Actor.openDataset(REPORT_DATASET)).pushData(rows);
+  log.info(`📅 ${rows.length} row(s) saved to the ${REPORT_DATASET} dataset`);
+}
+
+/**
+ * `mode: "expirationReport"` — read the ledger and save the report, one row per property,
+ * to the key-value store and the `expiration-report` dataset (plus optional CSV / iCal files).
+ */
+export async function runExpirationReport({ exportFormats = [], reminderDays = 60, includeBuckets } = {}) {
+  log.info('📅 Building expiration report from ledger...');
+
+  const ledger = await loadLedger();
+  const report = buildExpirationReport(ledger, new Date(), { includeBuckets });
+
+  await Actor.setValue('EXPIRATION_REPORT', report);
+  await saveReportRows(report.rows);
+
+  const files = {};
+
+  if (exportFormats.includes('csv')) {
+    await Actor.setValue('expiration-report.csv', reportToCsv(report), { contentType: 'text/csv' });
+    files.csv = recordUrl('expiration-report.csv');
+  }
+
+  if (exportFormats.includes('ics')) {
+    await Actor.setValue('expiration-report.ics', reportToIcs(report, { reminderDays }), { contentType: 'text/calendar' });
+    files.ics = recordUrl('expiration-report.ics');
+  }
+
+  log.info('');
+  log.info('📅 EXPIRATION REPORT:');
+  log.info(`   Expired:          ${report.counts.expired}`);
+  log.info(`   Within 30 days:   ${report.counts.within30}`);
+  log.info(`   Within 60 days:   ${report.counts.within60}`);
+  log.info(`   Within 90 days:   ${report.counts.within90}`);
+  log.info(`   Valid:            ${report.counts.valid}`);
+  log.info(`   Unknown date:     ${report.counts.unknown}`);
+  for (const [format, url] of Object.entries(files)) {
+    log.info(`🔗 ${format.toUpperCase()} export: ${url}`);
+  }
+  log.info('');
+
+  return { ...report, files };
+}
@@ -0,0 +1,160 @@
+// src/schema.js - result statuses, the dataset item schema and the OUTPUT record
+import { LOOKUP_TYPES } from './search.js';
+import { summarizeDurations } from './timing.js';
+
+// ==================== STATUSES ====================
+
+/**
+ * Every dataset item ends with exactly one of these. `errorCode` narrows the failures down
+ * (e.g. `no_results`, `dialog_timeout`, `bad_credentials`).
+ */
+export const RESULT_STATUSES = {
+  downloaded: 'Certificate PDF downloaded, checked against the dialog and stored everywhere configured',
+  no_certificate: 'Property found, but the portal offers no certificate PDF for it',
+  not_found: 'No matching property, or the dialog / PDF belongs to a different certificate',
+  ambiguous_match: 'Several search results match equally well; the scored options are in `candidates`',
+  login_failed: 'Could not log in to the portal; the address is retried next run',
+  timeout: 'The portal did not show an expected element, dialog or download in time, or the page failed or crashed (`browser_crashed`)',
+  upload_failed: 'PDF downloaded, but at least one storage destination rejected it (see `storage`)',
+};
+
+export const STATUS_CODES = Object.keys(RESULT_STATUSES);
+
+// An answer about the property either way; everything else is a lookup that did not work
+const SETTLED_STATUSES = ['downloaded', 'no_certificate'];
+export const isFailedStatus = (status) => !SETTLED_STATUSES.includes(status);
+
+// ==================== DATASET ITEM SCHEMA ====================
+
+const nullable = (type) => ({ type: [type, 'null'] });
+const text = nullable('string');
+
+/**
+ * JSON Schema for one dataset item. `.actor/dataset_schema.json` carries the same schema
+ * as its `fields` so the platform validates pushes too (a test keeps them in sync).
+ */
+export const RESULT_SCHEMA = {
+  type: 'object',
+  required: ['address', 'timestamp', 'success', 'status'],
+  additionalProperties: false,
+  properties: {
+    address: { type: 'string' },
+    searchAddress: text,
+    lookupType: { type: ['string', 'null'], enum: [...LOOKUP_TYPES, null] },
+    lookupValue: text,
+    account: text,
+    timestamp: { type: 'string' },
+    attempt: nullable('integer'),
+    success: { type: 'boolean' },
+    status: { type: 'string', enum: STATUS_CODES },
+    errorCode: text,
+    error: text,
+    fhNumber: text,
+    approvedAt: text,
+    expirationDate: text,
+    buildingAddress: text,
+    buildingStreet: text,
+    buildingUnit: text,
+    buildingCity: text,
+    buildingState: text,
+    buildingZip: text,
+    program: text,
+    designation: text,
+    certificateStatus: text,
+    fieldSources: nullable('object'),
+    matchedOption: text,
+    matchScore: nullable('number'),
+    candidates: { type: 'array' },
+    screenshot: text,
+    screenshotKey: text,
+    certificateFile: text,
+    certificateUrl: text,
+    fileName: text,
+    fileSize: nullable('integer'),
+    verification: nullable('object'),
+    storage: { type: 'array' },
+    googleDriveId: text,
+    googleDriveUrl: text,
+    flowVersion: text,
+    selectorsUsed: { type: 'object' },
+    timings: nullable('object'),
+    durationMs: nullable('integer'),
+    diagnostics: nullable('object'),
+    inputFields: { type: 'object' },
+    sourceRow: { type: 'integer' },
+    sheetWriteBack: { type: 'object' },
+    webhook: { type: 'object' },
+  },
+};
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const typeMatches = (value, types) => [].concat(types).some((t) => typeOf(value) === t || (t === 'number' && typeOf(value) === 'integer'));
+
+/**
+ * Check a dataset item against RESULT_SCHEMA (the subset of JSON Schema it uses: type,
+ * enum, required, properties, additionalProperties). Returns a list of problems, empty
+ * when the item is valid.
+ */
+export function validateResult(result, schema = RESULT_SCHEMA) {
+  if (typeOf(result) !== 'object') return ['result is not an object'];
+
+  const problems = [];
+  for (const field of schema.required) {
+    if (!(field in result)) problems.push(`missing "${field}"`);
+  }
+  for (const [field, value] of Object.entries(result)) {
+    const rule = schema.properties[field];
+    if (!rule) {
+      if (schema.additionalProperties === false) problems.push(`unexpected field "${field}"`);
+      continue;
+    }
+    if (value === undefined) continue;
+    if (!typeMatches(value, rule.type)) {
+      problems.push(`"${field}" should be ${[].concat(rule.type).join(' or ')}, got ${typeOf(value)}`);
+    } else if (rule.enum && !rule.enum.includes(value)) {
+      problems.push(`"${field}" is "${value}", expected one of ${rule.enum.filter(Boolean).join(', ')}`);
+    }
+  }
+  return problems;
+}
+
+// ==================== OUTPUT RECORD ====================
+
+/**
+ * The OUTPUT record: a count for every status (zeros included, so automations can branch
+ * on `statusCounts.not_found` without checking it exists), lookup durations, the
+ * addresses that did not get an answer and, when one was built, the certificate packet.
+ */
+export function buildRunOutput(results, { startedAt, finishedAt, durationMs, loginError, packet } = {}) {
+  const statusCounts = Object.fromEntries(STATUS_CODES.map((s) => [s, 0]));
+  for (const r of results) statusCounts[r.status] = (statusCounts[r.status] || 0) + 1;
+
+  const failed = results.filter((r) => isFailedStatus(r.status));
+
+  return {
+    startedAt: startedAt || null,
+    finishedAt: finishedAt || new Date().toISOString(),
+    durationMs: durationMs ?? (startedAt ? Date.now() - Date.parse(startedAt) : null),
+    total: results.length,
+    succeeded: statusCounts.downloaded,
+    failed: failed.length,
+    statusCounts,
+    lookupDurations: summarizeDurations(results.map((r) => r.durationMs)),
+    failedAddresses: failed.map((r) => ({
+      address: r.address,
+      lookupType: r.lookupType || null,
+      lookupValue: r.lookupValue || null,
+      status: r.status,
+      errorCode: r.errorCode || null,
+      error: r.error || null,
+    })),
+    loginError: loginError || null,
+    packet: packet || null,
+  };
+}
@@ -0,0 +1,146 @@
+// src/search.js - lookup types: what to type into the portal search and which option to take
+import { pickBestMatch } from './matching.js';
+import { normalizeAddress } from './normalize.js';
+
+export const LOOKUP_TYPES = ['fhNumber', 'evaluationId', 'address', 'ownerName'];
+
+const FH_PATTERN = /\bFE?H[\s:-]?(\d{8,})\b/i;
+const FH_ALL = new RegExp(FH_PATTERN.source, 'gi');
+
+export function normalizeFhNumber(value = '') {
+  const m = String(value).match(FH_PATTERN);
+  return m ? m[0].replace(/[\s:-]/g, '').toUpperCase() : null;
+}
+
+const normalizeName = (value = '') =>
+  String(value).toLowerCase().replace(/[^a-z0-9\s'-]/g, ' ').replace(/\s+/g, ' ').trim();
+
+// Letters and digits only, so "FH 2501-6154" and "FH25016154" compare equal
+const compact = (value = '') => String(value).toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+// ==================== INPUT ITEMS ====================
+
+/**
+ * Input item → { type, value }. Strings are addresses. Objects use the most specific key
+ * present: fhNumber, then evaluationId, address, ownerName. Returns null for an empty item.
+ */
+export function parseLookup(item) {
+  if (typeof item === 'string') {
+    const value = item.trim();
+    return value ? { type: 'address', value } : null;
+  }
+
+  for (const type of LOOKUP_TYPES) {
+    const raw = item?.[type];
+    if (typeof raw !== 'string' && typeof raw !== 'number') continue;
+    const value = String(raw).trim();
+    if (!value) continue;
+
+    if (type === 'fhNumber') {
+      const fh = normalizeFhNumber(value);
+      if (!fh) throw new Error(`"${value}" is not an FH/FEH number`);
+      return { type, value: fh };
+    }
+    return { type, value };
+  }
+  return null;
+}
+
+/**
+ * Ledger key for a lookup: the FH number itself, otherwise a prefixed normalized value.
+ * Address keys stay unprefixed so ledgers written before lookup types existed still match.
+ */
+export function lookupKey({ type, value }) {
+  switch (type) {
+    case 'fhNumber':
+      return value;
+    case 'evaluationId':
+      return `eval:${compact(value)}`;
+    case 'ownerName':
+      return `owner:${normalizeName(value)}`;
+    default:
+      return normalizeAddress(value);
+  }
+}
+
+/**
+ * Ledger key for a `forceRefresh` entry. Entries are input items like `addresses`; a string
+ * may also be an FH number or an `owner:` / `eval:` ledger key. Returns null for an empty item.
+ */
+export function refreshKey(item) {
+  if (typeof item === 'string') {
+    const prefixed = item.trim().match(/^(owner|eval):\s*(.+)$/i);
+    if (prefixed) {
+      const type = prefixed[1].toLowerCase() === 'owner' ? 'ownerName' : 'evaluationId';
+      return lookupKey({ type, value: prefixed[2] });
+    }
+    const fh = normalizeFhNumber(item);
+    if (fh) return fh;
+  }
+
+  const lookup = parseLookup(item);
+  return lookup && lookupKey(lookup);
+}
+
+export function lookupLabel({ type, value }) {
+  return type === 'address' || type === 'fhNumber' ? value : `${type === 'ownerName' ? 'owner' : 'evaluation'} ${value}`;
+}
+
+// ==================== OPTION MATCHING ====================
+
+/**
+ * Pick the dropdown option for a lookup. Same shape as pickBestMatch:
+ * { best, candidates, ambiguous, reason } plus `status` for the failure case.
+ *
+ *   address       scored street/city/ZIP match (matchThreshold / matchMargin)
+ *   fhNumber      the option must contain that exact number
+ *   evaluationId  the option must contain that exact ID
+ *   ownerName     every name token must appear in the option, in any order
+ */
+export function pickOption(lookup, optionTexts, { threshold = 0.75, margin = 0.1 } = {}) {
+  if (lookup.type === 'address') {
+    const match = pickBestMatch(lookup.value, optionTexts, { threshold, margin });
+    return { ...match, status: match.ambiguous ? 'ambiguous_match' : null };
+  }
+
+  let score;
+  if (lookup.type === 'ownerName') {
+    const tokens = normalizeName(lookup.value).split(' ').filter(Boolean);
+    score = (text) => {
+      const words = new Set(normalizeName(text).split(' '));
+      return tokens.length ? tokens.filter((t) => words.has(t)).length / tokens.length : 0;
+    };
+  } else if (lookup.type === 'fhNumber') {
+    score = (text) => ([...String(text).matchAll(FH_ALL)].some((m) => normalizeFhNumber(m[0]) === lookup.value) ? 1 : 0);
+  } else {
+    // Whole-token containment: E-1234 must not match E-12345
+    const wanted = compact(lookup.value);
+    score = (text) => (String(text).split(/[^A-Za-z0-9-]+/).map(compact).includes(wanted) ? 1 : 0);
+  }
+
+  const candidates = optionTexts
+    .map((text, index) => ({ index, text: text.trim(), score: Math.round(score(text) * 1000) / 1000 }))
+    .sort((a, b) => b.score - a.score);
+  const exact = candidates.filter((c) => c.score === 1);
+
+  if (!exact.length) {
+    return { best: null, candidates, ambiguous: true, status: 'not_found', reason: `No dropdown option matches ${lookupLabel(lookup)}` };
+  }
+  if (exact.length > 1) {
+    return { best: exact[0], candidates, ambiguous: true, status: 'ambiguous_match', reason: `${exact.length} dropdown options match ${lookupLabel(lookup)}` };
+  }
+  return { best: exact[0], candidates, ambiguous: false, status: null, reason: null };
+}
+
+/**
+ * After the dialog is parsed: an FH number lookup - or any lookup that already knows its
+ * FH number in `lookup.fhNumber`, like a discovered listing row - must land on that number.
+ * Returns a mismatch message or null.
+ */
+export function checkDialogMatches(lookup, popupData) {
+  const expected = lookup.type === 'fhNumber' ? lookup.value : lookup.fhNumber;
+  if (expected && popupData.fhNumber && popupData.fhNumber !== expected) {
+    return `Dialog shows ${popupData.fhNumber}, not ${expected}`;
+  }
+  return null;
+}
@@ -0,0 +1,117 @@
+// src/selectors.js - versioned flow definition: every portal selector, primary first, overridable
+import { readFileSync } from 'fs';
+import { Actor, log } from 'apify';
+import { sleep } from './utils.js';
+
+// Key-value record checked for a flow override before the `flow` input. It lives in a named
+// store so it applies to every run; the default store is new on every platform run.
+export const FLOW_STORE = 'ibhs-flow';
+export const FLOW_RECORD_KEY = 'FLOW_CONFIG';
+
+const BUILT_IN = JSON.parse(readFileSync(new URL('./flow.json', import.meta.url), 'utf8'));
+
+// ==================== FLOW CONFIG ====================
+
+/**
+ * Check one override and return its steps as `{ name: selectors[] }`. Overrides look like
+ * the built-in flow.json - `{ version, steps: { searchField: { selectors: [...] } } }` -
+ * and a step may also be given as a bare array. Unknown step names are rejected so a typo
+ * doesn't silently leave the built-in selector in place.
+ */
+function readOverride(flow, source) {
+  if (!flow || typeof flow !== 'object' || Array.isArray(flow)) {
+    throw new Error(`Flow override from ${source} must be an object like flow.json`);
+  }
+  if (typeof flow.version !== 'string' || !flow.version.trim()) {
+    throw new Error(`Flow override from ${source} needs a "version" - it is recorded on every result`);
+  }
+  if (!flow.steps || typeof flow.steps !== 'object') {
+    throw new Error(`Flow override from ${source} has no "steps"`);
+  }
+
+  const steps = {};
+  for (const [name, step] of Object.entries(flow.steps)) {
+    if (!BUILT_IN.steps[name]) {
+      throw new Error(`Flow override from ${source}: unknown step "${name}" (expected ${Object.keys(BUILT_IN.steps).join(', ')})`);
+    }
+    const selectors = Array.isArray(step) ? step : step?.selectors;
+    if (!Array.isArray(selectors) || !selectors.length || !selectors.every((s) => typeof s === 'string' && s.trim())) {
+      throw new Error(`Flow override from ${source}: step "${name}" needs a non-empty list of selectors`);
+    }
+    steps[name] = selectors;
+  }
+  return steps;
+}
+
+/**
+ * Built-in flow with `overrides` (`[{ source, flow }]`) applied in order. An override
+ * replaces a step's whole selector list - to add a fallback, repeat the built-in ones.
+ * The last override's version becomes the flow version.
+ * Returns `{ version, sources, steps: { name: { description, selectors } } }`.
+ */
+export function resolveFlow(overrides = []) {
+  const resolved = {
+    version: BUILT_IN.version,
+    sources: ['built-in'],
+    steps: Object.fromEntries(Object.entries(BUILT_IN.steps).map(([name, step]) => [name, { ...step }])),
+  };
+
+  for (const { source, flow } of overrides) {
+    for (const [name, selectors] of Object.entries(readOverride(flow, source))) {
+      resolved.steps[name] = { ...resolved.steps[name], selectors };
+    }
+    resolved.version = flow.version.trim();
+    resolved.sources.push(source);
+  }
+  return resolved;
+}
+
+export const DEFAULT_FLOW = resolveFlow();
+
+/**
+ * Flow for this run: built-in, then the FLOW_CONFIG record (or `recordKey`) in the
+ * `ibhs-flow` store if there is one, then the `flow` input. A bad override fails the run
+ * before the browser starts.
+ */
+export async function loadFlow({ flow, recordKey = FLOW_RECORD_KEY } = {}) {
+  const overrides = [];
+  const store = await Actor.openKeyValueStore(FLOW_STORE);
+  const record = await store.getValue(recordKey);
+  if (record) overrides.push({ source: `record ${FLOW_STORE}/${recordKey}`, flow: record });
+  if (flow) overrides.push({ source: 'input', flow });
+
+  const resolved = resolveFlow(overrides);
+  log.info(`🧭 Flow ${resolved.version} (${resolved.sources.join(' + ')})`);
+  return resolved;
+}
+
+export function selectorsFor(flow, name) {
+  const step = flow.steps[name];
+  if (!step) throw new Error(`Unknown selector "${name}"`);
+  return step.selectors;
+}
+
+// ==================== LOOKUP ====================
+
+/**
+ * Poll every candidate for step `name` until one has a visible match, for up to `timeout` ms
+ * (at least one pass, so `timeout: 0` is an immediate check). The earliest candidate wins
+ * when several match. Returns `{ locator, selector, index, fallback }` or null.
+ */
+export async function findSelector(page, flow, name, { timeout = 0, pollMs = 200 } = {}) {
+  const candidates = selectorsFor(flow, name);
+
+  const deadline = Date.now() + timeout;
+  do {
+    for (const [index, selector] of candidates.entries()) {
+      const locator = page.locator(selector).first();
+      if (await locator.isVisible().catch(() => false)) {
+        return { locator, selector, index, fallback: index > 0 };
+      }
+    }
+    if (Date.now() >= deadline) break;
+    await sleep(pollMs);
+  } while (Date.now() < deadline);
+
+  return null;
+}
@@ -0,0 +1,168 @@
+// src/server.js - HTTP API mode: lookups against one warm, logged-in browser
+import http from 'http';
+import crypto from 'crypto';
+import { log } from 'apify';
+import { normalizeFhNumber } from './search.js';
+
+/**
+ * Error with the HTTP status the API answers with, e.g. 400 for a bad lookup body.
+ */
+export class HttpError extends Error {
+  constructor(statusCode, message, details = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+// ==================== LOOKUP QUEUE ====================
+
+/**
+ * Runs one task at a time, in arrival order - the portal only has the one page.
+ * `run(task)` resolves with the task's result; beyond `maxPending` waiting tasks it
+ * rejects with a 503 straight away rather than making callers wait minutes.
+ */
+export function createSerialQueue({ maxPending = 20 } = {}) {
+  let tail = Promise.resolve();
+  let accepted = 0;
+  let running = false;
+
+  return {
+    get pending() {
+      return accepted - (running ? 1 : 0);
+    },
+    get running() {
+      return running;
+    },
+
+    run(task) {
+      // One task may be running on top of the waiting ones
+      if (accepted > maxPending) {
+        return Promise.reject(new HttpError(503, `Lookup queue is full (${maxPending} waiting) - try again later`));
+      }
+      accepted++;
+      const result = tail.then(async () => {
+        running = true;
+        try {
+          return await task();
+        } finally {
+          running = false;
+          accepted--;
+        }
+      });
+      tail = result.catch(() => {});
+      return result;
+    },
+  };
+}
+
+// ==================== HTTP API ====================
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'content-type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function readJson(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', (chunk) => {
+      data += chunk;
+      if (data.length > maxBytes) {
+        reject(new HttpError(413, `Body is larger than ${maxBytes} bytes`));
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      try {
+        resolve(data ? JSON.parse(data) : null);
+      } catch {
+        reject(new HttpError(400, 'Body is not valid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+const sameSecret = (given, expected) => {
+  const hash = (s) => crypto.createHash('sha256').update(String(s)).digest();
+  return crypto.timingSafeEqual(hash(given), hash(expected));
+};
+
+/**
+ * The API. Handlers come from main.js so the routing can be tested without a browser:
+ *
+ *   POST /lookup                    `lookup(body)` - one input item (address string or
+ *                                   { fhNumber | evaluationId | address | ownerName, ...tags })
+ *   GET  /certificates/:fh/pdf      `getCertificatePdf(fhNumber)` → Buffer or null
+ *   GET  /health (and GET /)        `health()` → { ok, ... }; 503 when not ok
+ *
+ * With `apiKey` set, /lookup and /certificates need `Authorization: Bearer <apiKey>`.
+ */
+export function createApiServer({ lookup, getCertificatePdf, health, apiKey = null, maxBodyBytes = 64 * 1024 }) {
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const started = Date.now();
+
+    try {
+      if (req.method === 'GET' && (url.pathname === '/' || url.pathname === '/health')) {
+        const report = await health();
+        return sendJson(res, report.ok ? 200 : 503, report);
+      }
+
+      if (apiKey && !sameSecret((req.headers.authorization || '').replace(/^Bearer\s+/i, ''), apiKey)) {
+        throw new HttpError(401, 'Missing or wrong API key');
+      }
+
+      if (url.pathname === '/lookup') {
+        if (req.method !== 'POST') throw new HttpError(405, 'Use POST /lookup');
+        const body = await readJson(req, maxBodyBytes);
+        const result = await lookup(body);
+        log.info(`🌐 POST /lookup → ${result.status} (${Date.now() - started} ms)`);
+        return sendJson(res, 200, result);
+      }
+
+      const pdfMatch = url.pathname.match(/^\/certificates\/([^/]+)\/pdf$/);
+      if (pdfMatch) {
+        if (req.method !== 'GET') throw new HttpError(405, 'Use GET /certificates/:fhNumber/pdf');
+        const fhNumber = normalizeFhNumber(decodeURIComponent(pdfMatch[1]));
+        if (!fhNumber) throw new HttpError(400, `"${pdfMatch[1]}" is not an FH/FEH number`);
+        const pdf = await getCertificatePdf(fhNumber);
+        if (!pdf) throw new HttpError(404, `No stored certificate for ${fhNumber} - POST /lookup first`);
+        res.writeHead(200, {
+          'content-type': 'application/pdf',
+          'content-length': pdf.length,
+          'content-disposition': `inline; filename="${fhNumber}.pdf"`,
+        });
+        return res.end(pdf);
+      }
+
+      throw new HttpError(404, `No route for ${req.method} ${url.pathname}`);
+    } catch (error) {
+      const statusCode = error instanceof HttpError ? error.statusCode : 500;
+      if (statusCode >= 500) log.error(`❌ ${req.method} ${url.pathname} failed: ${error.message}`);
+      if (!res.headersSent) sendJson(res, statusCode, { error: error.message, ...error.details });
+    }
+  });
+}
+
+/**
+ * Listen on `port` and resolve once the server is up. The returned `closed` promise
+ * settles when `close()` is called (or the server stops on its own).
+ */
+export async function startApiServer(server, port) {
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, resolve);
+  });
+  const closed = new Promise((resolve) => server.once('close', resolve));
+  return {
+    port: server.address().port,
+    closed,
+    close: () => new Promise((resolve) => {
+      server.close(() => resolve());
+      server.closeIdleConnections?.();
+    }),
+  };
+}
@@ -0,0 +1,35 @@
+// src/session.js - authenticated browser state kept between runs, one per account
+import { Actor, log } from 'apify';
+import { DEFAULT_ACCOUNT } from './accounts.js';
+
+// Named, like the ledger's store, so a saved session outlives the run
+export const SESSION_STORE = 'ibhs-session';
+
+// The default account keeps the key it had before there were several accounts
+export const sessionKey = (alias = DEFAULT_ACCOUNT) =>
+  (alias === DEFAULT_ACCOUNT ? 'ibhs_session_state' : `ibhs_session_state_${alias}`);
+
+/**
+ * Playwright `storageState` (cookies + localStorage) saved for `alias` by a previous run, or null.
+ */
+export async function loadSessionState(alias = DEFAULT_ACCOUNT) {
+  const store = await Actor.openKeyValueStore(SESSION_STORE);
+  const saved = await store.getValue(sessionKey(alias));
+  if (!saved?.storageState) return null;
+
+  log.info(`♻️ Reusing saved session for "${alias}" from ${saved.savedAt}`);
+  return saved.storageState;
+}
+
+export async function saveSessionState(context, alias) {
+  const store = await Actor.openKeyValueStore(SESSION_STORE);
+  await store.setValue(sessionKey(alias), {
+    savedAt: new Date().toISOString(),
+    storageState: await context.storageState(),
+  });
+}
+
+export async function clearSessionState(alias) {
+  const store = await Actor.openKeyValueStore(SESSION_STORE);
+  await store.setValue(sessionKey(alias), null);
+}
@@ -0,0 +1,139 @@
+// src/sheets.js - Google Sheets range reads and per-row write-back
+import { log } from 'apify';
+import { google } from 'googleapis';
+import { googleAuth, hasGoogleCredentials } from './google.js';
+
+// ==================== A1 NOTATION ====================
+
+export function columnLetter(index) {
+  let letters = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+}
+
+export function columnIndex(letters) {
+  return letters.toUpperCase().split('').reduce((n, c) => n * 26 + (c.charCodeAt(0) - 64), 0) - 1;
+}
+
+/**
+ * "'Job List'!B2:H" → { sheet: "Job List", cells: "B2:H", startCol: 1, startRow: 2 }.
+ * A bare name ("Tracking") means the whole sheet from A1; bare cells ("A1:F") have no sheet.
+ */
+export function parseA1Range(range = '') {
+  const bang = range.lastIndexOf('!');
+  let sheet = bang >= 0 ? range.slice(0, bang) : null;
+  let cells = bang >= 0 ? range.slice(bang + 1) : range;
+  if (!sheet && !/^[A-Z]{0,3}\d*(:[A-Z]{0,3}\d*)?$/i.test(cells)) {
+    sheet = cells;
+    cells = '';
+  }
+
+  const start = cells.match(/^([A-Z]+)?(\d+)?/i) || [];
+  return {
+    sheet: sheet ? sheet.replace(/^'(.*)'$/, '$1').replace(/''/g, "'") : null,
+    cells,
+    startCol: start[1] ? columnIndex(start[1]) : 0,
+    startRow: start[2] ? Number(start[2]) : 1,
+  };
+}
+
+const quoteSheet = (name) => `'${name.replace(/'/g, "''")}'`;
+
+// ==================== READ / WRITE ====================
+
+let sheetsClient = null;
+
+async function connect() {
+  if (sheetsClient) return sheetsClient;
+  if (!hasGoogleCredentials()) {
+    throw new Error('Google Sheets needs GOOGLE_SERVICE_ACCOUNT_EMAIL and GOOGLE_SERVICE_ACCOUNT_KEY (share the sheet with that account)');
+  }
+  const auth = await googleAuth(['https://www.googleapis.com/auth/spreadsheets']);
+  sheetsClient = google.sheets({ version: 'v4', auth });
+  return sheetsClient;
+}
+
+/**
+ * Read `range` (header row first). Returns { rows, firstRow, startCol, sheet, header }.
+ * Without a sheet name in the range, the spreadsheet's first tab is used.
+ */
+export async function readSheetRange({ spreadsheetId, range = '' }, { sheets } = {}) {
+  if (!spreadsheetId) throw new Error('Google Sheet source needs "spreadsheetId"');
+  const api = sheets || await connect();
+
+  const { cells, startCol, startRow } = parseA1Range(range);
+  let { sheet } = parseA1Range(range);
+  if (!sheet) {
+    const meta = await api.spreadsheets.get({ spreadsheetId, fields: 'sheets.properties.title' });
+    sheet = meta.data.sheets[0].properties.title;
+  }
+
+  const res = await api.spreadsheets.values.get({
+    spreadsheetId,
+    range: cells ? `${quoteSheet(sheet)}!${cells}` : quoteSheet(sheet),
+  });
+
+  const rows = res.data.values || [];
+  return { rows, firstRow: startRow, startCol, sheet, header: (rows[0] || []).map((h) => String(h).trim()) };
+}
+
+const cellValue = (result, field) => {
+  const value = field === 'googleDriveUrl'
+    ? result.googleDriveUrl || result.storage?.find((s) => s.url && !s.error)?.url
+    : result[field];
+  if (value == null) return '';
+  return typeof value === 'object' ? JSON.stringify(value) : value;
+};
+
+/**
+ * `writeBack` maps result fields to header names, e.g. { "fhNumber": "FH #", "status": "Status" }.
+ * Headers that don't exist yet are added after the last header. Returns
+ * `writeBack(item, result)` → { written, error } for the item's `sourceRow`; never throws.
+ */
+export async function createSheetWriteBack({ spreadsheetId, writeBack }, { sheet, startCol, firstRow, header }, { sheets } = {}) {
+  const api = sheets || await connect();
+  const columns = {};
+  const added = [];
+
+  for (const [field, name] of Object.entries(writeBack)) {
+    let index = header.findIndex((h) => h.toLowerCase() === String(name).toLowerCase());
+    if (index < 0) {
+      index = header.length + added.length;
+      added.push(name);
+    }
+    columns[field] = columnLetter(startCol + index);
+  }
+
+  if (added.length) {
+    const from = columnLetter(startCol + header.length);
+    await api.spreadsheets.values.update({
+      spreadsheetId,
+      range: `${quoteSheet(sheet)}!${from}${firstRow}`,
+      valueInputOption: 'RAW',
+      requestBody: { values: [added] },
+    });
+    log.info(`🧾 Added sheet column(s): ${added.join(', ')}`);
+  }
+
+  return async function writeRow(item, result) {
+    if (!item.sourceRow) return null;
+    try {
+      await api.spreadsheets.values.batchUpdate({
+        spreadsheetId,
+        requestBody: {
+          valueInputOption: 'RAW',
+          data: Object.entries(columns).map(([field, letter]) => ({
+            range: `${quoteSheet(sheet)}!${letter}${item.sourceRow}`,
+            values: [[cellValue(result, field)]],
+          })),
+        },
+      });
+      return { written: true, row: item.sourceRow, error: null };
+    } catch (e) {
+      log.warning(`⚠️ Sheet write-back for row ${item.sourceRow} failed: ${e.message}`);
+      return { written: false, row: item.sourceRow, error: e.message };
+    }
+  };
+}
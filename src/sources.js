@@ -0,0 +1,226 @@
+// src/sources.js - address lists from CSV / XLSX records or URLs and Google Sheets
+import { Actor, log } from 'apify';
+import { readSheetRange, createSheetWriteBack } from './sheets.js';
+import { normalizeFhNumber } from './search.js';
+
+export const SOURCE_TYPES = ['csv', 'xlsx', 'googleSheet'];
+
+// ==================== PARSING ====================
+
+/**
+ * RFC 4180 CSV (quoted fields, doubled quotes, CRLF) into rows of strings.
+ * The delimiter is guessed from the header line: comma, semicolon or tab.
+ */
+export function parseCsv(text) {
+  const input = String(text).replace(/^\uFEFF/, '');
+  const headerLine = input.split(/\r?\n/, 1)[0];
+  const delimiter = [',', ';', '\t']
+    .map((d) => [d, headerLine.split(d).length])
+    .sort((a, b) => b[1] - a[1])[0][0];
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const c = input[i];
+    if (quoted) {
+      if (c === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * First worksheet (or the one named `sheet`) of an XLSX file as rows of display text.
+ */
+export async function parseXlsx(buffer, { sheet } = {}) {
+  const { default: ExcelJS } = await import('exceljs');
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const worksheet = sheet ? workbook.getWorksheet(sheet) : workbook.worksheets[0];
+  if (!worksheet) throw new Error(`Worksheet "${sheet}" not found`);
+
+  const rows = [];
+  worksheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+    const values = [];
+    for (let col = 1; col <= worksheet.columnCount; col++) values.push(row.getCell(col).text || '');
+    rows[rowNumber - 1] = values;
+  });
+  return Array.from(rows, (r) => r || []);
+}
+
+const ADDRESS_PART_COLUMNS = ['street', 'city', 'state', 'zip'];
+
+// Columns that identify a property other than by address
+const LOOKUP_COLUMNS = {
+  fhNumber: /^(fe?h|fortified)\s*(#|no\.?|num(ber)?|id)?$/i,
+  evaluationId: /^evaluation\s*(id|#|no\.?|number)$/i,
+  ownerName: /^(home)?owner(\s*name)?$/i,
+};
+
+/**
+ * Header row + data rows → `{ fields, tags, sourceRow }` items, where `fields` holds the
+ * lookup values (`address`, `fhNumber`, `evaluationId`, `ownerName`) found in the row.
+ * The address comes from `addressColumn`, else the first header containing "address", else
+ * Street/City/State/Zip columns joined. An FH cell with no FH number in it ("N/A", "pending")
+ * counts as empty, so the row falls back to its other lookup fields. Every other non-empty
+ * column is carried in `tags`.
+ * `firstRow` is the sheet row number of the header, so `sourceRow` points back at the row.
+ */
+export function rowsToItems(rows, { addressColumn, firstRow = 1 } = {}) {
+  const header = (rows[0] || []).map((h) => String(h ?? '').trim());
+  const find = (name) => header.findIndex((h) => h.toLowerCase() === name.toLowerCase());
+
+  const addressIndex = addressColumn ? find(addressColumn) : header.findIndex((h) => /address/i.test(h));
+  if (addressColumn && addressIndex < 0) {
+    throw new Error(`Address column "${addressColumn}" not found (columns: ${header.join(', ')})`);
+  }
+
+  const partIndexes = addressIndex < 0 ? ADDRESS_PART_COLUMNS.map((p) => header.findIndex((h) => new RegExp(`^${p}`, 'i').test(h))) : [];
+  const lookupIndexes = Object.fromEntries(
+    Object.entries(LOOKUP_COLUMNS).map(([field, pattern]) => [field, header.findIndex((h) => pattern.test(h))]),
+  );
+
+  if (addressIndex < 0 && !(partIndexes[0] >= 0) && Object.values(lookupIndexes).every((i) => i < 0)) {
+    throw new Error(`No address, FH number, evaluation ID or owner column found (columns: ${header.join(', ')})`);
+  }
+
+  const used = new Set([addressIndex, ...partIndexes, ...Object.values(lookupIndexes)]);
+  const items = [];
+
+  rows.slice(1).forEach((row, i) => {
+    const cell = (index) => (index >= 0 ? String(row[index] ?? '').trim() : '');
+
+    const fields = {};
+    const address = addressIndex >= 0
+      ? cell(addressIndex)
+      : [cell(partIndexes[0]), cell(partIndexes[1]), [cell(partIndexes[2]), cell(partIndexes[3])].filter(Boolean).join(' ')]
+        .filter(Boolean).join(', ');
+    if (address) fields.address = address;
+    for (const [field, index] of Object.entries(lookupIndexes)) {
+      if (!cell(index) || (field === 'fhNumber' && !normalizeFhNumber(cell(index)))) continue;
+      fields[field] = cell(index);
+    }
+    if (!Object.keys(fields).length) return;
+
+    const tags = {};
+    header.forEach((name, index) => {
+      if (name && !used.has(index) && cell(index)) tags[name] = cell(index);
+    });
+
+    items.push({ fields, tags, sourceRow: firstRow + 1 + i });
+  });
+
+  return items;
+}
+
+// ==================== LOADING ====================
+
+const sourceStoreLabel = (source) => (source.storeName ? `store "${source.storeName}"` : 'the default store');
+
+function detectType(source, contentType = '') {
+  if (source.type) return source.type;
+  const name = (source.kvKey || source.url || '').toLowerCase().split('?')[0];
+  if (name.endsWith('.xlsx') || /spreadsheetml/.test(contentType)) return 'xlsx';
+  if (name.endsWith('.csv') || /csv|text\/plain/.test(contentType)) return 'csv';
+  if (source.spreadsheetId) return 'googleSheet';
+  return null;
+}
+
+async function readFile(source) {
+  if (source.kvKey) {
+    const store = await Actor.openKeyValueStore(source.storeName || undefined);
+    const value = await store.getValue(source.kvKey);
+    if (value == null) throw new Error(`Key-value record "${source.kvKey}" not found in ${sourceStoreLabel(source)}`);
+    return { buffer: Buffer.isBuffer(value) ? value : Buffer.from(typeof value === 'string' ? value : JSON.stringify(value)), contentType: '' };
+  }
+
+  const res = await fetch(source.url);
+  if (!res.ok) throw new Error(`Fetching ${source.url} failed: HTTP ${res.status}`);
+  return { buffer: Buffer.from(await res.arrayBuffer()), contentType: res.headers.get('content-type') || '' };
+}
+
+/**
+ * `addressSource` input → `{ items, writeBack }`. `writeBack(item, result)` is only set for
+ * Google Sheets with a `writeBack` column map; otherwise it is null.
+ *
+ *   { "kvKey": "addresses.csv" }                 CSV/XLSX record in the run's default key-value store
+ *   { "kvKey": "addresses.csv", "storeName": "ibhs-input" }
+ *                                                the same from a named store, uploaded before the run
+ *   { "url": "https://.../export?format=csv" }   CSV/XLSX over HTTP
+ *   { "type": "googleSheet", "spreadsheetId": "...", "range": "Tracking!A1:Z",
+ *     "writeBack": { "fhNumber": "FH #", "expirationDate": "Expires", "status": "Status" } }
+ */
+export async function loadAddressSource(source = {}) {
+  let rows;
+  let firstRow = 1;
+  let writeBack = null;
+  let type = detectType(source);
+
+  if (type === 'googleSheet') {
+    const sheet = await readSheetRange(source);
+    rows = sheet.rows;
+    firstRow = sheet.firstRow;
+    if (source.writeBack && Object.keys(source.writeBack).length) {
+      writeBack = await createSheetWriteBack(source, sheet);
+    }
+  } else {
+    if (!source.kvKey && !source.url) {
+      throw new Error('addressSource needs "kvKey", "url" or a Google Sheet "spreadsheetId"');
+    }
+    const file = await readFile(source);
+    type ||= detectType(source, file.contentType) || 'csv';
+    if (!SOURCE_TYPES.includes(type)) {
+      throw new Error(`addressSource type "${type}" is not supported (expected ${SOURCE_TYPES.join(', ')})`);
+    }
+    rows = type === 'xlsx' ? await parseXlsx(file.buffer, source) : parseCsv(file.buffer.toString('utf8'));
+  }
+
+  const items = rowsToItems(rows, { addressColumn: source.addressColumn, firstRow });
+  const from = source.kvKey ? `${source.kvKey} in ${sourceStoreLabel(source)}` : source.url || source.spreadsheetId;
+  log.info(`📄 Loaded ${items.length} row(s) from ${type} ${from}`);
+  return { items, writeBack };
+}
+
+// ==================== RESULTS ====================
+
+/**
+ * Carry an input item's extra columns, sheet row and write-back outcome onto its result.
+ * Items from `addresses` in a run that also reads a sheet have no row to write back to,
+ * so they get no `sheetWriteBack` rather than a null the dataset schema would reject.
+ */
+export async function attachSourceFields(result, item, writeBack = null) {
+  if (Object.keys(item.tags || {}).length) result.inputFields = item.tags;
+  if (item.sourceRow) result.sourceRow = item.sourceRow;
+  const outcome = writeBack ? await writeBack(item, result) : null;
+  if (outcome) result.sheetWriteBack = outcome;
+  return result;
+}
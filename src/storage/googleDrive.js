@@ -0,0 +1,172 @@
+// src/storage/googleDrive.js - Google Drive destination
+import { log } from 'apify';
+import { google } from 'googleapis';
+import { Readable } from 'stream';
+import { renderPathTemplate } from './template.js';
+import { googleAuth, hasGoogleCredentials } from '../google.js';
+
+const FOLDER_MIME = 'application/vnd.google-apps.folder';
+export const EXPIRATION_CHANGE_MODES = ['skip', 'replace', 'revision'];
+
+// Drive query strings are single-quoted
+const q = (value) => `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+
+// appProperties allow 124 bytes per key + value
+const appProperty = (value) => (value == null ? null : String(value).slice(0, 100));
+
+// ==================== GOOGLE DRIVE UPLOAD ====================
+
+/**
+ * `{ type: "googleDrive", folderId, folderTemplate, onExpirationChange }`.
+ *
+ * - `folderId` falls back to GOOGLE_DRIVE_FOLDER_ID; the service account always comes from
+ *   GOOGLE_SERVICE_ACCOUNT_EMAIL / _KEY. Without credentials the destination is skipped.
+ * - `folderTemplate` (e.g. "{state}/{city}/{year}") files certificates into subfolders,
+ *   created on demand.
+ * - An existing file for the same FH number is never duplicated. Same expiration → skipped.
+ *   Changed expiration → `onExpirationChange`: "skip" (default) leaves the old file,
+ *   "replace" overwrites it, "revision" pins the old file's current revision and adds the
+ *   new PDF as another pinned revision, so both certificates stay in the file's history.
+ *
+ * `drive` can be passed in place of a real client (tests).
+ */
+export function createGoogleDriveAdapter(config = {}, { drive: injectedDrive } = {}) {
+  const folderId = config.folderId || process.env.GOOGLE_DRIVE_FOLDER_ID;
+  const { folderTemplate = '', onExpirationChange = 'skip' } = config;
+
+  if (!EXPIRATION_CHANGE_MODES.includes(onExpirationChange)) {
+    throw new Error(`googleDrive "onExpirationChange" must be one of ${EXPIRATION_CHANGE_MODES.join(', ')}`);
+  }
+
+  let drive = injectedDrive || null;
+  const folderIds = new Map();
+
+  const connect = async () => {
+    if (drive) return drive;
+
+    const auth = await googleAuth(['https://www.googleapis.com/auth/drive.file']);
+    drive = google.drive({ version: 'v3', auth });
+    return drive;
+  };
+
+  // Walk/create the template folders below the root folder, caching ids for the run
+  const resolveFolder = async (segments) => {
+    let parentId = folderId;
+    for (let i = 0; i < segments.length; i++) {
+      const cacheKey = segments.slice(0, i + 1).join('/');
+      if (folderIds.has(cacheKey)) {
+        parentId = folderIds.get(cacheKey);
+        continue;
+      }
+
+      const name = segments[i];
+      const found = await drive.files.list({
+        q: `mimeType = ${q(FOLDER_MIME)} and name = ${q(name)} and ${q(parentId)} in parents and trashed = false`,
+        fields: 'files(id)',
+        pageSize: 1,
+      });
+
+      let id = found.data.files?.[0]?.id;
+      if (!id) {
+        const created = await drive.files.create({
+          requestBody: { name, mimeType: FOLDER_MIME, parents: [parentId] },
+          fields: 'id',
+        });
+        id = created.data.id;
+        log.info(`📁 Created Drive folder ${cacheKey}`);
+      }
+
+      folderIds.set(cacheKey, id);
+      parentId = id;
+    }
+    return parentId;
+  };
+
+  // Files uploaded before appProperties existed are found by the FH number in their name
+  const findExisting = async (fhNumber) => {
+    const fields = 'files(id, name, parents, webViewLink, appProperties, headRevisionId)';
+    const tagged = await drive.files.list({
+      q: `appProperties has { key='fhNumber' and value=${q(fhNumber)} } and trashed = false`,
+      fields,
+      pageSize: 1,
+    });
+    if (tagged.data.files?.length) return tagged.data.files[0];
+
+    const named = await drive.files.list({
+      q: `name contains ${q(fhNumber)} and mimeType != ${q(FOLDER_MIME)} and trashed = false`,
+      fields,
+      pageSize: 1,
+    });
+    return named.data.files?.[0] || null;
+  };
+
+  return {
+    async put(buffer, { fileName, mimeType, meta = {} }) {
+      if (!folderId || !(hasGoogleCredentials() || injectedDrive)) {
+        log.warning('⚠️ Google Drive credentials not configured - skipping upload');
+        return null;
+      }
+
+      await connect();
+
+      const segments = renderPathTemplate(folderTemplate, meta);
+      const parentId = await resolveFolder(segments);
+      const path = [...segments, fileName].join('/');
+      const appProperties = {
+        fhNumber: appProperty(meta.fhNumber),
+        address: appProperty(meta.address),
+        expirationDate: appProperty(meta.expirationDate),
+      };
+
+      const existing = meta.fhNumber ? await findExisting(meta.fhNumber) : null;
+
+      if (existing) {
+        const sameExpiration = existing.appProperties?.expirationDate
+          ? existing.appProperties.expirationDate === meta.expirationDate
+          : Boolean(meta.expirationDate && existing.name.includes(meta.expirationDate));
+
+        if (sameExpiration || onExpirationChange === 'skip') {
+          log.info(`⏭️ Drive already has ${meta.fhNumber} (${existing.name}) - not uploading again`);
+          return { id: existing.id, url: existing.webViewLink, path, action: 'skipped' };
+        }
+
+        // Expiration changed: overwrite in place, moving the file if the template folder changed
+        const moved = existing.parents?.includes(parentId) ? {} : {
+          addParents: parentId,
+          removeParents: (existing.parents || []).join(','),
+        };
+
+        // keepRevisionForever only pins the new upload; Drive would still prune the old one
+        if (onExpirationChange === 'revision' && existing.headRevisionId) {
+          await drive.revisions.update({
+            fileId: existing.id,
+            revisionId: existing.headRevisionId,
+            requestBody: { keepForever: true },
+          });
+        }
+
+        const res = await drive.files.update({
+          fileId: existing.id,
+          requestBody: { name: fileName, appProperties },
+          media: { mimeType, body: Readable.from(buffer) },
+          keepRevisionForever: onExpirationChange === 'revision',
+          fields: 'id, webViewLink',
+          ...moved,
+        });
+
+        const action = onExpirationChange === 'revision' ? 'revised' : 'replaced';
+        log.info(`♻️ Drive file for ${meta.fhNumber} ${action}: ${res.data.webViewLink}`);
+        return { id: res.data.id, url: res.data.webViewLink, path, action };
+      }
+
+      const res = await drive.files.create({
+        requestBody: { name: fileName, parents: [parentId], appProperties },
+        media: { mimeType, body: Readable.from(buffer) },
+        fields: 'id, webViewLink',
+      });
+
+      log.info(`✅ Uploaded to Google Drive: ${res.data.webViewLink}`);
+      return { id: res.data.id, url: res.data.webViewLink, path, action: 'created' };
+    },
+  };
+}
@@ -0,0 +1,59 @@
+// src/storage/index.js - certificate destinations selected from the `storage` input
+import { log } from 'apify';
+import { createGoogleDriveAdapter } from './googleDrive.js';
+import { createS3Adapter } from './s3.js';
+import { createLocalAdapter } from './local.js';
+import { createSftpAdapter } from './sftp.js';
+
+const ADAPTERS = {
+  googleDrive: createGoogleDriveAdapter,
+  s3: createS3Adapter,
+  local: createLocalAdapter,
+  sftp: createSftpAdapter,
+};
+
+export const STORAGE_TYPES = Object.keys(ADAPTERS);
+
+/**
+ * Build one adapter per `storage` entry. Without `storage`, Google Drive stays the only
+ * destination (and is skipped when its env vars are missing). Config errors throw here,
+ * before the browser starts. Each entry may carry a `name` to tell two of a type apart.
+ */
+export function createDestinations(storage) {
+  const configs = storage == null ? [{ type: 'googleDrive' }] : [].concat(storage);
+
+  return configs.map((config, i) => {
+    const create = ADAPTERS[config?.type];
+    if (!create) {
+      throw new Error(`storage[${i}]: unknown type "${config?.type}" (expected one of ${STORAGE_TYPES.join(', ')})`);
+    }
+    return { type: config.type, name: config.name || config.type, ...create(config) };
+  });
+}
+
+/**
+ * Write the file to every destination. One failing destination does not stop the others;
+ * it shows up as `{ type, name, error }`. Skipped destinations (adapter returned null) are left out.
+ * `meta` (fhNumber, address, expirationDate, state, city, ...) feeds folder templates and
+ * de-duplication. Returns records shaped `{ type, name, id, url, path }`.
+ */
+export async function storeToDestinations(destinations, buffer, { fileName, mimeType = 'application/pdf', meta = {} }) {
+  const records = [];
+
+  for (const destination of destinations) {
+    const { type, name } = destination;
+    try {
+      const stored = await destination.put(buffer, { fileName, mimeType, meta });
+      if (stored) records.push({ type, name, ...stored });
+    } catch (e) {
+      log.error(`❌ Upload to ${name} failed: ${e.message}`);
+      records.push({ type, name, id: null, url: null, path: null, error: e.message });
+    }
+  }
+
+  return records;
+}
+
+export async function closeDestinations(destinations) {
+  await Promise.all(destinations.map((d) => d.close?.()));
+}
@@ -0,0 +1,24 @@
+// src/storage/local.js - local or mounted filesystem directory
+import { log } from 'apify';
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+/**
+ * `{ type: "local", directory }`. The directory is created if missing.
+ */
+export function createLocalAdapter(config = {}) {
+  if (!config.directory) throw new Error('local destination needs a "directory"');
+  const directory = path.resolve(config.directory);
+
+  return {
+    async put(buffer, { fileName }) {
+      const filePath = path.join(directory, fileName);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+
+      log.info(`✅ Saved to ${filePath}`);
+      return { id: filePath, url: pathToFileURL(filePath).href, path: filePath };
+    },
+  };
+}
@@ -0,0 +1,67 @@
+// src/storage/s3.js - S3-compatible object storage (AWS S3, MinIO, R2, ...)
+import { log } from 'apify';
+
+/**
+ * `{ type: "s3", bucket, region, endpoint, prefix, forcePathStyle, publicUrl }`.
+ * Keys come from S3_ACCESS_KEY_ID / S3_SECRET_ACCESS_KEY, or the usual AWS_* chain.
+ * Set `endpoint` (e.g. http://localhost:9000) for MinIO; path-style addressing is then the default.
+ */
+export function createS3Adapter(config = {}) {
+  const {
+    bucket,
+    region = 'us-east-1',
+    endpoint,
+    prefix = '',
+    forcePathStyle = Boolean(endpoint),
+    publicUrl,
+  } = config;
+
+  if (!bucket) throw new Error('s3 destination needs a "bucket"');
+
+  let client = null;
+  let PutObjectCommand = null;
+
+  const connect = async () => {
+    if (client) return client;
+
+    // Loaded on first use so runs without an S3 destination don't pay for the SDK
+    const sdk = await import('@aws-sdk/client-s3');
+    PutObjectCommand = sdk.PutObjectCommand;
+
+    const accessKeyId = process.env.S3_ACCESS_KEY_ID;
+    const secretAccessKey = process.env.S3_SECRET_ACCESS_KEY;
+    client = new sdk.S3Client({
+      region,
+      endpoint,
+      forcePathStyle,
+      ...(accessKeyId && secretAccessKey && { credentials: { accessKeyId, secretAccessKey } }),
+    });
+    return client;
+  };
+
+  const urlFor = (key) => {
+    if (publicUrl) return `${publicUrl.replace(/\/+$/, '')}/${key}`;
+    if (endpoint) return `${endpoint.replace(/\/+$/, '')}/${bucket}/${key}`;
+    return `https://${bucket}.s3.${region}.amazonaws.com/${key}`;
+  };
+
+  return {
+    async put(buffer, { fileName, mimeType }) {
+      const key = `${prefix.replace(/^\/+|\/+$/g, '')}/${fileName}`.replace(/^\/+/, '');
+
+      await (await connect()).send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: mimeType,
+      }));
+
+      log.info(`✅ Uploaded to s3://${bucket}/${key}`);
+      return { id: `s3://${bucket}/${key}`, url: urlFor(key), path: key };
+    },
+
+    async close() {
+      client?.destroy();
+    },
+  };
+}
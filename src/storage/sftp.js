@@ -0,0 +1,53 @@
+// src/storage/sftp.js - SFTP server destination
+import { log } from 'apify';
+import path from 'path';
+
+/**
+ * `{ type: "sftp", host, port, directory }`. Login comes from SFTP_USERNAME plus
+ * SFTP_PASSWORD or SFTP_PRIVATE_KEY (PEM, `\n` escapes allowed). One connection is
+ * opened on first use and kept for the rest of the run.
+ */
+export function createSftpAdapter(config = {}) {
+  const { host, port = 22, directory = '.' } = config;
+  if (!host) throw new Error('sftp destination needs a "host"');
+
+  let client = null;
+
+  const connect = async () => {
+    if (client) return client;
+
+    const { default: SftpClient } = await import('ssh2-sftp-client');
+    const privateKey = process.env.SFTP_PRIVATE_KEY?.replace(/\\n/g, '\n');
+
+    const sftp = new SftpClient();
+    await sftp.connect({
+      host,
+      port: Number(port),
+      username: process.env.SFTP_USERNAME,
+      ...(privateKey ? { privateKey } : { password: process.env.SFTP_PASSWORD }),
+    });
+    client = sftp;
+    return client;
+  };
+
+  return {
+    async put(buffer, { fileName }) {
+      const sftp = await connect();
+      const remotePath = path.posix.join(directory, fileName);
+
+      await sftp.mkdir(path.posix.dirname(remotePath), true).catch(() => {});
+      await sftp.put(buffer, remotePath);
+
+      log.info(`✅ Uploaded to sftp://${host}${remotePath.startsWith('/') ? '' : '/'}${remotePath}`);
+      return {
+        id: remotePath,
+        url: `sftp://${host}${Number(port) === 22 ? '' : `:${port}`}/${remotePath.replace(/^\/+/, '')}`,
+        path: remotePath,
+      };
+    },
+
+    async close() {
+      await client?.end().catch(() => {});
+    },
+  };
+}
@@ -0,0 +1,33 @@
+// src/storage/template.js - folder path templates such as "{state}/{city}/{year}"
+
+/**
+ * Values a template can use, built from the certificate metadata. `year` is the expiration
+ * year, `approvedYear` the approval year; any other metadata key (e.g. `client` or a
+ * spreadsheet column such as `{Client ID}`) is available under its own name.
+ */
+export function templateValues(meta = {}) {
+  return {
+    ...meta,
+    year: meta.expirationDate?.slice(0, 4) || null,
+    approvedYear: meta.approvedAt?.slice(0, 4) || null,
+  };
+}
+
+/**
+ * Render a template into folder names. Values can't add path separators,
+ * missing values become "Unknown", and empty segments are dropped.
+ * renderPathTemplate('{state}/{city}/{year}', meta) → ['AL', 'Mobile', '2030']
+ */
+export function renderPathTemplate(template, meta) {
+  if (!template) return [];
+  const values = templateValues(meta);
+
+  return template
+    .split('/')
+    .map((segment) => segment.replace(/\{([^{}]+)\}/g, (_, token) => {
+      const value = values[token];
+      return value == null || value === '' ? 'Unknown' : String(value);
+    }))
+    .map((segment) => segment.replace(/[\\/:*?"<>|]+/g, '-').replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+}
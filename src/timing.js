@@ -0,0 +1,51 @@
+// src/timing.js - per-step durations for dataset items and the run summary
+
+/**
+ * Lap timer for a sequential flow: each `lap(name)` records the ms since the previous lap
+ * (or since creation). Repeated names accumulate. `timings` is a plain object for the result.
+ */
+export function createLapTimer() {
+  const timings = {};
+  const started = Date.now();
+  let last = started;
+
+  const lap = (name) => {
+    const now = Date.now();
+    timings[name] = (timings[name] || 0) + (now - last);
+    last = now;
+  };
+
+  lap.timings = timings;
+  lap.total = () => Date.now() - started;
+  return lap;
+}
+
+const percentile = (sorted, p) => sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+
+/**
+ * { count, avgMs, p95Ms, maxMs } for a list of durations; null when there are none.
+ */
+export function summarizeDurations(values) {
+  const sorted = values.filter((v) => typeof v === 'number').sort((a, b) => a - b);
+  if (!sorted.length) return null;
+  return {
+    count: sorted.length,
+    avgMs: Math.round(sorted.reduce((a, b) => a + b, 0) / sorted.length),
+    p95Ms: percentile(sorted, 95),
+    maxMs: sorted[sorted.length - 1],
+  };
+}
+
+/**
+ * Aggregate `result.timings` across results: { step: { count, avgMs, p95Ms, maxMs } }.
+ */
+export function summarizeTimings(results) {
+  const byStep = {};
+  for (const result of results) {
+    for (const [step, ms] of Object.entries(result.timings || {})) {
+      (byStep[step] ||= []).push(ms);
+    }
+  }
+
+  return Object.fromEntries(Object.entries(byStep).map(([step, values]) => [step, summarizeDurations(values)]));
+}
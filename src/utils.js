@@ -0,0 +1,24 @@
+// src/utils.js - shared helpers used across the actor modules
+import { Actor } from 'apify';
+
+export const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+export const jitter = (base, spread = 350) => base + Math.floor(Math.random() * spread);
+
+export function sanitizeFileName(name) {
+  return name.replace(/[\\/:*?"<>|\s]+/g, '_').slice(0, 180);
+}
+
+export function kvSafeKey(name) {
+  return (name || '')
+    .replace(/[^a-zA-Z0-9!\-_\.'()]+/g, '-')
+    .slice(0, 250);
+}
+
+// Public API URL of a record in the run's default key-value store
+export const recordUrl = (key) => `https://api.apify.com/v2/key-value-stores/${Actor.getEnv().defaultKeyValueStoreId}/records/${key}`;
+
+export async function streamToBuffer(stream) {
+  const chunks = [];
+  for await (const c of stream) chunks.push(c);
+  return Buffer.concat(chunks);
+}
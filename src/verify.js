@@ -0,0 +1,109 @@
+// src/verify.js - checks a downloaded certificate PDF against the searched property
+import { getDocument } from 'pdfjs-dist/legacy/build/pdf.mjs';
+import { scoreCandidate } from './matching.js';
+import { parseAddressParts, toDateKey, findLabelledDate } from './normalize.js';
+
+// ==================== PDF TEXT ====================
+
+/**
+ * Read the text layer of a PDF, one line per text run that ends a line.
+ * Returns an empty string for scanned PDFs without a text layer.
+ */
+export async function extractPdfText(buffer) {
+  const doc = await getDocument({
+    data: new Uint8Array(buffer),
+    isEvalSupported: false,
+    useSystemFonts: true,
+    verbosity: 0,
+  }).promise;
+
+  try {
+    const lines = [];
+    for (let p = 1; p <= doc.numPages; p++) {
+      const page = await doc.getPage(p);
+      const content = await page.getTextContent();
+      let line = '';
+      for (const item of content.items) {
+        line += item.str;
+        if (item.hasEOL) {
+          lines.push(line.trim());
+          line = '';
+        } else if (item.str && !line.endsWith(' ')) {
+          line += ' ';
+        }
+      }
+      if (line.trim()) lines.push(line.trim());
+    }
+    return lines.filter(Boolean).join('\n');
+  } finally {
+    await doc.destroy();
+  }
+}
+
+// ==================== FIELD PARSING ====================
+
+/**
+ * Pull FH number, property address and expiration date out of certificate text.
+ */
+export function parseCertificateText(text = '') {
+  const data = { fhNumber: null, address: null, expirationDate: null };
+
+  const fhMatch = text.match(/FE?H[\s:-]?\d{8,}/i);
+  if (fhMatch) {
+    data.fhNumber = fhMatch[0].replace(/[\s:-]/g, '').toUpperCase();
+  }
+
+  data.expirationDate = findLabelledDate(text, 'Expir');
+
+  const labelled = text.match(/(?:Property|Building|Home)?\s*Address[:\s]*([^\n]{8,120})/i);
+  const freeform = text.match(/^\s*\d+\s+[A-Za-z0-9 .'#-]+,?\s+[A-Za-z .]+,?\s+[A-Z]{2}\s+\d{5}(?:-\d{4})?/m);
+  if (labelled) {
+    data.address = labelled[1].trim();
+  } else if (freeform) {
+    data.address = freeform[0].trim();
+  }
+
+  return data;
+}
+
+// ==================== CROSS-CHECK ====================
+
+/**
+ * Compare what the PDF says against the popup data and the searched address.
+ * Returns { verified, unverifiable, mismatches, pdf } — `mismatches` holds one message per
+ * failed check. A PDF without a text layer (a scan) has nothing to compare: it comes back
+ * `unverifiable` with no mismatches rather than as a failed check.
+ */
+export async function verifyCertificatePdf(buffer, { fhNumber, buildingAddress, expirationDate, searchAddress }, { addressThreshold = 0.75 } = {}) {
+  const text = await extractPdfText(buffer);
+  const pdf = parseCertificateText(text);
+  const mismatches = [];
+
+  if (!text) {
+    return { verified: false, unverifiable: true, mismatches, pdf };
+  }
+
+  if (!pdf.fhNumber) {
+    mismatches.push('FH number not found in PDF');
+  } else if (fhNumber && pdf.fhNumber !== fhNumber) {
+    mismatches.push(`FH number ${pdf.fhNumber} does not match popup ${fhNumber}`);
+  }
+
+  if (!pdf.address) {
+    mismatches.push('Property address not found in PDF');
+  } else {
+    for (const [label, expected] of [['searched address', searchAddress], ['popup address', buildingAddress]]) {
+      if (!expected) continue;
+      const score = scoreCandidate(parseAddressParts(expected), pdf.address);
+      if (score < addressThreshold) {
+        mismatches.push(`PDF address "${pdf.address}" does not match ${label} "${expected}" (score ${score})`);
+      }
+    }
+  }
+
+  if (pdf.expirationDate && expirationDate && toDateKey(pdf.expirationDate) !== toDateKey(expirationDate)) {
+    mismatches.push(`Expiration ${pdf.expirationDate} does not match popup ${expirationDate}`);
+  }
+
+  return { verified: mismatches.length === 0, unverifiable: false, mismatches, pdf };
+}
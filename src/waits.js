@@ -0,0 +1,100 @@
+// src/waits.js - condition-based waits used instead of fixed sleeps
+import { sleep } from './utils.js';
+
+/**
+ * Per-condition timeouts in ms, overridable through the `timeouts` input.
+ */
+export const DEFAULT_TIMEOUTS = {
+  navigation: 60_000,   // page.goto / reload
+  element: 30_000,      // buttons and inputs appearing
+  dropdown: 15_000,     // autocomplete results after typing
+  dialog: 30_000,       // certificate dialog opening and filling in
+  download: 60_000,     // Download click → download event
+  networkIdle: 5_000,   // best-effort quiet period after portal requests
+};
+
+export function resolveTimeouts(overrides = {}) {
+  const timeouts = { ...DEFAULT_TIMEOUTS };
+  for (const [key, value] of Object.entries(overrides || {})) {
+    if (key in timeouts && Number(value) > 0) timeouts[key] = Number(value);
+  }
+  return timeouts;
+}
+
+/**
+ * Best-effort: let in-flight portal requests finish, but never fail the step on it.
+ */
+export async function settleNetwork(page, timeouts) {
+  await page.waitForLoadState('networkidle', { timeout: timeouts.networkIdle }).catch(() => {});
+}
+
+/**
+ * Wait until one of the dropdown selectors has items and the item count has stopped
+ * changing for `settleMs` (the list re-filters while the last keystrokes land).
+ * Returns the matching selector, or null if nothing showed up within the timeout.
+ */
+export async function waitForDropdown(page, selectors, { timeout, settleMs = 600 }) {
+  const handle = await page.waitForFunction(
+    (sels) => sels.find((s) => document.querySelectorAll(s).length > 0) || null,
+    selectors,
+    { timeout, polling: 200 },
+  ).catch(() => null);
+
+  const selector = handle ? await handle.jsonValue() : null;
+  if (!selector) return null;
+
+  const deadline = Date.now() + timeout;
+  let count = await page.locator(selector).count();
+  let stableSince = Date.now();
+
+  while (Date.now() - stableSince < settleMs && Date.now() < deadline) {
+    await sleep(150);
+    const current = await page.locator(selector).count();
+    if (current !== count) {
+      count = current;
+      stableSince = Date.now();
+    }
+  }
+
+  return selector;
+}
+
+/**
+ * Wait for the certificate dialog (the first of `selectors` to show up) to open and then for
+ * its content to include an FH/FEH number. Returns { opened, loaded, selector } so a dialog
+ * without a number can still be parsed.
+ */
+export async function waitForCertificateDialog(page, { timeout, selectors = ['[role="dialog"]'] }) {
+  const handle = await page.waitForFunction(
+    (sels) => sels.find((s) => document.querySelector(s)?.getClientRects().length > 0) || null,
+    selectors,
+    { timeout, polling: 250 },
+  ).catch(() => null);
+
+  const selector = handle ? await handle.jsonValue() : null;
+  if (!selector) return { opened: false, loaded: false, selector: null };
+
+  const loaded = await page.waitForFunction(
+    (sel) => /FE?H[\s:-]?\d{8,}/i.test(document.querySelector(sel)?.innerText || ''),
+    selector,
+    { timeout, polling: 250 },
+  ).then(() => true).catch(() => false);
+
+  return { opened: true, loaded, selector };
+}
+
+/**
+ * After a Next click or a scroll: wait until the rows under `selector` change - more of
+ * them (infinite scroll) or a different first row (next page). `before` is
+ * `{ count, first }` from before the action. Returns false if nothing changed in time.
+ */
+export async function waitForRowsChange(page, selector, before, { timeout }) {
+  return page.waitForFunction(
+    ({ sel, count, first }) => {
+      const rows = document.querySelectorAll(sel);
+      return rows.length > count || (rows.length > 0 && (rows[0].textContent || '').trim() !== first);
+    },
+    { sel: selector, ...before },
+    { timeout, polling: 200 },
+  ).then(() => true).catch(() => false);
+}
@@ -0,0 +1,71 @@
+// src/webhook.js - POST results and the run summary to a callback URL
+import crypto from 'crypto';
+import { Actor, log } from 'apify';
+import { sleep, jitter } from './utils.js';
+
+/**
+ * `sha256=<hex>` HMAC over `${timestamp}.${body}`, sent as X-IBHS-Signature with the
+ * timestamp in X-IBHS-Timestamp. Receivers recompute it and reject stale timestamps.
+ */
+export function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// Network errors, timeouts, 408, 429 and 5xx are worth another try; other 4xx are not
+const retryable = (status) => status == null || status === 408 || status === 429 || status >= 500;
+
+/**
+ * Returns `notify(event, data)` → delivery record `{ delivered, attempts, statusCode, error, deliveredAt }`,
+ * or null when no `url` is configured. Failed deliveries are retried `maxRetries` times with
+ * exponential backoff starting at `backoffMs`; notify never throws.
+ */
+export function createWebhookNotifier({ url, secret, maxRetries = 3, backoffMs = 2000, timeoutMs = 15_000 } = {}) {
+  if (!url) return async () => null;
+
+  return async function notify(event, data) {
+    const body = JSON.stringify({
+      event,
+      runId: Actor.getEnv().actorRunId || null,
+      sentAt: new Date().toISOString(),
+      data,
+    });
+    const deliveryId = crypto.randomUUID();
+
+    let statusCode = null;
+    let error = null;
+
+    for (let attempt = 1; attempt <= maxRetries + 1; attempt++) {
+      const timestamp = String(Math.floor(Date.now() / 1000));
+      const headers = {
+        'content-type': 'application/json',
+        'user-agent': 'ibhs-cert-downloader',
+        'x-ibhs-event': event,
+        'x-ibhs-delivery': deliveryId,
+        'x-ibhs-timestamp': timestamp,
+        ...(secret && { 'x-ibhs-signature': signPayload(secret, timestamp, body) }),
+      };
+
+      try {
+        const res = await fetch(url, { method: 'POST', headers, body, signal: AbortSignal.timeout(timeoutMs) });
+        statusCode = res.status;
+        error = res.ok ? null : `HTTP ${res.status}`;
+        await res.body?.cancel().catch(() => {});
+      } catch (e) {
+        statusCode = null;
+        error = e.name === 'TimeoutError' ? `Timed out after ${timeoutMs} ms` : e.message;
+      }
+
+      if (!error) {
+        return { delivered: true, attempts: attempt, statusCode, error: null, deliveredAt: new Date().toISOString() };
+      }
+      if (!retryable(statusCode) || attempt > maxRetries) {
+        log.warning(`⚠️ Webhook ${event} not delivered after ${attempt} attempt(s): ${error}`);
+        return { delivered: false, attempts: attempt, statusCode, error, deliveredAt: null };
+      }
+
+      const delay = jitter(backoffMs * 2 ** (attempt - 1));
+      log.info(`🔁 Webhook ${event} failed (${error}) - retrying in ${Math.round(delay / 1000)}s`);
+      await sleep(delay);
+    }
+  };
+}
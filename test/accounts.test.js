@@ -0,0 +1,61 @@
+// test/accounts.test.js - account registry from secrets, alias selection and redaction
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadAccounts, defaultAccountAlias, redactCredentials } from '../src/accounts.js';
+import { sessionKey } from '../src/session.js';
+
+const REGISTRY = JSON.stringify({
+  acme: { username: 'ops@acme.example', password: 'acme-secret' },
+  beta: { username: 'ops@beta.example', password: 'beta-secret' },
+});
+
+describe('loadAccounts', () => {
+  it('reads IBHS_ACCOUNTS and adds IBHS_USERNAME / IBHS_PASSWORD as "default"', () => {
+    const accounts = loadAccounts({ IBHS_ACCOUNTS: REGISTRY, IBHS_USERNAME: 'me@example.com', IBHS_PASSWORD: 'pw' });
+    assert.deepEqual([...accounts.keys()], ['acme', 'beta', 'default']);
+    assert.equal(accounts.get('default').username, 'me@example.com');
+    assert.equal(loadAccounts({}).size, 0);
+  });
+
+  it('rejects a bad registry without quoting the secrets', () => {
+    assert.throws(() => loadAccounts({ IBHS_ACCOUNTS: '{"acme": {"password": "leak-me"' }), (error) => {
+      assert.match(error.message, /not valid JSON/);
+      assert.doesNotMatch(error.message, /leak-me/);
+      return true;
+    });
+    assert.throws(() => loadAccounts({ IBHS_ACCOUNTS: '[]' }), /must be an object/);
+    assert.throws(() => loadAccounts({ IBHS_ACCOUNTS: '{"a b": {"username": "u", "password": "p"}}' }), /alias "a b"/);
+    assert.throws(() => loadAccounts({ IBHS_ACCOUNTS: '{"acme": {"username": "u"}}' }), /"acme" needs a "username" and a "password"/);
+  });
+});
+
+describe('defaultAccountAlias', () => {
+  const several = loadAccounts({ IBHS_ACCOUNTS: REGISTRY });
+
+  it('picks the requested account, else "default", else the only one', () => {
+    assert.equal(defaultAccountAlias(several, 'beta'), 'beta');
+    assert.equal(defaultAccountAlias(loadAccounts({ IBHS_ACCOUNTS: REGISTRY, IBHS_USERNAME: 'u', IBHS_PASSWORD: 'p' })), 'default');
+    assert.equal(defaultAccountAlias(loadAccounts({ IBHS_ACCOUNTS: '{"solo": {"username": "u", "password": "p"}}' })), 'solo');
+    assert.equal(defaultAccountAlias(several), null);
+  });
+
+  it('names the registered accounts for an unknown one', () => {
+    assert.throws(() => defaultAccountAlias(several, 'gamma'), /Unknown account "gamma" \(registered: acme, beta\)/);
+  });
+});
+
+describe('redactCredentials', () => {
+  it('replaces every username and password', () => {
+    const accounts = loadAccounts({ IBHS_ACCOUNTS: REGISTRY });
+    const text = '{"email":"ops@acme.example","password":"acme-secret"} then beta-secret';
+    assert.equal(redactCredentials(text, accounts), '{"email":"[redacted]","password":"[redacted]"} then [redacted]');
+  });
+});
+
+describe('sessionKey', () => {
+  it('keeps the old key for the default account', () => {
+    assert.equal(sessionKey('default'), 'ibhs_session_state');
+    assert.equal(sessionKey(), 'ibhs_session_state');
+    assert.equal(sessionKey('acme'), 'ibhs_session_state_acme');
+  });
+});
@@ -0,0 +1,57 @@
+// test/artifacts.test.js - diagnostics bundle packaging and scrubbing
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import JSZip from 'jszip';
+import { zipFiles, scrubHar, redactTrace } from '../src/artifacts.js';
+
+describe('zipFiles', () => {
+  it('packs text and binary files into one archive', async () => {
+    const buffer = await zipFiles({ 'console.json': '[]', 'trace.zip': Buffer.from([1, 2, 3]) });
+    assert.equal(buffer.subarray(0, 2).toString(), 'PK');
+
+    const zip = await JSZip.loadAsync(buffer);
+    assert.deepEqual(Object.keys(zip.files).sort(), ['console.json', 'trace.zip']);
+    assert.deepEqual([...(await zip.file('trace.zip').async('nodebuffer'))], [1, 2, 3]);
+  });
+});
+
+describe('scrubHar', () => {
+  it('blanks cookies and authorization, then redacts the rest', () => {
+    const har = JSON.stringify({
+      log: {
+        entries: [{
+          request: {
+            headers: [{ name: 'Cookie', value: 'sid=abc' }, { name: 'Accept', value: '*/*' }],
+            cookies: [{ name: 'sid', value: 'abc' }],
+            postData: { text: '{"email":"me@example.com","password":"hunter2"}' },
+          },
+          response: { headers: [{ name: 'set-cookie', value: 'sid=def' }, { name: 'Authorization', value: 'Bearer x' }] },
+        }],
+      },
+    });
+
+    const scrubbed = scrubHar(har, (text) => text.replaceAll('hunter2', '[redacted]'));
+    const [entry] = JSON.parse(scrubbed).log.entries;
+    assert.deepEqual(entry.request.headers.map((h) => h.value), ['[redacted]', '*/*']);
+    assert.equal(entry.request.cookies[0].value, '[redacted]');
+    assert.deepEqual(entry.response.headers.map((h) => h.value), ['[redacted]', '[redacted]']);
+    assert.doesNotMatch(scrubbed, /hunter2|sid=abc/);
+  });
+});
+
+describe('redactTrace', () => {
+  it('redacts the action log and leaves screenshots alone', async () => {
+    const trace = await zipFiles({
+      'trace.trace': '{"method":"fill","params":{"value":"hunter2"}}',
+      'resources/page@1.jpeg': Buffer.from([0xff, 0xd8, 0xff]),
+    });
+
+    const zip = await JSZip.loadAsync(await redactTrace(trace, (text) => text.replaceAll('hunter2', '[redacted]')));
+    assert.equal(await zip.file('trace.trace').async('string'), '{"method":"fill","params":{"value":"[redacted]"}}');
+    assert.deepEqual([...(await zip.file('resources/page@1.jpeg').async('nodebuffer'))], [0xff, 0xd8, 0xff]);
+  });
+
+  it('rejects what is not a zip, so the caller can leave it out', async () => {
+    await assert.rejects(redactTrace(Buffer.from('not a zip')));
+  });
+});
@@ -0,0 +1,157 @@
+// test/cli.test.js - command-line arguments, actor input and output, and a report run
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseCli, itemFromArgument, readAddressFile, buildInput, fetchRows, formatOutput } from '../src/cli.js';
+import { makeTempDir } from './helpers/portal.js';
+
+const CLI_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'src', 'cli.js');
+
+describe('parseCli', () => {
+  it('reads the command, its arguments and flags', () => {
+    const { command, values, positionals } = parseCli(['fetch', '513 Malaga Dr', 'FH25016154', '--headed', '--concurrency', '2', '--format', 'csv']);
+    assert.equal(command, 'fetch');
+    assert.deepEqual(positionals, ['513 Malaga Dr', 'FH25016154']);
+    assert.deepEqual([values.headed, values.concurrency, values.format, values['out-dir']], [true, 2, 'csv', 'certificates']);
+  });
+
+  it('shows the help without a command', () => {
+    assert.equal(parseCli([]).command, 'help');
+    assert.equal(parseCli(['fetch', '--help']).command, 'help');
+  });
+
+  it('rejects what it cannot run', () => {
+    assert.throws(() => parseCli(['download', 'x']), /Unknown command "download"/);
+    assert.throws(() => parseCli(['fetch']), /needs addresses/);
+    assert.throws(() => parseCli(['fetch', 'x', '--format', 'xml']), /--format must be json or csv/);
+    assert.throws(() => parseCli(['fetch', 'x', '--concurrency', '0']), /--concurrency/);
+    assert.throws(() => parseCli(['check-selectors']), /needs --canary/);
+    assert.throws(() => parseCli(['check-selectors', '--fh', '12']), /not an FH\/FEH number/);
+    assert.throws(() => parseCli(['fetch', 'x', '--bogus']), /Unknown option '--bogus'/);
+  });
+});
+
+describe('actor input', () => {
+  it('looks up bare FH numbers by FH number and everything else by address', () => {
+    assert.deepEqual(itemFromArgument(' fh 25016154 '), { fhNumber: 'FH25016154' });
+    assert.equal(itemFromArgument('513 Malaga Dr, Mobile, AL'), '513 Malaga Dr, Mobile, AL');
+    assert.equal(itemFromArgument('FH25016154 513 Malaga Dr'), 'FH25016154 513 Malaga Dr');
+  });
+
+  it('reads a CSV with extra columns as tags', async () => {
+    const dir = await makeTempDir('ibhs-cli-');
+    try {
+      const file = path.join(dir, 'addresses.csv');
+      await fs.writeFile(file, 'Address,Client\n"513 Malaga Dr, Mobile, AL 36608",Acme\n,\n520 Novatan Rd S,Beta\n');
+      assert.deepEqual(await readAddressFile(file), [
+        { Client: 'Acme', address: '513 Malaga Dr, Mobile, AL 36608' },
+        { Client: 'Beta', address: '520 Novatan Rd S' },
+      ]);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('maps commands onto actor modes, with the PDFs saved to --out-dir', () => {
+    const fetch = buildInput('fetch', parseCli(['fetch', 'x', '--out-dir', 'pdfs', '--concurrency', '3']).values, ['x']);
+    assert.deepEqual(fetch.storage, [{ type: 'local', directory: path.resolve('pdfs') }]);
+    assert.deepEqual([fetch.concurrency, fetch.forceRefresh, fetch.maxAddressesPerRun, fetch.headed], [3, 'all', 1, false]);
+    assert.equal('username' in fetch || 'password' in fetch, false);
+    assert.equal(buildInput('fetch', parseCli(['fetch', 'x', '--account', 'acme']).values, ['x']).account, 'acme');
+
+    const check = buildInput('check-selectors', parseCli(['check-selectors', '--canary', '513 Malaga Dr', '--fh', 'FH25016154']).values);
+    assert.deepEqual([check.mode, check.canary], ['healthCheck', { address: '513 Malaga Dr', fhNumber: 'FH25016154' }]);
+
+    const report = buildInput('report', parseCli(['report', '--buckets', 'expired, within30']).values);
+    assert.deepEqual(report, { mode: 'expirationReport', includeBuckets: ['expired', 'within30'] });
+  });
+});
+
+describe('output', () => {
+  it('points each fetched certificate at its local file and writes CSV', () => {
+    const rows = fetchRows([
+      { address: '513 Malaga Dr', status: 'downloaded', fhNumber: 'FH25016154', storage: [{ type: 'local', path: '/tmp/certs/FH25016154.pdf' }] },
+      { address: '999 Nowhere Ln', status: 'not_found', errorCode: 'no_results', error: 'No dropdown results, "999"', storage: [] },
+    ]);
+    assert.equal(formatOutput(rows, 'csv', ['address', 'status', 'file', 'error']), [
+      'address,status,file,error',
+      '513 Malaga Dr,downloaded,/tmp/certs/FH25016154.pdf,',
+      '999 Nowhere Ln,not_found,,"No dropdown results, ""999"""',
+      '',
+    ].join('\n'));
+    assert.equal(JSON.parse(formatOutput(rows, 'json'))[0].file, '/tmp/certs/FH25016154.pdf');
+  });
+});
+
+function runCli(args, { cwd, env = {} }) {
+  return new Promise((resolve) => {
+    const child = spawn(process.execPath, [CLI_PATH, ...args], { cwd, env: { ...process.env, IBHS_USERNAME: '', IBHS_PASSWORD: '', IBHS_ACCOUNTS: '', ...env } });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', (d) => { stdout += d; });
+    child.stderr.on('data', (d) => { stderr += d; });
+    child.on('close', (code) => resolve({ code, stdout, stderr }));
+  });
+}
+
+describe('ibhs-certs fetch with a bad file', () => {
+  let workDir;
+  const env = { IBHS_USERNAME: 'me@example.com', IBHS_PASSWORD: 'pw' };
+
+  before(async () => {
+    workDir = await makeTempDir('ibhs-cli-');
+    await fs.writeFile(path.join(workDir, 'flow.json'), '{"login": ');
+  });
+
+  after(async () => {
+    if (workDir) await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  it('exits 2 with the error for a missing address file', async () => {
+    const { code, stdout, stderr } = await runCli(['fetch', '--file', 'missing.csv'], { cwd: workDir, env });
+    assert.equal(code, 2);
+    assert.equal(stdout, '');
+    assert.match(stderr, /^ENOENT: no such file or directory, open 'missing\.csv'\n$/);
+  });
+
+  it('exits 2 with the error for a flow file that is not JSON', async () => {
+    const { code, stderr } = await runCli(['fetch', '513 Malaga Dr', '--flow', 'flow.json'], { cwd: workDir, env });
+    assert.equal(code, 2);
+    assert.match(stderr, /JSON/);
+    assert.doesNotMatch(stderr, /\n\s+at /);
+  });
+});
+
+describe('ibhs-certs report', () => {
+  let workDir;
+
+  before(async () => {
+    workDir = await makeTempDir('ibhs-cli-');
+    const kvDir = path.join(workDir, 'storage', 'key_value_stores', 'ibhs-ledger');
+    await fs.mkdir(kvDir, { recursive: true });
+    await fs.writeFile(path.join(kvDir, 'processed_addresses.json'), JSON.stringify({
+      FH25016154: { address: '513 Malaga Dr, Mobile, AL 36608', state: 'completed', fhNumber: 'FH25016154', expirationDate: '2001-01-01' },
+    }));
+  });
+
+  after(async () => {
+    if (workDir) await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  it('prints the report from the ledger as CSV without logging in', async () => {
+    const { code, stdout } = await runCli(['report', '--format', 'csv', '--quiet', '--storage-dir', path.join(workDir, 'storage')], { cwd: workDir });
+
+    assert.equal(code, 0);
+    const [header, row] = stdout.trim().split('\n');
+    assert.equal(header, 'bucket,daysUntilExpiration,expirationIso,fhNumber,address,approvedAt,expirationDate');
+    assert.match(row, /^expired,-\d+,2001-01-01,FH25016154,"513 Malaga Dr, Mobile, AL 36608",,2001-01-01$/);
+
+    const reportDir = path.join(workDir, 'storage', 'datasets', 'expiration-report');
+    const rows = (await fs.readdir(reportDir)).filter((f) => f.endsWith('.json'));
+    assert.equal(rows.length, 1);
+    assert.equal(JSON.parse(await fs.readFile(path.join(reportDir, rows[0]), 'utf8')).fhNumber, 'FH25016154');
+  });
+});
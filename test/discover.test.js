@@ -0,0 +1,42 @@
+// test/discover.test.js - listing rows for discoverAll
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseListingRow, listingKey } from '../src/discover.js';
+import { checkDialogMatches } from '../src/search.js';
+
+describe('parseListingRow', () => {
+  it('maps columns by header and normalizes FH numbers and dates', () => {
+    const entry = parseListingRow(
+      ['FH #', 'Property Address', 'Homeowner', 'Status', 'Exp. Date'],
+      ['fh 25016154', '520 Novatan Rd S, Mobile, AL 36608', 'Jane Smith', 'Approved', '03/03/2029'],
+    );
+    assert.deepEqual(entry, {
+      fhNumber: 'FH25016154',
+      evaluationId: null,
+      address: '520 Novatan Rd S, Mobile, AL 36608',
+      ownerName: 'Jane Smith',
+      status: 'Approved',
+      approvedAt: null,
+      expirationDate: '2029-03-03',
+    });
+  });
+
+  it('finds the FH number anywhere in the row and drops empty rows', () => {
+    assert.equal(parseListingRow([], ['Approved', 'Certificate FEH24009876 issued']).fhNumber, 'FEH24009876');
+    assert.equal(parseListingRow(['Status'], ['Loading...']), null);
+  });
+
+  it('keys rows by FH number, then evaluation ID, then address', () => {
+    assert.equal(listingKey({ fhNumber: 'FH25016154', evaluationId: 'E-1', address: 'x' }), 'FH25016154');
+    assert.equal(listingKey({ fhNumber: null, evaluationId: 'E-1', address: 'x' }), 'eval:E-1');
+    assert.equal(listingKey({ fhNumber: null, evaluationId: null, address: '513 Malaga Dr.' }), '513 malaga drive');
+  });
+});
+
+describe('discovered lookups', () => {
+  it('check the dialog against the FH number from the listing', () => {
+    const lookup = { type: 'address', value: '513 Malaga Dr', fhNumber: 'FEH24009876' };
+    assert.match(checkDialogMatches(lookup, { fhNumber: 'FH25016154' }), /not FEH24009876/);
+    assert.equal(checkDialogMatches(lookup, { fhNumber: 'FEH24009876' }), null);
+  });
+});
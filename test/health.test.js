@@ -0,0 +1,53 @@
+// test/health.test.js - the healthCheck report
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_FLOW, resolveFlow, selectorsFor } from '../src/selectors.js';
+import { selectorCheck, fieldCheck, summarizeChecks, loginFailureReport } from '../src/health.js';
+
+describe('healthCheck report', () => {
+  it('grades selectors by the candidate that matched', () => {
+    const dropdownItems = selectorsFor(DEFAULT_FLOW, 'dropdownItems');
+    assert.equal(selectorCheck(DEFAULT_FLOW, 'dropdownItems', dropdownItems[0]).status, 'matched');
+    const fallback = selectorCheck(DEFAULT_FLOW, 'dropdownItems', { selector: dropdownItems[4] });
+    assert.deepEqual([fallback.status, fallback.candidate, fallback.candidates], ['fallback', 4, 6]);
+    assert.equal(selectorCheck(DEFAULT_FLOW, 'dialog', null).status, 'broken');
+  });
+
+  it('grades against the flow in use, not the built-in one', () => {
+    const flow = resolveFlow([{ source: 'test', flow: { version: '2.0.0', steps: { dialog: ['.modal', '[role="dialog"]'] } } }]);
+    assert.equal(selectorCheck(flow, 'dialog', '[role="dialog"]').status, 'fallback');
+  });
+
+  it('grades dialog fields by where they were found', () => {
+    const popup = {
+      fhNumber: 'FH25016154',
+      expirationDate: '2029-03-03',
+      buildingAddress: null,
+      sources: { fhNumber: 'definitionList', expirationDate: 'regex', buildingAddress: null },
+    };
+    assert.deepEqual(
+      ['fhNumber', 'expirationDate', 'buildingAddress'].map((f) => fieldCheck(f, popup).status),
+      ['matched', 'fallback', 'broken'],
+    );
+  });
+
+  it('is ok only when nothing is broken or skipped', () => {
+    assert.deepEqual(summarizeChecks([{ status: 'matched' }, { status: 'fallback' }]), {
+      ok: true,
+      counts: { matched: 1, fallback: 1, broken: 0, skipped: 0 },
+    });
+    assert.equal(summarizeChecks([{ status: 'matched' }, { status: 'broken' }, { status: 'skipped' }]).ok, false);
+  });
+
+  it('skips every portal step when login fails', () => {
+    const error = Object.assign(new Error('Invalid email or password'), { code: 'bad_credentials' });
+    const report = loginFailureReport({ type: 'address', value: '513 Malaga Dr' }, error);
+    assert.equal(report.ok, false);
+    assert.equal(report.flowVersion, DEFAULT_FLOW.version);
+    assert.deepEqual(report.checks[0], {
+      name: 'login', status: 'broken', selector: null, candidate: null, candidates: null, ms: null,
+      detail: 'bad_credentials: Invalid email or password',
+    });
+    assert.equal(report.counts.skipped, 7);
+  });
+});
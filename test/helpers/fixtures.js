@@ -0,0 +1,25 @@
+// test/helpers/fixtures.js - loads saved `popup-html-*` snapshots and their expectations
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+export const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures');
+
+/**
+ * Every `popups/popup-html-*.html` snapshot, paired with its `.json` sidecar when present:
+ *   { search, option, pdf, expected }
+ * Snapshots dropped in without a sidecar are still loaded so they get a smoke test.
+ */
+export async function loadPopupSnapshots() {
+  const dir = path.join(FIXTURES_DIR, 'popups');
+  const files = (await fs.readdir(dir)).filter((f) => /^popup-html-.*\.html$/.test(f)).sort();
+
+  const snapshots = [];
+  for (const file of files) {
+    const html = await fs.readFile(path.join(dir, file), 'utf8');
+    const sidecar = path.join(dir, file.replace(/\.html$/, '.json'));
+    const meta = await fs.readFile(sidecar, 'utf8').then(JSON.parse).catch(() => null);
+    snapshots.push({ file, html, meta });
+  }
+  return snapshots;
+}
@@ -0,0 +1,47 @@
+// test/helpers/pdf.js - builds tiny single-page text PDFs that look like certificates
+
+function escapePdfText(s) {
+  return String(s).replace(/[()\\]/g, '\\$&');
+}
+
+/**
+ * Minimal PDF 1.4 with one Helvetica text block, one line per entry.
+ * Good enough for pdfjs to read back through `extractPdfText`.
+ */
+export function makeTextPdf(lines) {
+  const content = `BT /F1 12 Tf 50 750 Td 16 TL ${lines.map((l) => `(${escapePdfText(l)}) Tj T*`).join(' ')} ET`;
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+    `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>',
+  ];
+
+  let out = '%PDF-1.4\n';
+  const offsets = [];
+  objects.forEach((obj, i) => {
+    offsets.push(out.length);
+    out += `${i + 1} 0 obj\n${obj}\nendobj\n`;
+  });
+
+  const xref = out.length;
+  out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  out += offsets.map((o) => `${String(o).padStart(10, '0')} 00000 n \n`).join('');
+  out += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF`;
+
+  return Buffer.from(out, 'latin1');
+}
+
+// Certificates print US-style dates, so ISO fixture values are converted back
+export function makeCertificatePdf({ fhNumber, buildingAddress, expirationDate, program = 'FORTIFIED Home' }) {
+  const iso = String(expirationDate).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (iso) expirationDate = `${iso[2]}/${iso[3]}/${iso[1]}`;
+
+  return makeTextPdf([
+    `${program} Certificate`,
+    fhNumber,
+    `Property Address: ${buildingAddress}`,
+    `Expiration Date: ${expirationDate}`,
+  ]);
+}
@@ -0,0 +1,107 @@
+// test/helpers/portal.js - offline copy of the portal flow plus a local actor runner
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { spawn } from 'child_process';
+import { pathToFileURL, fileURLToPath } from 'url';
+import { FIXTURES_DIR } from './fixtures.js';
+import { makeCertificatePdf } from './pdf.js';
+
+const ROOT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+
+/**
+ * Write the fixture portal (index.html + data.js) into `dir` for the given snapshots
+ * and return its file:// URL, which is used as the actor's `loginUrl`.
+ * Snapshots with `pdf: true` get a generated certificate PDF behind their Download button.
+ */
+export async function buildOfflinePortal(dir, snapshots) {
+  await fs.mkdir(dir, { recursive: true });
+  await fs.copyFile(path.join(FIXTURES_DIR, 'portal', 'index.html'), path.join(dir, 'index.html'));
+
+  const certificates = snapshots
+    .filter((s) => s.meta)
+    .map(({ html, meta }) => ({
+      option: meta.option,
+      dialogHtml: html,
+      fileName: `${meta.expected.fhNumber}.pdf`,
+      pdfBase64: meta.pdf ? makeCertificatePdf(meta.expected).toString('base64') : null,
+    }));
+
+  await fs.writeFile(
+    path.join(dir, 'data.js'),
+    `window.OFFLINE_PORTAL = ${JSON.stringify({ certificates })};\n`,
+  );
+
+  return pathToFileURL(path.join(dir, 'index.html')).href;
+}
+
+/**
+ * Run `src/main.js` as a child process against local storage in `storageDir`
+ * and return the dataset items and the ledger it wrote. A non-zero exit rejects
+ * unless `allowFailure` is set, in which case `exitCode` tells. For modes that do not
+ * end by themselves, `whileRunning({ log })` is awaited alongside the actor, which is
+ * then sent SIGTERM. Credentials come from `env` (e.g. IBHS_USERNAME / IBHS_PASSWORD), as on
+ * the platform; the caller's own are never used.
+ */
+export async function runActorOffline(storageDir, input, { timeoutMs = 10 * 60_000, allowFailure = false, whileRunning, env: extraEnv = {} } = {}) {
+  const kvDir = path.join(storageDir, 'key_value_stores', 'default');
+  await fs.mkdir(kvDir, { recursive: true });
+  await fs.writeFile(path.join(kvDir, 'INPUT.json'), JSON.stringify(input));
+
+  const env = {
+    ...process.env,
+    CRAWLEE_STORAGE_DIR: storageDir,
+    APIFY_LOCAL_STORAGE_DIR: storageDir,
+    CRAWLEE_PURGE_ON_START: '0',
+    APIFY_PURGE_ON_START: '0',
+    GOOGLE_DRIVE_FOLDER_ID: '',
+    IBHS_USERNAME: '',
+    IBHS_PASSWORD: '',
+    IBHS_ACCOUNTS: '',
+    ...extraEnv,
+  };
+
+  const { output, exitCode } = await new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [path.join(ROOT_DIR, 'src', 'main.js')], { cwd: ROOT_DIR, env });
+    let log = '';
+    child.stdout.on('data', (d) => { log += d; });
+    child.stderr.on('data', (d) => { log += d; });
+    const timer = setTimeout(() => child.kill('SIGKILL'), timeoutMs);
+    let duringError = null;
+    if (whileRunning) {
+      Promise.resolve()
+        .then(() => whileRunning({ log: () => log }))
+        .catch((e) => { duringError = e; })
+        .finally(() => child.kill('SIGTERM'));
+    }
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      if (duringError) reject(duringError);
+      else if (code === 0 || allowFailure) resolve({ output: log, exitCode: code });
+      else reject(new Error(`Actor exited with code ${code}\n${log}`));
+    });
+  });
+
+  const datasetDir = path.join(storageDir, 'datasets', 'default');
+  const files = (await fs.readdir(datasetDir).catch(() => [])).filter((f) => f.endsWith('.json')).sort();
+  const items = [];
+  for (const f of files) {
+    items.push(JSON.parse(await fs.readFile(path.join(datasetDir, f), 'utf8')));
+  }
+
+  const ledger = (await readKvRecord(storageDir, 'processed_addresses', 'ibhs-ledger')) || {};
+
+  return { items, ledger, log: output, exitCode };
+}
+
+/**
+ * A JSON record from a local key-value store (the default one unless `store` is named), or null.
+ */
+export async function readKvRecord(storageDir, key, store = 'default') {
+  const file = path.join(storageDir, 'key_value_stores', store, `${key}.json`);
+  return fs.readFile(file, 'utf8').then(JSON.parse).catch(() => null);
+}
+
+export async function makeTempDir(prefix = 'ibhs-offline-') {
+  return fs.mkdtemp(path.join(os.tmpdir(), prefix));
+}
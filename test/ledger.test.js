@@ -0,0 +1,151 @@
+// test/ledger.test.js - scheduling decisions, attempt bookkeeping, migration, re-keying and storage
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { makeTempDir } from './helpers/portal.js';
+
+// The ledger lives in local storage here; must be set before apify loads
+const storageDir = await makeTempDir('ibhs-ledger-');
+process.env.CRAWLEE_STORAGE_DIR = storageDir;
+process.env.APIFY_LOCAL_STORAGE_DIR = storageDir;
+
+const { Actor } = await import('apify');
+const {
+  LEDGER_STORE, shouldProcess, recordAttempt, migrateEntry, rekeyByFhNumber, loadLedger, saveLedger,
+} = await import('../src/ledger.js');
+
+after(() => fs.rm(storageDir, { recursive: true, force: true }));
+
+const NOW = Date.parse('2026-01-05T10:00:00.000Z');
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const iso = (ms) => new Date(ms).toISOString();
+const failed = (fields) => ({ state: 'error', errorStreak: 1, lastAttemptAt: iso(NOW - HOUR_MS), ...fields });
+
+describe('shouldProcess', () => {
+  it('processes new and pending entries and skips finished ones', () => {
+    assert.deepEqual(shouldProcess(undefined, 'k', {}, NOW), { process: true, reason: 'new' });
+    assert.equal(shouldProcess({ state: 'pending' }, 'k', {}, NOW).process, true);
+    assert.deepEqual(shouldProcess({ state: 'completed' }, 'k', {}, NOW), { process: false, reason: 'already completed' });
+  });
+
+  it('waits out the backoff window before retrying an error', () => {
+    assert.equal(shouldProcess(failed({ nextAttemptAt: iso(NOW + 1) }), 'k', {}, NOW).process, false);
+    assert.deepEqual(shouldProcess(failed({ nextAttemptAt: iso(NOW) }), 'k', {}, NOW), { process: true, reason: 'retry #1' });
+    assert.equal(shouldProcess(failed({ errorStreak: 5 }), 'k', { maxAttempts: 5 }, NOW).process, false);
+  });
+
+  it('leaves errors alone when retryFailed is off', () => {
+    assert.deepEqual(shouldProcess(failed(), 'k', { retryFailed: false }, NOW), { process: false, reason: 'failed earlier (retryFailed is off)' });
+  });
+
+  it('forces a refresh for everything, or for listed keys and their aliases', () => {
+    const entry = failed({ nextAttemptAt: iso(NOW + DAY_MS), aliases: ['513 malaga dr'] });
+    assert.equal(shouldProcess(entry, 'FH25016154', { forceRefresh: 'all' }, NOW).process, true);
+    assert.equal(shouldProcess(entry, 'FH25016154', { forceRefresh: true }, NOW).process, true);
+    assert.equal(shouldProcess(entry, 'FH25016154', { forceRefresh: ['513 malaga dr'] }, NOW).process, true);
+    assert.equal(shouldProcess(entry, 'FH25016154', { forceRefresh: ['FH1'] }, NOW).process, false);
+  });
+
+  it('re-checks finished entries older than recheckOlderThanDays', () => {
+    const entry = { state: 'no_certificate', lastAttemptAt: iso(NOW - 30 * DAY_MS) };
+    assert.equal(shouldProcess(entry, 'k', { recheckOlderThanDays: 30 }, NOW).process, true);
+    assert.equal(shouldProcess(entry, 'k', { recheckOlderThanDays: 31 }, NOW).process, false);
+  });
+});
+
+describe('recordAttempt', () => {
+  const error = (hours) => ({ address: '513 Malaga Dr', status: 'timeout', error: 'Timed out', timestamp: iso(NOW + hours * HOUR_MS) });
+
+  it('doubles the backoff for every consecutive error, up to 7 days', () => {
+    const ledger = {};
+    const delays = [0, 1, 2, 3, 4, 5].map((h) => {
+      const entry = recordAttempt(ledger, 'k', error(h), { retryBackoffMinutes: 24 * 60 });
+      return (Date.parse(entry.nextAttemptAt) - Date.parse(entry.lastAttemptAt)) / DAY_MS;
+    });
+    assert.deepEqual(delays, [1, 2, 4, 7, 7, 7]);
+    assert.deepEqual([ledger.k.attempts, ledger.k.errorStreak, ledger.k.lastError], [6, 6, 'Timed out']);
+  });
+
+  it('resets the streak on success and keeps earlier certificate data', () => {
+    const ledger = {};
+    recordAttempt(ledger, 'k', { ...error(0), status: 'downloaded', fhNumber: 'FH25016154', expirationDate: '01/05/2030' });
+    const entry = recordAttempt(ledger, 'k', error(1));
+    assert.deepEqual([entry.state, entry.errorStreak, entry.fhNumber, entry.expirationDate], ['error', 1, 'FH25016154', '01/05/2030']);
+
+    const settled = recordAttempt(ledger, 'k', { ...error(2), status: 'no_certificate' });
+    assert.deepEqual([settled.state, settled.errorStreak, settled.nextAttemptAt, settled.attempts], ['no_certificate', 0, null, 3]);
+  });
+});
+
+describe('migrateEntry', () => {
+  it('turns a pre-ledger { status, timestamp } record into an entry', () => {
+    assert.deepEqual(migrateEntry({ status: 'completed', timestamp: '2025-06-01T00:00:00.000Z', fhNumber: 'FH25016154' }), {
+      state: 'completed',
+      attempts: 1,
+      errorStreak: 0,
+      lastAttemptAt: '2025-06-01T00:00:00.000Z',
+      nextAttemptAt: null,
+      lastStatus: 'completed',
+      lastError: null,
+      fhNumber: 'FH25016154',
+      approvedAt: null,
+      expirationDate: null,
+    });
+    assert.deepEqual([migrateEntry({ status: 'failed' }).state, migrateEntry({ status: 'failed' }).errorStreak], ['error', 1]);
+  });
+
+  it('leaves current entries as they are', () => {
+    const entry = { state: 'pending', attempts: 0 };
+    assert.equal(migrateEntry(entry), entry);
+  });
+});
+
+describe('rekeyByFhNumber', () => {
+  it('merges into an entry already stored under the FH number', () => {
+    const ledger = {
+      FH25016154: { state: 'completed', aliases: ['owner:jane smith'], approvedAt: '01/05/2025' },
+      '513 malaga dr': { state: 'completed', attempts: 2 },
+    };
+    assert.equal(rekeyByFhNumber(ledger, '513 malaga dr', { status: 'downloaded', fhNumber: 'FH25016154' }), 'FH25016154');
+    assert.deepEqual(ledger, {
+      FH25016154: { state: 'completed', attempts: 2, approvedAt: '01/05/2025', aliases: ['owner:jane smith', '513 malaga dr'] },
+    });
+  });
+
+  it('leaves the ledger alone without an FH number or entry', () => {
+    const ledger = { '513 malaga dr': { state: 'error' } };
+    assert.equal(rekeyByFhNumber(ledger, '513 malaga dr', { status: 'no_certificate', fhNumber: null }), '513 malaga dr');
+    assert.equal(rekeyByFhNumber(ledger, '520 novatan rd s', { status: 'downloaded', fhNumber: 'FH1' }), '520 novatan rd s');
+    assert.deepEqual(Object.keys(ledger), ['513 malaga dr']);
+  });
+
+  it('leaves a failed lookup under its own key, even with an FH number', () => {
+    const ledger = {};
+    recordAttempt(ledger, '513 malaga dr', {
+      address: '513 Malaga Dr', status: 'not_found', errorCode: 'wrong_certificate', fhNumber: 'FH99999999', timestamp: iso(NOW),
+    });
+    assert.equal(rekeyByFhNumber(ledger, '513 malaga dr', { status: 'not_found', fhNumber: 'FH99999999' }), '513 malaga dr');
+    assert.equal(rekeyByFhNumber(ledger, '513 malaga dr', { status: 'timeout', fhNumber: 'FH99999999' }), '513 malaga dr');
+    assert.deepEqual(Object.keys(ledger), ['513 malaga dr']);
+  });
+});
+
+describe('ledger storage', () => {
+  before(() => Actor.init());
+
+  // Actor.init() starts timers that would keep the test process alive
+  after(() => Actor.exit({ exit: false }));
+
+  it('reads a ledger left in the default store, then keeps it in the named store', async () => {
+    await Actor.setValue('processed_addresses', { FH25016154: { status: 'completed', timestamp: '2025-06-01T00:00:00.000Z' } });
+    const ledger = await loadLedger();
+    assert.equal(ledger.FH25016154.state, 'completed');
+
+    await saveLedger({ ...ledger, FH1: { state: 'pending' } });
+    const saved = JSON.parse(await fs.readFile(path.join(storageDir, 'key_value_stores', LEDGER_STORE, 'processed_addresses.json'), 'utf8'));
+    assert.deepEqual(Object.keys(saved), ['FH25016154', 'FH1']);
+    assert.deepEqual(Object.keys(await loadLedger()), ['FH25016154', 'FH1']);
+  });
+});
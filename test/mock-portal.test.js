@@ -0,0 +1,711 @@
+// test/mock-portal.test.js - mock portal HTTP behaviour and an actor run against it
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import { existsSync } from 'fs';
+import fs from 'fs/promises';
+import net from 'net';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { chromium } from 'playwright';
+import JSZip from 'jszip';
+import { startMockPortal } from './mock-portal/server.js';
+import { runActorOffline, readKvRecord, makeTempDir } from './helpers/portal.js';
+
+async function login(portal, password = 'secret') {
+  const res = await fetch(`${portal.url}/api/login`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ email: 'mock@example.com', password }),
+  });
+  return { res, cookie: res.headers.get('set-cookie')?.split(';')[0] };
+}
+
+// The mock portal's login, passed the way the platform passes secrets
+const MOCK_ACCOUNT = { IBHS_USERNAME: 'mock@example.com', IBHS_PASSWORD: 'mock' };
+
+const get = (portal, route, cookie) => fetch(`${portal.url}${route}`, { headers: cookie ? { cookie } : {} });
+
+describe('mock portal API', () => {
+  it('serves the portal page and requires a login for the API', async () => {
+    const portal = await startMockPortal();
+    try {
+      const page = await get(portal, '/fh');
+      assert.match(await page.text(), /Type to search/);
+      assert.equal((await get(portal, '/api/search?q=513')).status, 401);
+
+      assert.equal((await login(portal, '')).res.status, 401);
+      const { res, cookie } = await login(portal);
+      assert.equal(res.status, 200);
+
+      const results = await (await get(portal, '/api/search?q=513%20Malaga', cookie)).json();
+      assert.equal(results.length, 2);
+    } finally {
+      await portal.close();
+    }
+  });
+
+  it('returns a downloadable PDF for certificates that have one', async () => {
+    const portal = await startMockPortal();
+    try {
+      const { cookie } = await login(portal);
+      const [result] = await (await get(portal, '/api/search?q=520', cookie)).json();
+      const cert = await (await get(portal, `/api/certificates/${result.id}`, cookie)).json();
+      assert.match(cert.dialogHtml, /Download/);
+
+      const pdf = await get(portal, `/api/certificates/${result.id}/pdf`, cookie);
+      assert.equal(pdf.headers.get('content-type'), 'application/pdf');
+      assert.match(pdf.headers.get('content-disposition'), /attachment/);
+      assert.equal(Buffer.from(await pdf.arrayBuffer()).subarray(0, 5).toString(), '%PDF-');
+    } finally {
+      await portal.close();
+    }
+  });
+
+  it('no-results and no-download scenarios', async () => {
+    const portal = await startMockPortal({ scenarios: ['no-results', 'no-download'] });
+    try {
+      const { cookie } = await login(portal);
+      assert.deepEqual(await (await get(portal, '/api/search?q=520', cookie)).json(), []);
+
+      const cert = await (await get(portal, '/api/certificates/1', cookie)).json();
+      assert.doesNotMatch(cert.dialogHtml, />\s*(<span[^>]*>)?\s*Download\s*(<\/span>)?\s*<\/button>/);
+      assert.equal((await get(portal, '/api/certificates/1/pdf', cookie)).status, 404);
+    } finally {
+      await portal.close();
+    }
+  });
+
+  it('session-expiry drops the session before the next lookup', async () => {
+    const portal = await startMockPortal({ scenarios: ['session-expiry'], expireAfter: 1 });
+    try {
+      const { cookie } = await login(portal);
+      const [result] = await (await get(portal, '/api/search?q=520', cookie)).json();
+      assert.equal((await get(portal, `/api/certificates/${result.id}`, cookie)).status, 200);
+      assert.equal((await get(portal, `/api/certificates/${result.id}/pdf`, cookie)).status, 200);
+      assert.equal((await get(portal, '/api/search?q=513', cookie)).status, 401);
+      assert.equal((await get(portal, '/api/session', cookie)).status, 401);
+    } finally {
+      await portal.close();
+    }
+  });
+
+  it('pages the evaluation listing', async () => {
+    const portal = await startMockPortal({ listingPageSize: 2 });
+    try {
+      const { cookie } = await login(portal);
+      const first = await (await get(portal, '/api/evaluations?page=1', cookie)).json();
+      const last = await (await get(portal, '/api/evaluations?page=2', cookie)).json();
+
+      assert.deepEqual([first.pageCount, first.items.length, last.items.length], [2, 2, 1]);
+      assert.match(first.items[0].fhNumber, /^FE?H\d{8}$/);
+      assert.match(first.items[0].expirationDate, /^\d{2}\/\d{2}\/\d{4}$/);
+    } finally {
+      await portal.close();
+    }
+  });
+
+  it('slow scenario delays every response', async () => {
+    const portal = await startMockPortal({ scenarios: ['slow'], slowMs: 200 });
+    try {
+      const started = Date.now();
+      await get(portal, '/api/session');
+      assert.ok(Date.now() - started >= 200);
+    } finally {
+      await portal.close();
+    }
+  });
+
+  it('rejects unknown scenarios', async () => {
+    await assert.rejects(startMockPortal({ scenarios: ['flaky'] }), /Unknown scenario/);
+  });
+});
+
+const skip = existsSync(chromium.executablePath())
+  ? false
+  : 'Chromium is not installed - run `npx playwright install chromium`';
+
+describe('run() against the mock portal', { skip }, () => {
+  let portal;
+  let workDir;
+
+  before(async () => {
+    portal = await startMockPortal({ scenarios: ['no-download'] });
+    workDir = await makeTempDir();
+  });
+
+  after(async () => {
+    await portal?.close();
+    if (workDir) await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  it('reports no_certificate when the dialog has no Download button', async () => {
+    const { items } = await runActorOffline(path.join(workDir, 'storage'), {
+      loginUrl: portal.loginUrl,
+      politeDelayMs: 0,
+      addresses: ['520 Novatan Rd S, Mobile, AL 36608'],
+    }, { env: MOCK_ACCOUNT });
+
+    assert.equal(items.length, 1);
+    assert.equal(items[0].status, 'no_certificate', items[0].error);
+    assert.equal(items[0].errorCode, 'no_download_button');
+    assert.equal(items[0].success, false);
+    assert.equal(items[0].fhNumber, 'FH25016154');
+    assert.equal(items[0].certificateFile, null);
+  });
+
+  it('shares the login session between workers', async () => {
+    const { items, log } = await runActorOffline(path.join(workDir, 'workers'), {
+      loginUrl: portal.loginUrl,
+      politeDelayMs: 0,
+      concurrency: 2,
+      addresses: ['520 Novatan Rd S, Mobile, AL 36608', '513 Malaga Dr, Gulf Shores, AL 36542'],
+    }, { env: MOCK_ACCOUNT });
+
+    assert.match(log, /Started 2 workers/);
+    assert.deepEqual(items.map((i) => i.status), ['no_certificate', 'no_certificate'], items.map((i) => i.error).join('; '));
+  });
+
+  it('reads addresses from a CSV record in a named store', async () => {
+    const storageDir = path.join(workDir, 'named-source');
+    const storeDir = path.join(storageDir, 'key_value_stores', 'ibhs-input');
+    await fs.mkdir(storeDir, { recursive: true });
+    // Local storage keys records by file name without the extension
+    await fs.writeFile(path.join(storeDir, 'addresses.csv'), 'Address,Client ID\n"520 Novatan Rd S, Mobile, AL 36608",C-1\n');
+
+    const { items } = await runActorOffline(storageDir, {
+      loginUrl: portal.loginUrl,
+      politeDelayMs: 0,
+      addressSource: { kvKey: 'addresses', storeName: 'ibhs-input', type: 'csv' },
+    }, { env: MOCK_ACCOUNT });
+
+    assert.equal(items.length, 1);
+    assert.equal(items[0].status, 'no_certificate', items[0].error);
+    assert.deepEqual([items[0].address, items[0].inputFields, items[0].sourceRow], ['520 Novatan Rd S, Mobile, AL 36608', { 'Client ID': 'C-1' }, 2]);
+  });
+
+  it('uses a flow override from input and records the version and selectors used', async () => {
+    const { items } = await runActorOffline(path.join(workDir, 'flow'), {
+      loginUrl: portal.loginUrl,
+      politeDelayMs: 0,
+      flow: { version: '1.0.1-test', steps: { searchField: ['#renamed-search', '#address-search'] } },
+      addresses: ['520 Novatan Rd S, Mobile, AL 36608'],
+    }, { env: MOCK_ACCOUNT });
+
+    assert.equal(items[0].status, 'no_certificate', items[0].error);
+    assert.equal(items[0].flowVersion, '1.0.1-test');
+    assert.equal(items[0].selectorsUsed.searchField, '#address-search');
+    assert.equal(items[0].selectorsUsed.dropdownItems, '.e-popup.e-popup-open .e-list-item');
+  });
+
+  it('reads a flow override from the ibhs-flow store', async () => {
+    const storageDir = path.join(workDir, 'flow-record');
+    const flowDir = path.join(storageDir, 'key_value_stores', 'ibhs-flow');
+    await fs.mkdir(flowDir, { recursive: true });
+    await fs.writeFile(path.join(flowDir, 'FLOW_CONFIG.json'), JSON.stringify({
+      version: '1.0.2-record',
+      steps: { searchField: ['#renamed-search', '#address-search'] },
+    }));
+
+    const { items } = await runActorOffline(storageDir, {
+      loginUrl: portal.loginUrl,
+      politeDelayMs: 0,
+      addresses: ['520 Novatan Rd S, Mobile, AL 36608'],
+    }, { env: MOCK_ACCOUNT });
+
+    assert.equal(items[0].status, 'no_certificate', items[0].error);
+    assert.equal(items[0].flowVersion, '1.0.2-record');
+    assert.equal(items[0].selectorsUsed.searchField, '#address-search');
+  });
+});
+
+describe('PDF verification against the mock portal', { skip }, () => {
+  let portal;
+  let workDir;
+
+  before(async () => {
+    portal = await startMockPortal({ scenarios: ['wrong-pdf'] });
+    workDir = await makeTempDir();
+  });
+
+  after(async () => {
+    await portal?.close();
+    if (workDir) await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  it('keeps another property\'s certificate as -unverified.pdf and does not upload it', async () => {
+    const storageDir = path.join(workDir, 'storage');
+    const { items, ledger } = await runActorOffline(storageDir, {
+      loginUrl: portal.loginUrl,
+      politeDelayMs: 0,
+      storage: [{ type: 'local', directory: path.join(workDir, 'certificates') }],
+      addresses: ['520 Novatan Rd S, Mobile, AL 36608'],
+    }, { env: MOCK_ACCOUNT });
+
+    assert.equal(items.length, 1);
+    assert.equal(items[0].status, 'not_found');
+    assert.equal(items[0].errorCode, 'verification_failed');
+    assert.match(items[0].error, /FH number FH99999999 does not match popup FH25016154/);
+    assert.match(items[0].error, /does not match searched address "520 Novatan Rd S, Mobile, AL 36608"/);
+    assert.equal(items[0].verification.verified, false);
+    assert.equal(items[0].certificateFile, 'FH25016154-certificate-unverified.pdf');
+    assert.ok(existsSync(path.join(storageDir, 'key_value_stores', 'default', 'FH25016154-certificate-unverified.pdf')));
+    assert.deepEqual(items[0].storage, []);
+    assert.equal(existsSync(path.join(workDir, 'certificates')), false);
+    assert.equal(Object.values(ledger)[0].state, 'error');
+  });
+
+  it('keeps and uploads a PDF without a text layer and does not retry it', async () => {
+    const scanned = await startMockPortal({ scenarios: ['scanned-pdf'] });
+    try {
+      const { items, ledger } = await runActorOffline(path.join(workDir, 'scanned'), {
+        loginUrl: scanned.loginUrl,
+        politeDelayMs: 0,
+        storage: [{ type: 'local', directory: path.join(workDir, 'scanned-certificates') }],
+        addresses: ['520 Novatan Rd S, Mobile, AL 36608'],
+      }, { env: MOCK_ACCOUNT });
+
+      assert.equal(items[0].status, 'downloaded', items[0].error);
+      assert.deepEqual([items[0].verification.verified, items[0].verification.unverifiable], [false, true]);
+      assert.equal(items[0].certificateFile, 'FH25016154-certificate.pdf');
+      assert.equal(items[0].storage.length, 1);
+      assert.ok(existsSync(items[0].storage[0].path));
+      assert.equal(Object.values(ledger)[0].state, 'completed');
+    } finally {
+      await scanned.close();
+    }
+  });
+});
+
+describe('diagnostics against the mock portal', { skip }, () => {
+  let portal;
+  let workDir;
+
+  before(async () => {
+    portal = await startMockPortal({ scenarios: ['no-results'] });
+    workDir = await makeTempDir();
+  });
+
+  after(async () => {
+    await portal?.close();
+    if (workDir) await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  it('bundles trace, HAR, console log and DOM snapshot for a failed address', async () => {
+    const storageDir = path.join(workDir, 'diagnostics');
+    const { items } = await runActorOffline(storageDir, {
+      loginUrl: portal.loginUrl,
+      politeDelayMs: 0,
+      diagnostics: true,
+      timeouts: { dropdown: 2000 },
+      addresses: ['520 Novatan Rd S, Mobile, AL 36608'],
+    }, { env: MOCK_ACCOUNT });
+
+    assert.equal(items[0].status, 'not_found');
+    assert.equal(items[0].errorCode, 'no_results');
+    const { key, files } = items[0].diagnostics;
+    assert.ok(existsSync(path.join(storageDir, 'key_value_stores', 'default', key)));
+    for (const name of ['trace.zip', 'network.har', 'console.json', 'result.json']) assert.ok(files.includes(name), name);
+    assert.ok(files.some((f) => /^dom-1-.*\.html$/.test(f)));
+
+    // The trace carries no network data - headers and cookies are only in the scrubbed HAR
+    const bundle = await JSZip.loadAsync(await fs.readFile(path.join(storageDir, 'key_value_stores', 'default', key)));
+    const trace = await JSZip.loadAsync(await bundle.file('trace.zip').async('nodebuffer'));
+    assert.equal(await trace.file('trace.network')?.async('string') ?? '', '');
+    assert.doesNotMatch(await bundle.file('network.har').async('string'), /"name": "(Cookie|Set-Cookie)",\s*"value": "(?!\[redacted\])/i);
+  });
+});
+
+describe('certificate packet against the mock portal', { skip }, () => {
+  let portal;
+  let workDir;
+
+  before(async () => {
+    portal = await startMockPortal();
+    workDir = await makeTempDir();
+  });
+
+  after(async () => {
+    await portal?.close();
+    if (workDir) await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  it('merges the run\'s certificates into one PDF and ZIP next to the certificate records', async () => {
+    const storageDir = path.join(workDir, 'packet');
+    await runActorOffline(storageDir, {
+      loginUrl: portal.loginUrl,
+      politeDelayMs: 0,
+      packet: true,
+      addresses: ['520 Novatan Rd S, Mobile, AL 36608', '513 Malaga Dr, Gulf Shores, AL 36542'],
+    }, { env: MOCK_ACCOUNT });
+
+    const { packet } = await readKvRecord(storageDir, 'OUTPUT');
+    assert.deepEqual([packet.certificates, packet.skipped], [2, 0]);
+    const kvDir = path.join(storageDir, 'key_value_stores', 'default');
+    for (const key of [packet.pdfKey, packet.zipKey]) assert.ok(existsSync(path.join(kvDir, key)), key);
+  });
+});
+
+describe('storage destinations against the mock portal', { skip }, () => {
+  let portal;
+  let workDir;
+
+  before(async () => {
+    portal = await startMockPortal();
+    workDir = await makeTempDir();
+  });
+
+  after(async () => {
+    await portal?.close();
+    if (workDir) await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  it('reports upload_failed when a destination rejects the PDF', async () => {
+    // A file where the directory should be makes the local destination fail
+    await fs.writeFile(path.join(workDir, 'blocked'), '');
+    const { items, ledger } = await runActorOffline(path.join(workDir, 'storage'), {
+      loginUrl: portal.loginUrl,
+      politeDelayMs: 0,
+      storage: [{ type: 'local', directory: path.join(workDir, 'blocked', 'certificates') }],
+      addresses: ['520 Novatan Rd S, Mobile, AL 36608'],
+    }, { env: MOCK_ACCOUNT });
+
+    assert.equal(items.length, 1);
+    assert.deepEqual([items[0].status, items[0].errorCode, items[0].success], ['upload_failed', 'upload_failed', false]);
+    assert.match(items[0].error, /^local: /);
+    assert.ok(items[0].certificateFile);
+    assert.equal(Object.values(ledger)[0].state, 'error');
+  });
+});
+
+describe('healthCheck against the mock portal', { skip }, () => {
+  let workDir;
+
+  before(async () => {
+    workDir = await makeTempDir();
+  });
+
+  after(async () => {
+    if (workDir) await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  const checkWith = async (scenarios, name) => {
+    const portal = await startMockPortal({ scenarios });
+    const storageDir = path.join(workDir, name);
+    try {
+      const run = await runActorOffline(storageDir, {
+        mode: 'healthCheck',
+        canary: { address: '520 Novatan Rd S, Mobile, AL 36608', fhNumber: 'FH25016154' },
+        loginUrl: portal.loginUrl,
+        politeDelayMs: 0,
+        timeouts: { element: 3000, networkIdle: 500 },
+      }, { allowFailure: true, env: MOCK_ACCOUNT });
+      return { ...run, report: await readKvRecord(storageDir, 'HEALTH_CHECK') };
+    } finally {
+      await portal.close();
+    }
+  };
+
+  it('reports every selector on its primary candidate without downloading', async () => {
+    const { exitCode, items, report, ledger } = await checkWith([], 'healthy');
+
+    assert.equal(exitCode, 0);
+    assert.equal(report.ok, true, JSON.stringify(report.checks));
+    assert.equal(report.counts.broken, 0);
+    for (const name of ['newEvaluation', 'redesignation', 'searchField', 'dropdownItems', 'dialog', 'downloadButton', 'closeButton']) {
+      assert.equal(report.checks.find((c) => c.name === name)?.status, 'matched', name);
+    }
+    assert.deepEqual(items, []);
+    assert.deepEqual(ledger, {});
+  });
+
+  it('fails the run when a selector is broken', async () => {
+    const { exitCode, report } = await checkWith(['no-download'], 'broken');
+
+    assert.notEqual(exitCode, 0);
+    assert.equal(report.ok, false);
+    assert.equal(report.checks.find((c) => c.name === 'downloadButton').status, 'broken');
+    assert.equal(report.checks.find((c) => c.name === 'closeButton').status, 'matched');
+  });
+});
+
+describe('discoverAll against the mock portal', { skip }, () => {
+  let portal;
+  let workDir;
+
+  before(async () => {
+    portal = await startMockPortal({ listingPageSize: 2 });
+    workDir = await makeTempDir();
+  });
+
+  after(async () => {
+    await portal?.close();
+    if (workDir) await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  it('pages through the listing, fetches unseen certificates and skips them next time', async () => {
+    const storageDir = path.join(workDir, 'discover');
+    const input = {
+      mode: 'discoverAll',
+      fetchDiscovered: true,
+      loginUrl: portal.loginUrl,
+      politeDelayMs: 0,
+      timeouts: { networkIdle: 500 },
+    };
+
+    const { items, ledger } = await runActorOffline(storageDir, input, { env: MOCK_ACCOUNT });
+    const inventory = await readKvRecord(storageDir, 'CERTIFICATE_INVENTORY');
+
+    assert.equal(inventory.total, 3);
+    assert.ok(inventory.certificates.every((c) => c.fhNumber && c.expirationDate.match(/^\d{4}-\d{2}-\d{2}$/)));
+    // 513 Malaga Ct is listed but has no certificate PDF
+    assert.deepEqual(items.map((i) => i.status).sort(), ['downloaded', 'downloaded', 'no_certificate'], items.map((i) => i.error).join('; '));
+    assert.deepEqual(Object.keys(ledger).sort(), inventory.certificates.map((c) => c.fhNumber).sort());
+
+    const rerun = await runActorOffline(storageDir, input, { env: MOCK_ACCOUNT });
+    assert.equal(rerun.items.length, 3);
+    const summary = await readKvRecord(storageDir, 'RUN_SUMMARY');
+    assert.deepEqual([summary.discovery.notInLedger, summary.discovery.queued], [0, 0]);
+  });
+});
+
+describe('login and session handling against the mock portal', { skip }, () => {
+  let workDir;
+
+  before(async () => {
+    workDir = await makeTempDir();
+  });
+
+  after(async () => {
+    if (workDir) await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  it('logs in again when the session expires mid-batch', async () => {
+    const portal = await startMockPortal({ scenarios: ['session-expiry'], expireAfter: 1 });
+    const storageDir = path.join(workDir, 'expiry');
+    try {
+      const { items } = await runActorOffline(storageDir, {
+        loginUrl: portal.loginUrl,
+        politeDelayMs: 0,
+        addresses: ['520 Novatan Rd S, Mobile, AL 36608', '513 Malaga Dr, Gulf Shores, AL 36542'],
+      }, { env: MOCK_ACCOUNT });
+      assert.deepEqual(items.map((i) => i.status), ['downloaded', 'downloaded'], items.map((i) => i.error).join('; '));
+      assert.equal((await readKvRecord(storageDir, 'RUN_SUMMARY')).relogins, 1);
+    } finally {
+      await portal.close();
+    }
+  });
+
+  it('reuses the saved session on the next run', async () => {
+    // No expiry here - with session-expiry the saved session has already been used up
+    const portal = await startMockPortal();
+    const storageDir = path.join(workDir, 'reuse');
+    const input = { loginUrl: portal.loginUrl, politeDelayMs: 0, forceRefresh: true, addresses: ['520 Novatan Rd S, Mobile, AL 36608'] };
+    try {
+      await runActorOffline(storageDir, input, { env: MOCK_ACCOUNT });
+      assert.equal((await readKvRecord(storageDir, 'RUN_SUMMARY')).sessionReused, false);
+      assert.ok((await readKvRecord(storageDir, 'ibhs_session_state', 'ibhs-session'))?.storageState);
+
+      const rerun = await runActorOffline(storageDir, input, { env: MOCK_ACCOUNT });
+      assert.equal(rerun.items.at(-1).status, 'downloaded');
+      assert.equal((await readKvRecord(storageDir, 'RUN_SUMMARY')).sessionReused, true);
+    } finally {
+      await portal.close();
+    }
+  });
+
+  it('fails the run with bad_credentials and leaves addresses pending', async () => {
+    const portal = await startMockPortal({ password: 'right' });
+    const storageDir = path.join(workDir, 'bad-password');
+    try {
+      const run = await runActorOffline(storageDir, {
+        loginUrl: portal.loginUrl,
+        politeDelayMs: 0,
+        addresses: ['520 Novatan Rd S, Mobile, AL 36608'],
+      }, { allowFailure: true, env: { ...MOCK_ACCOUNT, IBHS_PASSWORD: 'wrong' } });
+
+      assert.notEqual(run.exitCode, 0);
+      assert.equal((await readKvRecord(storageDir, 'RUN_SUMMARY')).loginError.code, 'bad_credentials');
+      assert.equal(Object.values(run.ledger)[0].state, 'pending');
+    } finally {
+      await portal.close();
+    }
+  });
+
+  it('routes items to their account and keeps a failed account\'s items pending', async () => {
+    const portal = await startMockPortal({ password: 'acme-pass-7' });
+    const storageDir = path.join(workDir, 'accounts');
+    try {
+      const run = await runActorOffline(storageDir, {
+        loginUrl: portal.loginUrl,
+        politeDelayMs: 0,
+        addresses: [
+          { address: '520 Novatan Rd S, Mobile, AL 36608', account: 'beta' },
+          { address: '513 Malaga Dr, Gulf Shores, AL 36542', account: 'acme' },
+        ],
+      }, {
+        allowFailure: true,
+        env: {
+          IBHS_ACCOUNTS: JSON.stringify({
+            acme: { username: 'acme@example.com', password: 'acme-pass-7' },
+            beta: { username: 'beta@example.com', password: 'beta-pass-9' },
+          }),
+        },
+      });
+
+      assert.notEqual(run.exitCode, 0);
+      assert.deepEqual(run.items.map((i) => [i.account, i.status]), [['acme', 'downloaded']]);
+      assert.equal(Object.values(run.ledger).find((e) => e.address.startsWith('520')).state, 'pending');
+
+      const { accounts } = await readKvRecord(storageDir, 'RUN_SUMMARY');
+      assert.equal(accounts.acme.loginError, null);
+      assert.equal(accounts.beta.loginError.code, 'bad_credentials');
+      assert.ok((await readKvRecord(storageDir, 'ibhs_session_state_acme', 'ibhs-session'))?.storageState);
+      assert.doesNotMatch(run.log, /acme-pass-7|beta-pass-9/);
+    } finally {
+      await portal.close();
+    }
+  });
+});
+
+describe('server mode against the mock portal', { skip }, () => {
+  let workDir;
+
+  before(async () => {
+    workDir = await makeTempDir();
+  });
+
+  after(async () => {
+    if (workDir) await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  const freePort = () => new Promise((resolve) => {
+    const probe = net.createServer().listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+
+  it('answers lookups with the warm session, serves the PDF and records the results', async () => {
+    const portal = await startMockPortal();
+    const storageDir = path.join(workDir, 'server');
+    const port = await freePort();
+    const base = `http://127.0.0.1:${port}`;
+    const responses = {};
+
+    try {
+      const { items, ledger } = await runActorOffline(storageDir, {
+        mode: 'server',
+        port,
+        loginUrl: portal.loginUrl,
+        politeDelayMs: 0,
+      }, {
+        env: MOCK_ACCOUNT,
+        whileRunning: async ({ log }) => {
+          for (let i = 0; !log().includes('API listening'); i++) {
+            if (i > 600) throw new Error(`API server did not start\n${log()}`);
+            await new Promise((r) => setTimeout(r, 200));
+          }
+          const lookup = (body) => fetch(`${base}/lookup`, { method: 'POST', body: JSON.stringify(body) }).then((r) => r.json());
+          // Sent together - the queue runs them one after the other on the single page
+          [responses.first, responses.second] = await Promise.all([
+            lookup({ address: '520 Novatan Rd S, Mobile, AL 36608', client: 'Acme' }),
+            lookup('513 Malaga Dr, Gulf Shores, AL 36542'),
+          ]);
+          const pdf = await fetch(`${base}${responses.first.pdfUrl}`);
+          responses.pdf = { status: pdf.status, type: pdf.headers.get('content-type'), size: (await pdf.arrayBuffer()).byteLength };
+          responses.health = await fetch(`${base}/health`).then((r) => r.json());
+        },
+      });
+
+      assert.equal(responses.first.status, 'downloaded', responses.first.error);
+      assert.equal(responses.second.status, 'downloaded', responses.second.error);
+      assert.equal(responses.first.pdfUrl, `/certificates/${responses.first.fhNumber}/pdf`);
+      assert.deepEqual([responses.pdf.status, responses.pdf.type], [200, 'application/pdf']);
+      assert.ok(responses.pdf.size > 0);
+      assert.deepEqual([responses.health.ok, responses.health.lookups], [true, 2]);
+
+      assert.deepEqual(items.map((i) => i.status), ['downloaded', 'downloaded']);
+      assert.deepEqual(items[0].inputFields, { client: 'Acme' });
+      assert.ok(Object.values(ledger).every((e) => e.state === 'completed'));
+      assert.equal((await readKvRecord(storageDir, 'OUTPUT')).succeeded, 2);
+    } finally {
+      await portal.close();
+    }
+  });
+
+  it('logs in to every account before it reports ready when there is no default account', async () => {
+    const portal = await startMockPortal();
+    const port = await freePort();
+    let health;
+
+    try {
+      await runActorOffline(path.join(workDir, 'accounts'), {
+        mode: 'server',
+        port,
+        loginUrl: portal.loginUrl,
+        politeDelayMs: 0,
+      }, {
+        env: {
+          IBHS_ACCOUNTS: JSON.stringify({
+            acme: { username: 'acme@example.com', password: 'acme-pass' },
+            beta: { username: 'beta@example.com', password: 'beta-pass' },
+          }),
+        },
+        whileRunning: async ({ log }) => {
+          for (let i = 0; !log().includes('API listening'); i++) {
+            if (i > 600) throw new Error(`API server did not start\n${log()}`);
+            await new Promise((r) => setTimeout(r, 200));
+          }
+          health = await fetch(`http://127.0.0.1:${port}/health`).then((r) => r.json());
+        },
+      });
+
+      assert.deepEqual([health.ok, health.status, health.lookups], [true, 'ready', 0]);
+      assert.deepEqual(Object.keys(health.accounts), ['acme', 'beta']);
+      assert.ok(Object.values(health.accounts).every((a) => a.loginError === null && a.loginMs != null));
+    } finally {
+      await portal.close();
+    }
+  });
+});
+
+describe('ibhs-certs fetch against the mock portal', { skip }, () => {
+  let workDir;
+
+  before(async () => {
+    workDir = await makeTempDir();
+  });
+
+  after(async () => {
+    if (workDir) await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  it('saves the PDF to --out-dir and prints one CSV row per lookup', async () => {
+    const portal = await startMockPortal();
+    const outDir = path.join(workDir, 'certs');
+    try {
+      const { code, stdout } = await new Promise((resolve) => {
+        const child = spawn(process.execPath, [
+          fileURLToPath(new URL('../src/cli.js', import.meta.url)), 'fetch', '520 Novatan Rd S, Mobile, AL 36608',
+          '--login-url', portal.loginUrl,
+          '--out-dir', outDir,
+          '--storage-dir', path.join(workDir, 'storage'),
+          '--format', 'csv',
+          '--quiet',
+        ], { cwd: workDir, env: { ...process.env, ...MOCK_ACCOUNT, IBHS_ACCOUNTS: '', GOOGLE_DRIVE_FOLDER_ID: '' } });
+        let out = '';
+        child.stdout.on('data', (d) => { out += d; });
+        child.on('close', (exitCode) => resolve({ code: exitCode, stdout: out }));
+      });
+
+      assert.equal(code, 0, stdout);
+      const [header, row] = stdout.trim().split('\n');
+      assert.equal(header, 'address,status,errorCode,fhNumber,approvedAt,expirationDate,buildingAddress,file,error');
+      assert.match(row, /^"520 Novatan Rd S, Mobile, AL 36608",downloaded,,FH25016154,/);
+      assert.equal((await fs.readdir(outDir)).filter((f) => f.endsWith('.pdf')).length, 1);
+    } finally {
+      await portal.close();
+    }
+  });
+});
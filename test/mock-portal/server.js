@@ -0,0 +1,208 @@
+// test/mock-portal/server.js - local stand-in for app.ibhs.org/fh
+//
+//   node test/mock-portal/server.js --port 4010 --scenario slow,no-download
+//
+// Then point the actor at it with `"loginUrl": "http://localhost:4010/fh"`.
+import http from 'http';
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import { loadPopupSnapshots } from '../helpers/fixtures.js';
+import { makeCertificatePdf, makeTextPdf } from '../helpers/pdf.js';
+
+const PAGE_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), 'page.html');
+
+/**
+ * Failure scenarios, combinable:
+ *   slow            every response is delayed by `slowMs`
+ *   no-results      search never returns anything
+ *   session-expiry  a session is dropped once it has opened `expireAfter` certificate dialogs
+ *   no-download     certificate dialogs have no Download button
+ *   wrong-pdf       the Download button returns another property's certificate
+ *   scanned-pdf     the Download button returns a PDF without a text layer, like a scan
+ */
+export const SCENARIOS = ['slow', 'no-results', 'session-expiry', 'no-download', 'wrong-pdf', 'scanned-pdf'];
+
+// What the wrong-pdf scenario serves instead of the certificate that was opened
+const OTHER_CERTIFICATE = { fhNumber: 'FH99999999', buildingAddress: '1 Elsewhere Rd, Birmingham, AL 35203', expirationDate: '01/01/2031' };
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'content-type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', (c) => { data += c; });
+    req.on('end', () => resolve(data));
+    req.on('error', reject);
+  });
+}
+
+function parseCookies(header = '') {
+  return Object.fromEntries(header.split(';').map((c) => c.trim().split('=')).filter(([k]) => k));
+}
+
+/**
+ * Start the mock portal. Certificates come from the `popup-html-*` snapshots (with
+ * sidecars) in test/fixtures/popups. Resolves to { url, loginUrl, server, close }.
+ */
+export async function startMockPortal({
+  port = 0,
+  scenarios = [],
+  slowMs = 4000,
+  expireAfter = 1,
+  password = null,
+  listingPageSize = 2,
+} = {}) {
+  const unknown = scenarios.filter((s) => !SCENARIOS.includes(s));
+  if (unknown.length) {
+    throw new Error(`Unknown scenario(s): ${unknown.join(', ')} (expected ${SCENARIOS.join(', ')})`);
+  }
+
+  const page = await fs.readFile(PAGE_PATH, 'utf8');
+  const certificates = (await loadPopupSnapshots())
+    .filter((s) => s.meta)
+    .map((s, i) => ({ id: String(i + 1), html: s.html, ...s.meta }));
+
+  const sessions = new Map();
+
+  const getSession = (req) => {
+    const id = parseCookies(req.headers.cookie).session;
+    return id ? sessions.get(id) : null;
+  };
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      if (scenarios.includes('slow')) await sleep(slowMs);
+
+      const url = new URL(req.url, 'http://localhost');
+      let session = getSession(req);
+
+      // Expire before the next lookup starts, never halfway through a certificate
+      const startingLookup = url.pathname === '/api/session' || url.pathname === '/api/search';
+      if (session && startingLookup && scenarios.includes('session-expiry') && session.opened >= expireAfter) {
+        sessions.delete(parseCookies(req.headers.cookie).session);
+        session = null;
+      }
+
+      if (req.method === 'GET' && (url.pathname === '/' || url.pathname === '/fh')) {
+        res.writeHead(200, { 'content-type': 'text/html; charset=utf-8' });
+        return res.end(page);
+      }
+
+      if (req.method === 'POST' && url.pathname === '/api/login') {
+        const { email, password: given } = JSON.parse((await readBody(req)) || '{}');
+        if (!email || !given || (password && given !== password)) {
+          return sendJson(res, 401, { error: 'Invalid email or password' });
+        }
+        const id = crypto.randomUUID();
+        sessions.set(id, { email, opened: 0 });
+        res.setHeader('set-cookie', `session=${id}; Path=/; HttpOnly`);
+        return sendJson(res, 200, { ok: true });
+      }
+
+      if (url.pathname === '/api/session') {
+        return session ? sendJson(res, 200, { email: session.email }) : sendJson(res, 401, { error: 'Not signed in' });
+      }
+
+      if (!session) return sendJson(res, 401, { error: 'Session expired' });
+
+      if (url.pathname === '/api/search') {
+        if (scenarios.includes('no-results')) return sendJson(res, 200, []);
+
+        // The real portal matches on the leading token; mimic that loosely
+        const first = (url.searchParams.get('q') || '').trim().split(/\s+/)[0].toLowerCase();
+        const results = certificates
+          .filter((c) => first && c.option.toLowerCase().includes(first))
+          .map((c) => ({ id: c.id, label: c.option }));
+        return sendJson(res, 200, results);
+      }
+
+      // "My Evaluations" listing, paginated like the real dashboard
+      if (url.pathname === '/api/evaluations') {
+        const pageCount = Math.max(1, Math.ceil(certificates.length / listingPageSize));
+        const pageNo = Math.min(Math.max(1, Number(url.searchParams.get('page')) || 1), pageCount);
+        const items = certificates
+          .slice((pageNo - 1) * listingPageSize, pageNo * listingPageSize)
+          .map((c) => ({
+            id: c.id,
+            fhNumber: c.expected.fhNumber,
+            address: c.search,
+            status: c.expected.status,
+            expirationDate: c.expected.expirationDate.replace(/^(\d{4})-(\d{2})-(\d{2})$/, '$2/$3/$1'),
+          }));
+        return sendJson(res, 200, { page: pageNo, pageCount, items });
+      }
+
+      const certMatch = url.pathname.match(/^\/api\/certificates\/(\w+)(\/pdf)?$/);
+      const cert = certMatch && certificates.find((c) => c.id === certMatch[1]);
+      if (certMatch && !cert) return sendJson(res, 404, { error: 'Not found' });
+
+      if (certMatch && !certMatch[2]) {
+        session.opened++;
+        const dialogHtml = scenarios.includes('no-download')
+          ? cert.html.replace(/<button\b[^>]*>(?:(?!<\/button>)[\s\S])*?Download(?:(?!<\/button>)[\s\S])*?<\/button>/gi, '')
+          : cert.html;
+        return sendJson(res, 200, { id: cert.id, fhNumber: cert.expected.fhNumber, dialogHtml });
+      }
+
+      if (certMatch && certMatch[2]) {
+        if (!cert.pdf || scenarios.includes('no-download')) return sendJson(res, 404, { error: 'No certificate' });
+        const pdf = scenarios.includes('scanned-pdf')
+          ? makeTextPdf([])
+          : makeCertificatePdf(scenarios.includes('wrong-pdf') ? OTHER_CERTIFICATE : cert.expected);
+        res.writeHead(200, {
+          'content-type': 'application/pdf',
+          'content-disposition': `attachment; filename="${cert.expected.fhNumber}.pdf"`,
+          'content-length': pdf.length,
+        });
+        return res.end(pdf);
+      }
+
+      sendJson(res, 404, { error: 'Not found' });
+    } catch (e) {
+      sendJson(res, 500, { error: e.message });
+    }
+  });
+
+  await new Promise((resolve) => server.listen(port, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    url,
+    loginUrl: `${url}/fh`,
+    server,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+// ==================== CLI ====================
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const { values } = parseArgs({
+    options: {
+      port: { type: 'string', default: '4010' },
+      scenario: { type: 'string', default: '' },
+      'slow-ms': { type: 'string', default: '4000' },
+      'expire-after': { type: 'string', default: '1' },
+      password: { type: 'string' },
+    },
+  });
+
+  const portal = await startMockPortal({
+    port: Number(values.port),
+    scenarios: values.scenario.split(',').map((s) => s.trim()).filter(Boolean),
+    slowMs: Number(values['slow-ms']),
+    expireAfter: Number(values['expire-after']),
+    password: values.password || null,
+  });
+
+  console.log(`🧪 Mock IBHS portal listening on ${portal.loginUrl}`);
+  console.log(`   Scenarios: ${values.scenario || 'none'}`);
+}
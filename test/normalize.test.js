@@ -0,0 +1,175 @@
+// test/normalize.test.js - address keys, unit designators, address parts and date parsing
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normalizeAddress, extractUnit, parseAddressParts, splitAddress, toDateKey, findLabelledDate, DATE_PATTERN,
+} from '../src/normalize.js';
+import { pickBestMatch } from '../src/matching.js';
+import { migrateKeys } from '../src/ledger.js';
+
+describe('normalizeAddress', () => {
+  const cases = [
+    ['513 Malaga Dr, Mobile, AL 36608', '513 malaga drive mobile al 36608'],
+    ['513 MALAGA DRIVE, MOBILE, AL 36608', '513 malaga drive mobile al 36608'],
+    ['520 Novatan Rd S', '520 novatan road south'],
+    ['520 Novatan Road South', '520 novatan road south'],
+    ['12 N. Main St.', '12 north main street'],
+    ['400 NW 5th Ave', '400 northwest 5th avenue'],
+    ['9 Oak Ln', '9 oak lane'],
+    ['77 Harbor Pkwy', '77 harbor parkway'],
+    ['3 Bay Cv', '3 bay cove'],
+    ['1 Main St, Hartford, CT 06103', '1 main street hartford ct 06103'],
+    ['12 Elm Ct, Omaha, NE 68102', '12 elm court omaha ne 68102'],
+    ['513 Malaga Dr, Apt 2, Mobile, AL 36608', '513 malaga drive mobile al 36608 #2'],
+    ['513 Malaga Dr Apt. 2, Mobile, AL 36608', '513 malaga drive mobile al 36608 #2'],
+    ['513 Malaga Dr Apartment 2 Mobile AL 36608', '513 malaga drive mobile al 36608 #2'],
+    ['513 Malaga Dr #2, Mobile, AL 36608', '513 malaga drive mobile al 36608 #2'],
+    ['100 Gulf Blvd Unit #4B', '100 gulf boulevard #4b'],
+    ['100 Gulf Blvd Suite 300', '100 gulf boulevard #300'],
+    ['100 Lot Rd', '100 lot road'],
+    ['12 United Way', '12 united way'],
+    ['  513   malaga dr  ', '513 malaga drive'],
+    ['', ''],
+  ];
+
+  for (const [input, expected] of cases) {
+    it(`"${input}" → "${expected}"`, () => {
+      assert.equal(normalizeAddress(input), expected);
+    });
+  }
+
+  it('keeps apartments apart', () => {
+    assert.notEqual(normalizeAddress('513 Malaga Dr Apt 2'), normalizeAddress('513 Malaga Dr Apt 3'));
+  });
+
+  it('is idempotent', () => {
+    for (const [input] of cases) {
+      assert.equal(normalizeAddress(normalizeAddress(input)), normalizeAddress(input), input);
+    }
+  });
+});
+
+describe('extractUnit', () => {
+  const cases = [
+    ['513 Malaga Dr, Apt 2, Mobile', { text: 'Apt 2', designator: 'apt', id: '2' }, '513 Malaga Dr, Mobile'],
+    ['1 Main St Ste. 300', { text: 'Ste. 300', designator: 'ste', id: '300' }, '1 Main St'],
+    ['1 Main St Bldg C', { text: 'Bldg C', designator: 'bldg', id: 'c' }, '1 Main St'],
+    ['1 Main St Lot 14', { text: 'Lot 14', designator: 'lot', id: '14' }, '1 Main St'],
+    ['1 Main St #A-1', { text: '#A-1', designator: null, id: 'a-1' }, '1 Main St'],
+    ['1 Main St, Miami, FL 33101', null, '1 Main St, Miami, FL 33101'],
+  ];
+
+  for (const [input, unit, rest] of cases) {
+    it(`"${input}"`, () => {
+      assert.deepEqual(extractUnit(input), { rest, unit });
+    });
+  }
+});
+
+describe('parseAddressParts', () => {
+  it('splits number, canonical street, unit, city, state and ZIP', () => {
+    assert.deepEqual(parseAddressParts('513 Malaga Dr, Apt 2, Gulf Shores, AL 36542'), {
+      number: '513',
+      street: ['malaga', 'drive'],
+      unit: '2',
+      city: ['gulf', 'shores'],
+      state: 'al',
+      zip: '36542',
+    });
+  });
+
+  it('handles a state and ZIP inside the city segment', () => {
+    const parts = parseAddressParts('520 Novatan Rd S, Mobile AL 36608-1234');
+    assert.deepEqual([parts.city, parts.state, parts.zip], [['mobile'], 'al', '36608']);
+  });
+});
+
+describe('splitAddress', () => {
+  it('keeps the original spelling and separates the unit', () => {
+    assert.deepEqual(splitAddress('520 Novatan Rd S, Apt 2, Mobile, AL 36608'), {
+      street: '520 Novatan Rd S', unit: 'Apt 2', city: 'Mobile', state: 'AL', zip: '36608',
+    });
+    assert.deepEqual(splitAddress('513 Malaga Dr, Gulf Shores AL 36542'), {
+      street: '513 Malaga Dr', unit: null, city: 'Gulf Shores', state: 'AL', zip: '36542',
+    });
+  });
+});
+
+describe('toDateKey', () => {
+  const cases = [
+    ['2030-08-08', '2030-08-08'],
+    ['2030-8-8', '2030-08-08'],
+    ['2030/08/08', '2030-08-08'],
+    ['2030-08-08T00:00:00Z', '2030-08-08'],
+    ['08/08/2030', '2030-08-08'],
+    ['8-8-2030', '2030-08-08'],
+    ['8.8.2030', '2030-08-08'],
+    ['8/8/30', '2030-08-08'],
+    ['12/31/99', '1999-12-31'],
+    ['03/03/69', '2069-03-03'],
+    ['August 8, 2030', '2030-08-08'],
+    ['Aug 8 2030', '2030-08-08'],
+    ['Aug. 8, 2030', '2030-08-08'],
+    ['Sept 3, 2029', '2029-09-03'],
+    ['March 3rd, 2029', '2029-03-03'],
+    ["Mar 3 '29", '2029-03-03'],
+    ['8 August 2030', '2030-08-08'],
+    ['8th Aug, 2030', '2030-08-08'],
+    ['08-Aug-2030', '2030-08-08'],
+    ['08-AUG-30', '2030-08-08'],
+    ['Expires: 3/3/2029', '2029-03-03'],
+    ['Decision 3 2029, then March 3, 2029', '2029-03-03'],
+    ['2/30/2030', null],
+    ['13/01/2030', null],
+    ['Smarch 3, 2029', null],
+    ['FH25016154', null],
+    ['', null],
+    [null, null],
+  ];
+
+  for (const [input, expected] of cases) {
+    it(`${JSON.stringify(input)} → ${expected}`, () => {
+      assert.equal(toDateKey(input), expected);
+    });
+  }
+
+  it('DATE_PATTERN finds every parseable format in text', () => {
+    for (const [input, expected] of cases) {
+      if (expected) assert.ok(DATE_PATTERN.test(input), input);
+    }
+  });
+});
+
+describe('findLabelledDate', () => {
+  it('takes the first date after the label', () => {
+    assert.equal(findLabelledDate('Approved 1/2/2024\nExpires on: March 3, 2029', 'Expir'), 'March 3, 2029');
+    assert.equal(findLabelledDate('This designation expires on 3-3-29', 'Expir'), '3-3-29');
+    assert.equal(findLabelledDate('No dates here', 'Expir'), null);
+  });
+});
+
+describe('unit-aware matching', () => {
+  it('picks the apartment that was asked for', () => {
+    const options = ['513 MALAGA DRIVE APT 2, MOBILE, AL 36608', '513 MALAGA DRIVE APT 3, MOBILE, AL 36608'];
+    assert.equal(pickBestMatch('513 Malaga Dr, Apt 3, Mobile, AL 36608', options).best.index, 1);
+    assert.equal(pickBestMatch('513 Malaga Dr, Mobile, AL 36608', options).ambiguous, true);
+  });
+
+  it('prefers the option with the unit over one without', () => {
+    const options = ['513 MALAGA DRIVE, MOBILE, AL 36608', '513 MALAGA DRIVE #2, MOBILE, AL 36608'];
+    assert.equal(pickBestMatch('513 Malaga Dr Unit 2, Mobile, AL 36608', options).best.index, 1);
+  });
+});
+
+describe('ledger key migration', () => {
+  it('re-normalizes old address keys and leaves FH / owner keys alone', () => {
+    const migrated = migrateKeys({
+      '513 malaga dr mobile al 36608': { state: 'error', lastAttemptAt: '2025-01-01T00:00:00Z' },
+      '513 malaga drive mobile al 36608': { state: 'completed', lastAttemptAt: '2025-02-01T00:00:00Z' },
+      FH25016154: { state: 'completed', aliases: ['owner:jane smith', '9 oak ln'] },
+    });
+    assert.deepEqual(Object.keys(migrated).sort(), ['513 malaga drive mobile al 36608', 'FH25016154']);
+    assert.equal(migrated['513 malaga drive mobile al 36608'].state, 'completed');
+    assert.deepEqual(migrated.FH25016154.aliases, ['owner:jane smith', '9 oak lane']);
+  });
+});
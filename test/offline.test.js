@@ -0,0 +1,121 @@
+// test/offline.test.js - fixture-driven extraction and end-to-end runs, no network needed
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync } from 'fs';
+import fs from 'fs/promises';
+import path from 'path';
+import { chromium } from 'playwright';
+import { loadPopupSnapshots } from './helpers/fixtures.js';
+import { buildOfflinePortal, runActorOffline, makeTempDir } from './helpers/portal.js';
+
+// Storage for Actor.setValue() calls made by the extractor; must be set before apify loads
+const storageDir = await makeTempDir('ibhs-extract-');
+process.env.CRAWLEE_STORAGE_DIR = storageDir;
+process.env.APIFY_LOCAL_STORAGE_DIR = storageDir;
+
+const { Actor } = await import('apify');
+const { extractCertificateDataFromPopup } = await import('../src/popup.js');
+
+after(() => fs.rm(storageDir, { recursive: true, force: true }));
+
+const snapshots = await loadPopupSnapshots();
+const skip = existsSync(chromium.executablePath())
+  ? false
+  : 'Chromium is not installed - run `npx playwright install chromium`';
+
+describe('popup snapshots', { skip }, () => {
+  let browser;
+  let page;
+
+  before(async () => {
+    await Actor.init();
+    browser = await chromium.launch({ headless: true });
+    page = await browser.newPage();
+  });
+
+  after(async () => {
+    await browser?.close();
+    // Actor.init() starts timers that would keep the test process alive
+    await Actor.exit({ exit: false });
+  });
+
+  for (const { file, html, meta } of snapshots) {
+    it(`extracts ${file}`, async () => {
+      await page.setContent(`<div role="dialog">${html}</div>`);
+      const data = await extractCertificateDataFromPopup(page, meta?.search || file);
+
+      if (!meta) {
+        assert.ok(data.fhNumber, 'snapshot without sidecar should at least yield an FH number');
+        return;
+      }
+
+      for (const [field, expected] of Object.entries(meta.expected)) {
+        assert.equal(data[field], expected, `${field} (source: ${data.sources[field]})`);
+      }
+    });
+  }
+});
+
+describe('run() against the offline portal', { skip }, () => {
+  const withMeta = snapshots.filter((s) => s.meta);
+  let workDir;
+  let run;
+
+  before(async () => {
+    workDir = await makeTempDir();
+    const loginUrl = await buildOfflinePortal(path.join(workDir, 'portal'), withMeta);
+
+    run = await runActorOffline(path.join(workDir, 'storage'), {
+      loginUrl,
+      politeDelayMs: 0,
+      addresses: [
+        ...withMeta.map((s) => s.meta.search),
+        '513 Malaga',
+        '999 Nowhere Ln, Mobile, AL 36608',
+      ],
+    }, { env: { IBHS_USERNAME: 'offline@example.com', IBHS_PASSWORD: 'offline' } });
+  });
+
+  after(async () => {
+    if (workDir) await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  for (const { file, meta } of withMeta) {
+    it(`processes ${file} end to end`, () => {
+      const item = run.items.find((i) => i.address === meta.search);
+      assert.ok(item, `no dataset item for ${meta.search}`);
+      assert.equal(item.status, meta.pdf ? 'downloaded' : 'no_certificate', item.error);
+      assert.equal(item.matchedOption, meta.option);
+
+      for (const [field, expected] of Object.entries(meta.expected)) {
+        const key = field === 'status' ? 'certificateStatus' : field;
+        assert.equal(item[key], expected, field);
+      }
+
+      if (meta.pdf) {
+        assert.ok(item.certificateFile, 'expected a stored certificate');
+        assert.equal(item.verification?.verified, true, item.verification?.mismatches?.join('; '));
+      } else {
+        assert.equal(item.certificateFile, null);
+      }
+    });
+  }
+
+  it('refuses to guess between two close dropdown matches', () => {
+    const item = run.items.find((i) => i.address === '513 Malaga');
+    assert.equal(item.status, 'ambiguous_match');
+    assert.ok(item.candidates.length >= 2);
+    assert.equal(item.certificateFile, null);
+  });
+
+  it('reports addresses with no dropdown results as not_found', () => {
+    const item = run.items.find((i) => i.address.startsWith('999 Nowhere'));
+    assert.equal(item.status, 'not_found');
+    assert.equal(item.errorCode, 'no_results');
+  });
+
+  it('records every address in the ledger', () => {
+    assert.equal(Object.keys(run.ledger).length, withMeta.length + 2);
+    assert.ok(Object.values(run.ledger).every((e) => e.state !== 'pending'));
+  });
+});
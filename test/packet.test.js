@@ -0,0 +1,112 @@
+// test/packet.test.js - certificate metadata and the merged packet / ZIP
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import JSZip from 'jszip';
+import { PDFDocument, PDFName, PDFString } from 'pdf-lib';
+import { stampCertificateMetadata, buildCertificatePacket, buildPacketZip } from '../src/packet.js';
+
+async function makePdf(pages = 1) {
+  const doc = await PDFDocument.create();
+  for (let i = 0; i < pages; i++) doc.addPage([612, 792]);
+  return Buffer.from(await doc.save());
+}
+
+const result = (fhNumber, extra = {}) => ({
+  address: `${fhNumber} input address`,
+  buildingAddress: `513 Malaga Dr, Mobile, AL 36608 (${fhNumber})`,
+  fhNumber,
+  designation: 'FORTIFIED Roof',
+  approvedAt: '01/05/2025',
+  expirationDate: '01/05/2030',
+  fileName: `${fhNumber}_-_Expires_01_05_2030.pdf`,
+  ...extra,
+});
+
+describe('stampCertificateMetadata', () => {
+  it('writes title, subject, keywords and the certificate fields into the document info', async () => {
+    const stamped = await stampCertificateMetadata(await makePdf(), {
+      fhNumber: 'FH25016154',
+      address: '513 Malaga Dr, Mobile, AL 36608',
+      approvedAt: '01/05/2025',
+      expirationDate: '01/05/2030',
+      designation: 'FORTIFIED Roof',
+    });
+
+    const doc = await PDFDocument.load(stamped);
+    assert.equal(doc.getTitle(), 'IBHS certificate FH25016154 - 513 Malaga Dr, Mobile, AL 36608');
+    assert.equal(doc.getSubject(), '513 Malaga Dr, Mobile, AL 36608');
+    assert.equal(doc.getKeywords(), 'FH25016154 FORTIFIED Roof expires 01/05/2030');
+    const info = doc.getInfoDict();
+    assert.equal(info.lookup(PDFName.of('FHNumber')).decodeText(), 'FH25016154');
+    assert.equal(info.lookup(PDFName.of('ExpirationDate')).decodeText(), '01/05/2030');
+    assert.equal(doc.getPageCount(), 1);
+  });
+
+  it('leaves a PDF with a signature field unchanged', async () => {
+    const doc = await PDFDocument.create();
+    const page = doc.addPage([612, 792]);
+    const signature = doc.context.register(doc.context.obj({
+      FT: 'Sig', T: PDFString.of('Signature1'), Type: 'Annot', Subtype: 'Widget', Rect: [0, 0, 0, 0], P: page.ref,
+    }));
+    doc.getForm().acroForm.addField(signature);
+    const signed = Buffer.from(await doc.save());
+
+    assert.equal(await stampCertificateMetadata(signed, { fhNumber: 'FH25016154' }), signed);
+  });
+
+  it('returns a PDF it cannot rewrite unchanged', async () => {
+    const broken = Buffer.from('%PDF-1.4 not really');
+    assert.equal(await stampCertificateMetadata(broken, { fhNumber: 'FH1' }), broken);
+  });
+});
+
+describe('buildCertificatePacket', () => {
+  it('puts an index first and lists the page each certificate starts on', async () => {
+    const entries = [
+      { result: result('FH1'), pdf: await makePdf(1) },
+      { result: result('FH2'), pdf: Buffer.from('not a pdf') },
+      { result: result('FH3', { designation: null }), pdf: await makePdf(2) },
+    ];
+
+    const { pdf, rows, pages } = await buildCertificatePacket(entries, { generatedAt: new Date('2026-01-05T10:00:00Z') });
+    assert.equal(pages, 4);
+    assert.deepEqual(rows.map((r) => [r.no, r.fhNumber, r.page]), [[1, 'FH1', 2], [2, 'FH2', null], [3, 'FH3', 3]]);
+    assert.equal(rows[2].designation, null);
+
+    const doc = await PDFDocument.load(pdf);
+    assert.equal(doc.getPageCount(), 4);
+    assert.equal(doc.getTitle(), 'IBHS certificate packet');
+    assert.equal(doc.getSubject(), '2 certificate(s), generated 2026-01-05 10:00 UTC');
+  });
+
+  it('continues the index on more pages for a large run', async () => {
+    const pdf = await makePdf(1);
+    const entries = Array.from({ length: 40 }, (_, i) => ({ result: result(`FH${i}`, { address: `${i} Ünïcode Straße ✓` }), pdf }));
+    const { rows, pages } = await buildCertificatePacket(entries);
+    assert.equal(pages, 42);
+    assert.equal(rows[0].page, 3);
+    assert.equal(rows[39].page, 42);
+  });
+});
+
+describe('buildPacketZip', () => {
+  it('holds the packet, the index and every certificate', async () => {
+    const certificate = await makePdf(1);
+    const entries = [
+      { result: result('FH1'), pdf: certificate },
+      { result: result('FH1'), pdf: certificate },
+    ];
+    const packet = await buildCertificatePacket(entries);
+    const zip = await JSZip.loadAsync(await buildPacketZip(entries, packet));
+
+    assert.deepEqual(Object.keys(zip.files).filter((f) => !f.endsWith('/')).sort(), [
+      'certificate-packet.pdf',
+      'certificates/FH1_-_Expires_01_05_2030-2.pdf',
+      'certificates/FH1_-_Expires_01_05_2030.pdf',
+      'index.csv',
+    ]);
+    const [header, first] = (await zip.file('index.csv').async('string')).trim().split('\n');
+    assert.equal(header, 'no,address,fhNumber,designation,approvedAt,expirationDate,page,file');
+    assert.equal(first, '1,"513 Malaga Dr, Mobile, AL 36608 (FH1)",FH1,FORTIFIED Roof,01/05/2025,01/05/2030,2,FH1_-_Expires_01_05_2030.pdf');
+  });
+});
@@ -0,0 +1,107 @@
+// test/pool.test.js - the rate limiter and the worker pool
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRateLimiter, runWorkerPool } from '../src/pool.js';
+
+// Lets every pending promise callback run; setImmediate is not mocked
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+// Fake clock starting at 0, advanced in `step` ms ticks; no jitter
+function fakeClock(t) {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 0 });
+  t.mock.method(Math, 'random', () => 0);
+  return async function advance(ms, step = ms) {
+    for (let passed = 0; passed < ms; passed += step) {
+      await flush();
+      t.mock.timers.tick(step);
+    }
+    await flush();
+  };
+}
+
+describe('createRateLimiter', () => {
+  it('spaces calls minIntervalMs apart across every caller', async (t) => {
+    const advance = fakeClock(t);
+    const throttle = createRateLimiter(100);
+    const starts = [];
+
+    const calls = [1, 2, 3].map(() => throttle().then(() => starts.push(Date.now())));
+    await advance(300, 50);
+    await Promise.all(calls);
+    assert.deepEqual(starts, [0, 100, 200]);
+
+    // A call after a quiet spell goes straight through
+    await advance(1000);
+    await throttle();
+    assert.equal(Date.now(), 1300);
+  });
+
+  it('adds jitter on top of the interval and does not wait without one', async (t) => {
+    const advance = fakeClock(t);
+    Math.random.mock.mockImplementation(() => 0.5);
+    const throttle = createRateLimiter(100);
+
+    await throttle();
+    let second = false;
+    const pending = throttle().then(() => { second = true; });
+    await advance(274);
+    assert.equal(second, false);
+    await advance(1);
+    await pending;
+    assert.equal(Date.now(), 275);
+
+    const unthrottled = createRateLimiter(0);
+    await Promise.all([unthrottled(), unthrottled(), unthrottled()]);
+    assert.equal(Date.now(), 275);
+  });
+});
+
+describe('runWorkerPool', () => {
+  it('runs at most one item per worker at a time and hands out every item in order', async () => {
+    const handled = [];
+    let active = 0;
+    let maxActive = 0;
+
+    await runWorkerPool([1, 2, 3, 4, 5], [{ id: 'a' }, { id: 'b' }], async (worker, item) => {
+      maxActive = Math.max(maxActive, ++active);
+      // Item 1 takes longer, so worker b picks up the next ones meanwhile
+      for (let i = 0; i < (item === 1 ? 5 : 1); i++) await flush();
+      handled.push([worker.id, item]);
+      active--;
+    });
+
+    assert.equal(maxActive, 2);
+    assert.deepEqual(handled.map(([, item]) => item).sort(), [1, 2, 3, 4, 5]);
+    assert.deepEqual(handled.filter(([id]) => id === 'a').map(([, item]) => item), [1]);
+    assert.deepEqual(handled.filter(([id]) => id === 'b').map(([, item]) => item), [2, 3, 4, 5]);
+  });
+
+  it('keeps going after a handler throws, then rethrows the error', async () => {
+    const handled = [];
+    const boom = new Error('page crashed');
+
+    await assert.rejects(runWorkerPool([1, 2, 3, 4, 5], [{ id: 'a' }, { id: 'b' }], async (worker, item) => {
+      await flush();
+      if (item === 1) throw boom;
+      handled.push([worker.id, item]);
+    }), boom);
+
+    assert.deepEqual(handled.map(([, item]) => item), [2, 3, 4, 5]);
+    // The worker whose item threw took more items afterwards
+    assert.ok(handled.some(([id]) => id === 'a'));
+  });
+
+  it('starts items at the limiter\'s pace however many workers there are', async (t) => {
+    const advance = fakeClock(t);
+    const throttle = createRateLimiter(100);
+    const starts = [];
+
+    const pool = runWorkerPool([1, 2, 3, 4], [{}, {}, {}], async () => {
+      await throttle();
+      starts.push(Date.now());
+    });
+    await advance(400, 50);
+    await pool;
+    assert.deepEqual(starts, [0, 100, 200, 300]);
+  });
+});
@@ -0,0 +1,89 @@
+// test/report.test.js - expiration buckets, CSV quoting and the iCal export
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildExpirationReport, toCsv, reportToCsv, reportToIcs } from '../src/report.js';
+
+const NOW = new Date('2026-01-05T15:00:00.000Z');
+
+// One entry per boundary, keyed by how many days it has left
+const LEDGER = {
+  FH1: { fhNumber: 'FH1', address: '1 Expired St', expirationDate: '01/04/2026' },
+  FH2: { fhNumber: 'FH2', address: '2 Today St', expirationDate: '01/05/2026' },
+  FH3: { fhNumber: 'FH3', address: '3 Thirty St', expirationDate: '02/04/2026' },
+  FH4: { fhNumber: 'FH4', address: '4 Thirty One St', expirationDate: '02/05/2026' },
+  FH5: { fhNumber: 'FH5', address: '5 Sixty St', expirationDate: '03/06/2026' },
+  FH6: { fhNumber: 'FH6', address: '6 Sixty One St', expirationDate: '03/07/2026' },
+  FH7: { fhNumber: 'FH7', address: '7 Ninety St', expirationDate: '04/05/2026' },
+  FH8: { fhNumber: 'FH8', address: '8 Ninety One St', expirationDate: 'April 6, 2026' },
+  FH9: { fhNumber: 'FH9', address: '9 Undated St' },
+  '10 never found st': { state: 'no_certificate', address: '10 Never Found St' },
+};
+
+describe('buildExpirationReport', () => {
+  it('buckets by whole days left, boundary days included, soonest first', () => {
+    const report = buildExpirationReport(LEDGER, NOW);
+    assert.deepEqual(report.rows.map((r) => [r.fhNumber, r.daysUntilExpiration, r.bucket]), [
+      ['FH1', -1, 'expired'],
+      ['FH2', 0, 'within30'],
+      ['FH3', 30, 'within30'],
+      ['FH4', 31, 'within60'],
+      ['FH5', 60, 'within60'],
+      ['FH6', 61, 'within90'],
+      ['FH7', 90, 'within90'],
+      ['FH8', 91, 'valid'],
+      ['FH9', null, 'unknown'],
+    ]);
+    assert.equal(report.total, 9);
+    assert.deepEqual(report.counts, { expired: 1, within30: 2, within60: 2, within90: 2, valid: 1, unknown: 1 });
+    assert.equal(report.generatedAt, '2026-01-05T15:00:00.000Z');
+  });
+
+  it('counts only the kept rows with includeBuckets', () => {
+    const report = buildExpirationReport(LEDGER, NOW, { includeBuckets: ['expired', 'within30'] });
+    assert.deepEqual(report.rows.map((r) => r.fhNumber), ['FH1', 'FH2', 'FH3']);
+    assert.equal(report.total, 3);
+    assert.deepEqual(report.counts, { expired: 1, within30: 2, within60: 0, within90: 0, valid: 0, unknown: 0 });
+    assert.equal(buildExpirationReport(LEDGER, NOW, { includeBuckets: [] }).total, 9);
+  });
+});
+
+describe('toCsv', () => {
+  it('quotes commas, quotes and line breaks and leaves missing values empty', () => {
+    const rows = [{ a: 'plain', b: 'Mobile, AL', c: 'say "hi"' }, { a: 'two\nlines', b: null, c: 0 }];
+    assert.equal(toCsv(rows, ['a', 'b', 'c']), [
+      'a,b,c',
+      'plain,"Mobile, AL","say ""hi"""',
+      '"two\nlines",,0',
+      '',
+    ].join('\n'));
+  });
+
+  it('writes the report columns', () => {
+    const [header, first] = reportToCsv(buildExpirationReport({ FH1: LEDGER.FH1 }, NOW)).trim().split('\n');
+    assert.equal(header, 'bucket,daysUntilExpiration,expirationIso,fhNumber,address,approvedAt,expirationDate');
+    assert.equal(first, 'expired,-1,2026-01-04,FH1,1 Expired St,,01/04/2026');
+  });
+});
+
+describe('reportToIcs', () => {
+  const ics = reportToIcs(buildExpirationReport({
+    FH1: { fhNumber: 'FH1', address: '513 Malaga Dr, Gulf Shores; AL', expirationDate: '01/05/2030' },
+    FH9: LEDGER.FH9,
+  }, NOW), { reminderDays: 45 });
+  const lines = ics.split('\r\n');
+
+  it('is one CRLF calendar with an all-day event per dated row', () => {
+    assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+    assert.deepEqual([lines[0], lines.at(-2)], ['BEGIN:VCALENDAR', 'END:VCALENDAR']);
+    assert.equal(lines.filter((l) => l === 'BEGIN:VEVENT').length, 1);
+    assert.ok(lines.includes('UID:FH1-20300105@ibhs-cert-downloader'));
+    assert.ok(lines.includes('DTSTAMP:20260105T150000Z'));
+    assert.ok(lines.includes('DTSTART;VALUE=DATE:20300105'));
+  });
+
+  it('escapes text and sets the reminder reminderDays ahead', () => {
+    assert.ok(lines.includes('SUMMARY:FORTIFIED certificate expires - 513 Malaga Dr\\, Gulf Shores\\; AL'));
+    assert.ok(lines.includes('DESCRIPTION:FH number: FH1\\nAddress: 513 Malaga Dr\\, Gulf Shores\\; AL\\nSchedule redesignation before 2030-01-05.'));
+    assert.ok(lines.includes('TRIGGER:-P45D'));
+  });
+});
@@ -0,0 +1,93 @@
+// test/schema.test.js - result statuses, the dataset item schema and the OUTPUT record
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { STATUS_CODES, RESULT_SCHEMA, isFailedStatus, validateResult, buildRunOutput } from '../src/schema.js';
+import { stateForResult } from '../src/ledger.js';
+import { unexpectedErrorCode } from '../src/errors.js';
+
+const item = (fields) => ({ address: '520 Novatan Rd S', timestamp: '2026-01-05T10:00:00.000Z', success: false, ...fields });
+
+describe('result statuses', () => {
+  it('treats only a downloaded PDF or a confirmed missing one as settled', () => {
+    assert.deepEqual(STATUS_CODES.filter((s) => !isFailedStatus(s)), ['downloaded', 'no_certificate']);
+  });
+
+  it('maps every status onto a ledger state', () => {
+    assert.deepEqual(
+      STATUS_CODES.map((status) => stateForResult({ status })),
+      ['completed', 'no_certificate', 'no_certificate', 'ambiguous', 'error', 'error', 'error'],
+    );
+    assert.equal(stateForResult({ status: 'not_found', errorCode: 'verification_failed' }), 'error');
+  });
+
+  it('tells a crashed page or browser apart from a timeout', () => {
+    const timeout = Object.assign(new Error('locator.click: Timeout 30000ms exceeded.'), { name: 'TimeoutError' });
+    assert.equal(unexpectedErrorCode(timeout), 'element_timeout');
+    assert.equal(unexpectedErrorCode(new Error('page.goto: Target page, context or browser has been closed')), 'browser_crashed');
+    assert.equal(unexpectedErrorCode(new Error('page.click: Page crashed')), 'browser_crashed');
+    assert.equal(unexpectedErrorCode(new Error('Cannot read properties of null')), 'page_error');
+  });
+});
+
+describe('validateResult', () => {
+  it('accepts a complete item', () => {
+    assert.deepEqual(validateResult(item({
+      success: true,
+      status: 'downloaded',
+      lookupType: 'address',
+      fhNumber: 'FH25016154',
+      fileSize: 1024,
+      matchScore: 0.92,
+      candidates: [],
+      storage: [],
+      selectorsUsed: { searchField: '#address-search' },
+    })), []);
+  });
+
+  it('lists missing, unknown and mistyped fields', () => {
+    assert.deepEqual(validateResult({ address: 'x', status: 'completed', fileSize: '1 KB', downloadedAt: 'now' }), [
+      'missing "timestamp"',
+      'missing "success"',
+      '"status" is "completed", expected one of downloaded, no_certificate, not_found, ambiguous_match, login_failed, timeout, upload_failed',
+      '"fileSize" should be integer or null, got string',
+      'unexpected field "downloadedAt"',
+    ]);
+  });
+
+  it('is the schema the platform validates the dataset with', () => {
+    const datasetSchema = JSON.parse(readFileSync(new URL('../.actor/dataset_schema.json', import.meta.url), 'utf8'));
+    assert.deepEqual(datasetSchema.fields, RESULT_SCHEMA);
+    for (const view of Object.values(datasetSchema.views)) {
+      for (const field of view.transformation.fields) assert.ok(RESULT_SCHEMA.properties[field], field);
+    }
+  });
+});
+
+describe('buildRunOutput', () => {
+  it('counts every status, zeros included, and lists the failures', () => {
+    const output = buildRunOutput([
+      item({ success: true, status: 'downloaded', durationMs: 4000 }),
+      item({ status: 'no_certificate', errorCode: 'no_download_button', durationMs: 3000 }),
+      item({ address: '999 Nowhere Ln', lookupType: 'address', lookupValue: '999 Nowhere Ln', status: 'not_found', errorCode: 'no_results', error: 'No dropdown results', durationMs: 2000 }),
+    ], { startedAt: '2026-01-05T10:00:00.000Z', finishedAt: '2026-01-05T10:01:00.000Z', durationMs: 60000 });
+
+    assert.deepEqual(output.statusCounts, {
+      downloaded: 1, no_certificate: 1, not_found: 1, ambiguous_match: 0, login_failed: 0, timeout: 0, upload_failed: 0,
+    });
+    assert.deepEqual([output.total, output.succeeded, output.failed], [3, 1, 1]);
+    assert.deepEqual(output.failedAddresses, [{
+      address: '999 Nowhere Ln', lookupType: 'address', lookupValue: '999 Nowhere Ln', status: 'not_found', errorCode: 'no_results', error: 'No dropdown results',
+    }]);
+    assert.equal(output.lookupDurations.maxMs, 4000);
+    assert.equal(output.loginError, null);
+    assert.equal(output.packet, null);
+  });
+
+  it('still has every count when nothing ran', () => {
+    const output = buildRunOutput([], { startedAt: '2026-01-05T10:00:00.000Z', loginError: { code: 'bad_credentials', message: 'Invalid email or password' } });
+    assert.ok(STATUS_CODES.every((s) => output.statusCounts[s] === 0));
+    assert.equal(output.lookupDurations, null);
+    assert.equal(output.loginError.code, 'bad_credentials');
+  });
+});
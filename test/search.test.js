@@ -0,0 +1,117 @@
+// test/search.test.js - lookup types, per-type option matching and FH-keyed ledger entries
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseLookup, lookupKey, refreshKey, pickOption, checkDialogMatches, normalizeFhNumber } from '../src/search.js';
+import { resolveLedgerKey, rekeyByFhNumber } from '../src/ledger.js';
+
+describe('parseLookup', () => {
+  it('treats strings as addresses and picks the most specific object key', () => {
+    assert.deepEqual(parseLookup(' 513 Malaga Dr '), { type: 'address', value: '513 Malaga Dr' });
+    assert.deepEqual(parseLookup({ address: '513 Malaga Dr', fhNumber: 'fh 25016154' }), { type: 'fhNumber', value: 'FH25016154' });
+    assert.deepEqual(parseLookup({ ownerName: 'Jane Smith', client: 'C-1' }), { type: 'ownerName', value: 'Jane Smith' });
+    assert.equal(parseLookup({ client: 'C-1' }), null);
+    assert.equal(parseLookup('  '), null);
+  });
+
+  it('rejects an fhNumber that is not one', () => {
+    assert.throws(() => parseLookup({ fhNumber: '1234' }), /not an FH\/FEH number/);
+  });
+
+  it('normalizes FH and FEH numbers', () => {
+    assert.equal(normalizeFhNumber('FEH-25016154'), 'FEH25016154');
+    assert.equal(normalizeFhNumber('no number'), null);
+  });
+});
+
+describe('lookupKey', () => {
+  it('keeps address keys unprefixed and prefixes the others', () => {
+    assert.equal(lookupKey({ type: 'fhNumber', value: 'FH25016154' }), 'FH25016154');
+    assert.equal(lookupKey({ type: 'ownerName', value: '  Jane   SMITH ' }), 'owner:jane smith');
+    assert.equal(lookupKey({ type: 'evaluationId', value: 'e-1234' }), 'eval:E1234');
+    assert.ok(!lookupKey({ type: 'address', value: '513 Malaga Dr' }).includes(':'));
+  });
+});
+
+describe('refreshKey', () => {
+  it('keys forceRefresh entries like the ledger entries they name', () => {
+    assert.equal(refreshKey('513 Malaga Dr'), lookupKey({ type: 'address', value: '513 Malaga Dr' }));
+    assert.equal(refreshKey('fh-25016154'), 'FH25016154');
+    assert.equal(refreshKey('owner: Jane  Smith'), 'owner:jane smith');
+    assert.equal(refreshKey('eval:e-1234'), 'eval:E1234');
+    assert.equal(refreshKey({ ownerName: 'Jane Smith', client: 'C-1' }), 'owner:jane smith');
+    assert.equal(refreshKey({ evaluationId: 'E-1234' }), 'eval:E1234');
+    assert.equal(refreshKey('  '), null);
+  });
+});
+
+describe('pickOption', () => {
+  const options = [
+    'FH25016154 - 513 Malaga Dr, Mobile, AL 36608 - Jane Smith',
+    'FH25016155 - 515 Malaga Dr, Mobile, AL 36608 - John Smith',
+    'FH25016156 - 9 Oak Ln, Fairhope, AL 36532 - Jane Doe - E-12345',
+  ];
+
+  it('takes the option with the exact FH number', () => {
+    const match = pickOption({ type: 'fhNumber', value: 'FH25016155' }, options);
+    assert.equal(match.best.index, 1);
+    assert.equal(match.ambiguous, false);
+  });
+
+  it('reports not_found when no option carries the FH number', () => {
+    const match = pickOption({ type: 'fhNumber', value: 'FH99999999' }, options);
+    assert.equal(match.status, 'not_found');
+    assert.equal(match.best, null);
+  });
+
+  it('needs every owner name token and flags several owners as ambiguous', () => {
+    assert.equal(pickOption({ type: 'ownerName', value: 'Smith, Jane' }, options).best.index, 0);
+    assert.equal(pickOption({ type: 'ownerName', value: 'Smith' }, options).status, 'ambiguous_match');
+  });
+
+  it('matches evaluation IDs as whole tokens', () => {
+    assert.equal(pickOption({ type: 'evaluationId', value: 'E-12345' }, options).best.index, 2);
+    assert.equal(pickOption({ type: 'evaluationId', value: 'E-1234' }, options).status, 'not_found');
+  });
+
+  it('scores addresses like before', () => {
+    const match = pickOption({ type: 'address', value: '513 Malaga Dr, Mobile, AL 36608' }, options);
+    assert.equal(match.best.index, 0);
+    assert.equal(match.status, null);
+  });
+});
+
+describe('checkDialogMatches', () => {
+  it('flags a dialog for a different FH number', () => {
+    const lookup = { type: 'fhNumber', value: 'FH25016154' };
+    assert.match(checkDialogMatches(lookup, { fhNumber: 'FH25016155' }), /not FH25016154/);
+    assert.equal(checkDialogMatches(lookup, { fhNumber: 'FH25016154' }), null);
+    assert.equal(checkDialogMatches({ type: 'ownerName', value: 'x' }, { fhNumber: 'FH1' }), null);
+  });
+});
+
+describe('FH-keyed ledger', () => {
+  it('moves an entry under its FH number and finds it again by any alias', () => {
+    const ledger = { 'owner:jane smith': { state: 'completed', attempts: 1, fhNumber: 'FH25016154' } };
+
+    assert.equal(rekeyByFhNumber(ledger, 'owner:jane smith', { status: 'downloaded', fhNumber: 'FH25016154' }), 'FH25016154');
+    assert.deepEqual(Object.keys(ledger), ['FH25016154']);
+    assert.deepEqual(ledger.FH25016154.aliases, ['owner:jane smith']);
+
+    assert.equal(resolveLedgerKey(ledger, 'owner:jane smith'), 'FH25016154');
+    assert.equal(resolveLedgerKey(ledger, 'FH25016154'), 'FH25016154');
+    assert.equal(resolveLedgerKey(ledger, '513 malaga dr'), '513 malaga dr');
+  });
+
+  it('merges into an existing FH entry and resolves older address-keyed entries by FH number', () => {
+    const ledger = {
+      FH25016154: { state: 'completed', attempts: 2, aliases: ['owner:jane smith'] },
+      '513 malaga dr': { state: 'completed', attempts: 1, fhNumber: 'FH25016154' },
+    };
+    assert.equal(resolveLedgerKey({ '513 malaga dr': ledger['513 malaga dr'] }, 'FH25016154'), '513 malaga dr');
+
+    rekeyByFhNumber(ledger, '513 malaga dr', { status: 'downloaded', fhNumber: 'FH25016154' });
+    assert.deepEqual(Object.keys(ledger), ['FH25016154']);
+    assert.deepEqual(ledger.FH25016154.aliases, ['owner:jane smith', '513 malaga dr']);
+    assert.equal(ledger.FH25016154.attempts, 1);
+  });
+});
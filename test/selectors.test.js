@@ -0,0 +1,67 @@
+// test/selectors.test.js - flow definition overrides and selector fallbacks
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_FLOW, resolveFlow, selectorsFor, findSelector } from '../src/selectors.js';
+
+// Just enough of a Playwright page for findSelector: the listed selectors are visible
+const fakePage = (visible) => ({
+  locator: (selector) => ({ first: () => ({ isVisible: async () => visible.includes(selector) }) }),
+});
+
+describe('resolveFlow', () => {
+  it('starts from the built-in flow.json', () => {
+    assert.match(DEFAULT_FLOW.version, /^\d+\.\d+\.\d+$/);
+    assert.deepEqual(DEFAULT_FLOW.sources, ['built-in']);
+    for (const name of ['loginEmail', 'loginPassword', 'loginSubmit', 'newEvaluation', 'redesignation', 'searchField', 'dropdownItems', 'dialog', 'downloadButton', 'closeButton']) {
+      assert.ok(selectorsFor(DEFAULT_FLOW, name).length, name);
+    }
+  });
+
+  it('applies overrides in order, replacing whole steps and taking the last version', () => {
+    const flow = resolveFlow([
+      { source: 'record ibhs-flow/FLOW_CONFIG', flow: { version: '1.1.0', steps: { searchField: { selectors: ['#search'] }, dialog: ['.modal'] } } },
+      { source: 'input', flow: { version: '1.2.0', steps: { searchField: ['#address', '#search'] } } },
+    ]);
+    assert.equal(flow.version, '1.2.0');
+    assert.deepEqual(flow.sources, ['built-in', 'record ibhs-flow/FLOW_CONFIG', 'input']);
+    assert.deepEqual(selectorsFor(flow, 'searchField'), ['#address', '#search']);
+    assert.deepEqual(selectorsFor(flow, 'dialog'), ['.modal']);
+    assert.deepEqual(selectorsFor(flow, 'closeButton'), selectorsFor(DEFAULT_FLOW, 'closeButton'));
+    assert.equal(flow.steps.searchField.description, DEFAULT_FLOW.steps.searchField.description);
+  });
+
+  it('rejects overrides without a version, with unknown steps or empty selector lists', () => {
+    const override = (flow) => () => resolveFlow([{ source: 'input', flow }]);
+    assert.throws(override({ steps: {} }), /needs a "version"/);
+    assert.throws(override({ version: '2', steps: { serachField: ['#a'] } }), /unknown step "serachField"/);
+    assert.throws(override({ version: '2', steps: { searchField: [] } }), /non-empty list of selectors/);
+    assert.throws(override({ version: '2', steps: { searchField: ['#a', ''] } }), /non-empty list of selectors/);
+    assert.throws(override(['#a']), /must be an object/);
+  });
+
+  it('does not change the built-in flow', () => {
+    const before = selectorsFor(DEFAULT_FLOW, 'dialog');
+    resolveFlow([{ source: 'input', flow: { version: '9', steps: { dialog: ['.modal'] } } }]);
+    assert.deepEqual(selectorsFor(resolveFlow(), 'dialog'), before);
+  });
+});
+
+describe('findSelector', () => {
+  it('prefers the primary candidate and falls back in order', async () => {
+    const [primary, second, third] = selectorsFor(DEFAULT_FLOW, 'searchField');
+
+    const found = await findSelector(fakePage([third, primary]), DEFAULT_FLOW, 'searchField');
+    assert.deepEqual([found.selector, found.index, found.fallback], [primary, 0, false]);
+
+    const fallback = await findSelector(fakePage([third, second]), DEFAULT_FLOW, 'searchField');
+    assert.deepEqual([fallback.selector, fallback.index, fallback.fallback], [second, 1, true]);
+  });
+
+  it('returns null when nothing is visible before the timeout', async () => {
+    assert.equal(await findSelector(fakePage([]), DEFAULT_FLOW, 'closeButton', { timeout: 50, pollMs: 10 }), null);
+  });
+
+  it('rejects unknown names', async () => {
+    await assert.rejects(findSelector(fakePage([]), DEFAULT_FLOW, 'nope'), /Unknown selector "nope"/);
+  });
+});
@@ -0,0 +1,111 @@
+// test/server.test.js - HTTP API routing and the lookup queue
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createApiServer, startApiServer, createSerialQueue, HttpError } from '../src/server.js';
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+describe('createSerialQueue', () => {
+  it('runs tasks one at a time in arrival order', async () => {
+    const queue = createSerialQueue();
+    const events = [];
+    const task = (name, ms) => async () => {
+      events.push(`start ${name}`);
+      await sleep(ms);
+      events.push(`end ${name}`);
+      return name;
+    };
+
+    const results = await Promise.all([queue.run(task('a', 30)), queue.run(task('b', 5)), queue.run(task('c', 5))]);
+    assert.deepEqual(results, ['a', 'b', 'c']);
+    assert.deepEqual(events, ['start a', 'end a', 'start b', 'end b', 'start c', 'end c']);
+  });
+
+  it('keeps going after a failed task', async () => {
+    const queue = createSerialQueue();
+    const failed = queue.run(async () => { throw new Error('portal fell over'); });
+    const next = queue.run(async () => 'ok');
+    await assert.rejects(failed, /portal fell over/);
+    assert.equal(await next, 'ok');
+  });
+
+  it('turns callers away with a 503 once too many are waiting', async () => {
+    const queue = createSerialQueue({ maxPending: 1 });
+    const first = queue.run(() => sleep(20));
+    const second = queue.run(() => sleep(1));
+    await assert.rejects(queue.run(() => sleep(1)), (e) => e instanceof HttpError && e.statusCode === 503);
+    await Promise.all([first, second]);
+    assert.deepEqual([queue.pending, queue.running], [0, false]);
+  });
+});
+
+describe('API server', () => {
+  const pdf = Buffer.from('%PDF-1.4 test');
+  const lookups = [];
+  let api;
+  let baseUrl;
+  let healthy = true;
+
+  before(async () => {
+    const server = createApiServer({
+      apiKey: 'secret',
+      lookup: async (body) => {
+        lookups.push(body);
+        if (!body) throw new HttpError(400, 'Send an address');
+        return { address: String(body.address || body), status: 'downloaded', fhNumber: 'FH25016154' };
+      },
+      getCertificatePdf: async (fhNumber) => (fhNumber === 'FH25016154' ? pdf : null),
+      health: async () => ({ ok: healthy, status: healthy ? 'ready' : 'login_blocked' }),
+    });
+    api = await startApiServer(server, 0);
+    baseUrl = `http://127.0.0.1:${api.port}`;
+  });
+
+  after(async () => {
+    await api?.close();
+  });
+
+  const auth = { authorization: 'Bearer secret' };
+  const post = (body, headers = auth) => fetch(`${baseUrl}/lookup`, { method: 'POST', headers, body });
+
+  it('looks up the posted item', async () => {
+    const res = await post(JSON.stringify({ address: '520 Novatan Rd S' }));
+    assert.equal(res.status, 200);
+    assert.deepEqual(await res.json(), { address: '520 Novatan Rd S', status: 'downloaded', fhNumber: 'FH25016154' });
+    assert.deepEqual(lookups.at(-1), { address: '520 Novatan Rd S' });
+  });
+
+  it('answers bad requests with a JSON error', async () => {
+    const badJson = await post('{"address":');
+    assert.deepEqual([badJson.status, (await badJson.json()).error], [400, 'Body is not valid JSON']);
+
+    const empty = await post('');
+    assert.deepEqual([empty.status, (await empty.json()).error], [400, 'Send an address']);
+
+    assert.equal((await fetch(`${baseUrl}/lookup`, { headers: auth })).status, 405);
+    assert.equal((await fetch(`${baseUrl}/nope`, { headers: auth })).status, 404);
+  });
+
+  it('needs the API key except for /health', async () => {
+    assert.equal((await post('"513 Malaga Dr"', {})).status, 401);
+    assert.equal((await post('"513 Malaga Dr"', { authorization: 'Bearer wrong' })).status, 401);
+    assert.equal((await fetch(`${baseUrl}/health`)).status, 200);
+  });
+
+  it('serves stored certificates by FH number', async () => {
+    const res = await fetch(`${baseUrl}/certificates/fh%2025016154/pdf`, { headers: auth });
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('content-type'), 'application/pdf');
+    assert.deepEqual(Buffer.from(await res.arrayBuffer()), pdf);
+
+    assert.equal((await fetch(`${baseUrl}/certificates/FH99999999/pdf`, { headers: auth })).status, 404);
+    assert.equal((await fetch(`${baseUrl}/certificates/nonsense/pdf`, { headers: auth })).status, 400);
+  });
+
+  it('reports unhealthy with a 503', async () => {
+    healthy = false;
+    const res = await fetch(`${baseUrl}/health`);
+    assert.deepEqual([res.status, (await res.json()).status], [503, 'login_blocked']);
+    healthy = true;
+  });
+});
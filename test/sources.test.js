@@ -0,0 +1,195 @@
+// test/sources.test.js - spreadsheet address input and Google Sheets write-back
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import ExcelJS from 'exceljs';
+import { parseCsv, parseXlsx, rowsToItems, loadAddressSource, attachSourceFields } from '../src/sources.js';
+import { validateResult } from '../src/schema.js';
+import { parseLookup } from '../src/search.js';
+import { readSheetRange, createSheetWriteBack, columnLetter } from '../src/sheets.js';
+
+describe('parseCsv', () => {
+  it('handles quotes, doubled quotes, CRLF and a BOM', () => {
+    const csv = '\uFEFFAddress,Client ID,Notes\r\n"520 Novatan Rd S, Mobile, AL 36608",C-1,"said ""hi"""\r\n513 Malaga Dr,C-2,\r\n';
+    assert.deepEqual(parseCsv(csv), [
+      ['Address', 'Client ID', 'Notes'],
+      ['520 Novatan Rd S, Mobile, AL 36608', 'C-1', 'said "hi"'],
+      ['513 Malaga Dr', 'C-2', ''],
+    ]);
+  });
+
+  it('detects semicolon and tab delimiters', () => {
+    assert.deepEqual(parseCsv('Address;Job\n1 Main St;7'), [['Address', 'Job'], ['1 Main St', '7']]);
+    assert.deepEqual(parseCsv('Address\tJob\n1 Main St\t7'), [['Address', 'Job'], ['1 Main St', '7']]);
+  });
+});
+
+describe('rowsToItems', () => {
+  it('carries extra columns through and numbers rows from the header row', () => {
+    const items = rowsToItems([
+      ['Property Address', 'Client ID', 'Job #'],
+      ['520 Novatan Rd S', 'C-1', '1001'],
+      ['', 'C-9', ''],
+      ['513 Malaga Dr', '', '1002'],
+    ], { firstRow: 3 });
+
+    assert.deepEqual(items, [
+      { fields: { address: '520 Novatan Rd S' }, tags: { 'Client ID': 'C-1', 'Job #': '1001' }, sourceRow: 4 },
+      { fields: { address: '513 Malaga Dr' }, tags: { 'Job #': '1002' }, sourceRow: 6 },
+    ]);
+  });
+
+  it('joins Street/City/State/Zip when there is no address column', () => {
+    const [item] = rowsToItems([['Street', 'City', 'State', 'ZIP Code'], ['520 Novatan Rd S', 'Mobile', 'AL', '36608']]);
+    assert.equal(item.fields.address, '520 Novatan Rd S, Mobile, AL 36608');
+    assert.deepEqual(item.tags, {});
+  });
+
+  it('uses addressColumn and reports a missing one', () => {
+    const rows = [['Site', 'Mailing Address'], ['1 Main St', 'PO Box 1']];
+    assert.equal(rowsToItems(rows, { addressColumn: 'site' })[0].fields.address, '1 Main St');
+    assert.throws(() => rowsToItems(rows, { addressColumn: 'Location' }), /"Location" not found/);
+  });
+
+  it('reads FH number, evaluation ID and owner columns as lookup fields', () => {
+    const items = rowsToItems([
+      ['FH #', 'Homeowner', 'Evaluation ID', 'Notes'],
+      ['FH25016154', '', '', 'x'],
+      ['', 'Jane Smith', '', ''],
+      ['', '', 'E-1234', ''],
+    ]);
+    assert.deepEqual(items.map((i) => i.fields), [{ fhNumber: 'FH25016154' }, { ownerName: 'Jane Smith' }, { evaluationId: 'E-1234' }]);
+    assert.deepEqual(items[0].tags, { Notes: 'x' });
+    assert.throws(() => rowsToItems([['Notes'], ['x']]), /No address, FH number/);
+  });
+
+  it('treats an FH cell without an FH number as empty', () => {
+    const items = rowsToItems([
+      ['Address', 'FH #', 'Evaluation ID', 'Owner'],
+      ['520 Novatan Rd S', 'N/A', '', ''],
+      ['', 'pending', 'E-1234', 'Jane Smith'],
+      ['', 'n/a', '', 'Jane Smith'],
+      ['', '-', '', ''],
+    ]);
+    assert.deepEqual(items.map((i) => [i.fields, i.sourceRow]), [
+      [{ address: '520 Novatan Rd S' }, 2],
+      [{ evaluationId: 'E-1234', ownerName: 'Jane Smith' }, 3],
+      [{ ownerName: 'Jane Smith' }, 4],
+    ]);
+    assert.deepEqual(items.map((i) => parseLookup(i.fields)), [
+      { type: 'address', value: '520 Novatan Rd S' },
+      { type: 'evaluationId', value: 'E-1234' },
+      { type: 'ownerName', value: 'Jane Smith' },
+    ]);
+  });
+});
+
+describe('file sources', () => {
+  it('reads the first worksheet of an XLSX file', async () => {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Jobs');
+    sheet.addRow(['Address', 'Client ID']);
+    sheet.addRow(['520 Novatan Rd S', 42]);
+    const buffer = Buffer.from(await workbook.xlsx.writeBuffer());
+
+    assert.deepEqual(await parseXlsx(buffer), [['Address', 'Client ID'], ['520 Novatan Rd S', '42']]);
+    await assert.rejects(parseXlsx(buffer, { sheet: 'Missing' }), /Worksheet "Missing" not found/);
+  });
+
+  it('loads a CSV from a URL', async () => {
+    const server = http.createServer((req, res) => {
+      res.writeHead(200, { 'content-type': 'text/csv' });
+      res.end('Address,Job\n520 Novatan Rd S,1001\n');
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    try {
+      const { items, writeBack } = await loadAddressSource({ url: `http://127.0.0.1:${server.address().port}/export` });
+      assert.deepEqual(items, [{ fields: { address: '520 Novatan Rd S' }, tags: { Job: '1001' }, sourceRow: 2 }]);
+      assert.equal(writeBack, null);
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+});
+
+describe('Google Sheets', () => {
+  // Records the calls the Sheets API would receive
+  function fakeSheets(values) {
+    const calls = [];
+    const sheets = {
+      spreadsheets: {
+        get: async () => ({ data: { sheets: [{ properties: { title: 'Tracking' } }] } }),
+        values: {
+          get: async (req) => { calls.push({ op: 'get', ...req }); return { data: { values } }; },
+          update: async (req) => { calls.push({ op: 'update', ...req }); return { data: {} }; },
+          batchUpdate: async (req) => { calls.push({ op: 'batchUpdate', ...req }); return { data: {} }; },
+        },
+      },
+    };
+    return { sheets, calls };
+  }
+
+  it('reads a range on the first tab when no sheet is named', async () => {
+    const { sheets, calls } = fakeSheets([['Address'], ['520 Novatan Rd S']]);
+    const read = await readSheetRange({ spreadsheetId: 'abc', range: 'B3:F' }, { sheets });
+
+    assert.equal(calls[0].range, "'Tracking'!B3:F");
+    assert.deepEqual({ sheet: read.sheet, startCol: read.startCol, firstRow: read.firstRow }, { sheet: 'Tracking', startCol: 1, firstRow: 3 });
+  });
+
+  it('writes result fields into existing and newly added columns of the source row', async () => {
+    const { sheets, calls } = fakeSheets([['Address', 'Client', 'FH #'], ['520 Novatan Rd S', 'C-1']]);
+    const read = await readSheetRange({ spreadsheetId: 'abc', range: "'Job List'!B3:Z" }, { sheets });
+    const [item] = rowsToItems(read.rows, { firstRow: read.firstRow });
+
+    const writeBack = await createSheetWriteBack(
+      { spreadsheetId: 'abc', writeBack: { fhNumber: 'FH #', expirationDate: 'Expires', googleDriveUrl: 'Drive Link', status: 'Status' } },
+      read,
+      { sheets },
+    );
+
+    const header = calls.find((c) => c.op === 'update');
+    assert.equal(header.range, "'Job List'!E3");
+    assert.deepEqual(header.requestBody.values, [['Expires', 'Drive Link', 'Status']]);
+
+    const outcome = await writeBack(item, {
+      fhNumber: 'FH25016154',
+      expirationDate: '2030-08-08',
+      status: 'completed',
+      storage: [{ type: 'local', url: 'file:///certs/a.pdf' }],
+    });
+    assert.deepEqual(outcome, { written: true, row: 4, error: null });
+
+    const { data } = calls.find((c) => c.op === 'batchUpdate').requestBody;
+    assert.deepEqual(data.map((d) => [d.range, d.values[0][0]]), [
+      ["'Job List'!D4", 'FH25016154'],
+      ["'Job List'!E4", '2030-08-08'],
+      ["'Job List'!F4", 'file:///certs/a.pdf'],
+      ["'Job List'!G4", 'completed'],
+    ]);
+  });
+
+  it('leaves sheetWriteBack off results for listed addresses in a run that also reads a sheet', async () => {
+    const { sheets, calls } = fakeSheets([['Address', 'Client', 'Status'], ['520 Novatan Rd S', 'C-1']]);
+    const read = await readSheetRange({ spreadsheetId: 'abc', range: 'A1:Z' }, { sheets });
+    const writeBack = await createSheetWriteBack({ spreadsheetId: 'abc', writeBack: { status: 'Status' } }, read, { sheets });
+
+    // One item from `addresses`, one from the sheet - as main.js queues them
+    const items = [{ addr: '513 Malaga Dr', tags: {} }, ...rowsToItems(read.rows, { firstRow: read.firstRow }).map((i) => ({ ...i, addr: i.fields.address }))];
+    const results = [];
+    for (const item of items) {
+      const result = { address: item.addr, timestamp: '2026-01-05T10:00:00.000Z', success: true, status: 'downloaded' };
+      results.push(await attachSourceFields(result, item, writeBack));
+    }
+
+    assert.equal('sheetWriteBack' in results[0], false);
+    assert.deepEqual(results[1].sheetWriteBack, { written: true, row: 2, error: null });
+    assert.deepEqual(results[1].inputFields, { Client: 'C-1' });
+    assert.equal(calls.filter((c) => c.op === 'batchUpdate').length, 1);
+    for (const result of results) assert.deepEqual(validateResult(result), []);
+  });
+
+  it('column letters', () => {
+    assert.deepEqual([0, 25, 26, 701, 702].map(columnLetter), ['A', 'Z', 'AA', 'ZZ', 'AAA']);
+  });
+});
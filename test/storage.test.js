@@ -0,0 +1,251 @@
+// test/storage.test.js - certificate destinations (local, S3-compatible, Drive, fan-out)
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import fs from 'fs/promises';
+import path from 'path';
+import { createDestinations, storeToDestinations, closeDestinations } from '../src/storage/index.js';
+import { createGoogleDriveAdapter } from '../src/storage/googleDrive.js';
+import { renderPathTemplate } from '../src/storage/template.js';
+import { makeTempDir } from './helpers/portal.js';
+
+const pdf = Buffer.from('%PDF-1.4 test certificate');
+
+describe('createDestinations', () => {
+  it('defaults to Google Drive only', () => {
+    assert.deepEqual(createDestinations(undefined).map((d) => d.type), ['googleDrive']);
+  });
+
+  it('rejects unknown types and incomplete configs', () => {
+    assert.throws(() => createDestinations([{ type: 'dropbox' }]), /storage\[0\]: unknown type "dropbox"/);
+    assert.throws(() => createDestinations([{ type: 's3' }]), /bucket/);
+    assert.throws(() => createDestinations({ type: 'local' }), /directory/);
+  });
+});
+
+describe('local destination', () => {
+  let dir;
+
+  before(async () => {
+    dir = await makeTempDir('ibhs-storage-');
+  });
+
+  after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  it('writes the file and returns { id, url, path }', async () => {
+    const destinations = createDestinations([{ type: 'local', directory: path.join(dir, 'certs') }]);
+    const [record] = await storeToDestinations(destinations, pdf, { fileName: 'FH25016154-certificate.pdf' });
+
+    assert.equal(record.type, 'local');
+    assert.equal(record.path, path.join(dir, 'certs', 'FH25016154-certificate.pdf'));
+    assert.match(record.url, /^file:\/\//);
+    assert.deepEqual(await fs.readFile(record.path), pdf);
+  });
+
+  it('keeps going when one destination fails', async () => {
+    const blocker = path.join(dir, 'not-a-dir');
+    await fs.writeFile(blocker, '');
+
+    const destinations = createDestinations([
+      { type: 'local', name: 'broken', directory: blocker },
+      { type: 'local', name: 'backup', directory: path.join(dir, 'backup') },
+    ]);
+    const records = await storeToDestinations(destinations, pdf, { fileName: 'a.pdf' });
+
+    assert.equal(records.length, 2);
+    assert.equal(records[0].name, 'broken');
+    assert.ok(records[0].error);
+    assert.equal(records[1].name, 'backup');
+    assert.equal(records[1].error, undefined);
+  });
+});
+
+describe('s3 destination', () => {
+  let server;
+  let endpoint;
+  const puts = [];
+
+  before(async () => {
+    process.env.S3_ACCESS_KEY_ID = 'minioadmin';
+    process.env.S3_SECRET_ACCESS_KEY = 'minioadmin';
+
+    // Just enough of the S3 API for PutObject, the way MinIO answers it
+    server = http.createServer((req, res) => {
+      const chunks = [];
+      req.on('data', (c) => chunks.push(c));
+      req.on('end', () => {
+        puts.push({ method: req.method, url: req.url, headers: req.headers, body: Buffer.concat(chunks) });
+        res.writeHead(200, { etag: '"abc"' });
+        res.end();
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    endpoint = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    delete process.env.S3_ACCESS_KEY_ID;
+    delete process.env.S3_SECRET_ACCESS_KEY;
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  it('puts the object path-style under the prefix', async () => {
+    const destinations = createDestinations([{ type: 's3', bucket: 'certs', endpoint, prefix: '/ibhs/' }]);
+    try {
+      const [record] = await storeToDestinations(destinations, pdf, { fileName: 'FH25016154-certificate.pdf' });
+
+      assert.equal(record.error, undefined);
+      assert.deepEqual(
+        { id: record.id, url: record.url, path: record.path },
+        {
+          id: 's3://certs/ibhs/FH25016154-certificate.pdf',
+          url: `${endpoint}/certs/ibhs/FH25016154-certificate.pdf`,
+          path: 'ibhs/FH25016154-certificate.pdf',
+        },
+      );
+
+      const put = puts.at(-1);
+      assert.equal(put.method, 'PUT');
+      assert.match(put.url, /^\/certs\/ibhs\/FH25016154-certificate\.pdf/);
+      assert.equal(put.headers['content-type'], 'application/pdf');
+      assert.match(put.headers.authorization, /^AWS4-HMAC-SHA256 Credential=minioadmin\//);
+    } finally {
+      await closeDestinations(destinations);
+    }
+  });
+});
+
+describe('folder templates', () => {
+  const meta = { state: 'AL', city: 'Gulf Shores', expirationDate: '2030-08-08', client: 'Acme/West' };
+
+  it('renders tokens into folder names', () => {
+    assert.deepEqual(renderPathTemplate('{state}/{city}/{year}', meta), ['AL', 'Gulf Shores', '2030']);
+    assert.deepEqual(renderPathTemplate('Clients/{client}', meta), ['Clients', 'Acme-West']);
+  });
+
+  it('uses Unknown for missing values and ignores empty segments', () => {
+    assert.deepEqual(renderPathTemplate('/{zip}//{approvedYear}', {}), ['Unknown', 'Unknown']);
+    assert.deepEqual(renderPathTemplate('', meta), []);
+  });
+});
+
+// In-memory stand-in for the parts of drive.files and drive.revisions the adapter uses
+function fakeDrive() {
+  const files = [];
+  const calls = [];
+  let nextId = 1;
+  const view = (f) => ({ ...f, webViewLink: `https://drive.test/${f.id}` });
+
+  const drive = {
+    files: {
+      async list({ q }) {
+        calls.push({ op: 'list', q });
+        let found = [];
+        const folder = q.match(/name = '(.+?)' and '(.+?)' in parents/);
+        const tagged = q.match(/key='fhNumber' and value='(.+?)'/);
+        const named = q.match(/name contains '(.+?)'/);
+        if (folder) found = files.filter((f) => f.name === folder[1] && f.parents.includes(folder[2]));
+        else if (tagged) found = files.filter((f) => f.appProperties?.fhNumber === tagged[1]);
+        else if (named) found = files.filter((f) => f.mimeType !== 'folder' && f.name.includes(named[1]));
+        return { data: { files: found.map(view) } };
+      },
+      async create({ requestBody }) {
+        const id = `f${nextId++}`;
+        const file = { id, ...requestBody, mimeType: requestBody.mimeType ? 'folder' : 'pdf', headRevisionId: `${id}-r1` };
+        files.push(file);
+        calls.push({ op: 'create', file });
+        return { data: view(file) };
+      },
+      async update({ fileId, requestBody, addParents, removeParents, keepRevisionForever }) {
+        const file = files.find((f) => f.id === fileId);
+        Object.assign(file, requestBody);
+        if (addParents) file.parents = [addParents];
+        file.headRevisionId = `${fileId}-r${Number(file.headRevisionId.split('-r')[1]) + 1}`;
+        calls.push({ op: 'update', fileId, removeParents, keepRevisionForever });
+        return { data: view(file) };
+      },
+    },
+    revisions: {
+      async update({ fileId, revisionId, requestBody }) {
+        calls.push({ op: 'updateRevision', fileId, revisionId, keepForever: requestBody.keepForever });
+        return { data: { id: revisionId, keepForever: requestBody.keepForever } };
+      },
+    },
+  };
+
+  return { drive, files, calls };
+}
+
+describe('googleDrive destination', () => {
+  const meta = { fhNumber: 'FH25016154', address: '520 Novatan Rd S, Mobile, AL 36608', state: 'AL', city: 'Mobile', expirationDate: '2030-08-08' };
+  const put = (adapter, m = meta) => adapter.put(pdf, { fileName: `${m.fhNumber} - Expires ${m.expirationDate}.pdf`, mimeType: 'application/pdf', meta: m });
+
+  it('creates template folders once and tags the file with appProperties', async () => {
+    const { drive, files } = fakeDrive();
+    const adapter = createGoogleDriveAdapter({ folderId: 'root', folderTemplate: '{state}/{city}/{year}' }, { drive });
+
+    const record = await put(adapter);
+    assert.equal(record.action, 'created');
+    assert.equal(record.path, 'AL/Mobile/2030/FH25016154 - Expires 2030-08-08.pdf');
+
+    await put(adapter, { ...meta, fhNumber: 'FH25000001' });
+    assert.equal(files.filter((f) => f.mimeType === 'folder').length, 3);
+
+    const pdfFile = files.find((f) => f.name.startsWith('FH25016154'));
+    assert.deepEqual(pdfFile.appProperties, { fhNumber: 'FH25016154', address: meta.address, expirationDate: '2030-08-08' });
+  });
+
+  it('skips an FH number that is already there with the same expiration', async () => {
+    const { drive, files } = fakeDrive();
+    const adapter = createGoogleDriveAdapter({ folderId: 'root', onExpirationChange: 'replace' }, { drive });
+
+    const first = await put(adapter);
+    const second = await put(adapter);
+    assert.equal(second.action, 'skipped');
+    assert.equal(second.id, first.id);
+    assert.equal(files.length, 1);
+  });
+
+  it('skip / replace / revision when the expiration changed', async () => {
+    const renewed = { ...meta, expirationDate: '2035-08-08' };
+
+    for (const [mode, action] of [['skip', 'skipped'], ['replace', 'replaced'], ['revision', 'revised']]) {
+      const { drive, files, calls } = fakeDrive();
+      const adapter = createGoogleDriveAdapter({ folderId: 'root', folderTemplate: '{year}', onExpirationChange: mode }, { drive });
+
+      await put(adapter);
+      const record = await put(adapter, renewed);
+      assert.equal(record.action, action, mode);
+
+      const pdfs = files.filter((f) => f.mimeType === 'pdf');
+      assert.equal(pdfs.length, 1, mode);
+      if (mode === 'skip') continue;
+
+      const update = calls.find((c) => c.op === 'update');
+      assert.equal(update.keepRevisionForever, mode === 'revision');
+      // The revision being replaced is pinned before the upload, or Drive may prune it
+      const pinned = calls.filter((c) => c.op === 'updateRevision');
+      assert.deepEqual(pinned, mode === 'revision'
+        ? [{ op: 'updateRevision', fileId: pdfs[0].id, revisionId: `${pdfs[0].id}-r1`, keepForever: true }]
+        : [], mode);
+      if (mode === 'revision') assert.ok(calls.indexOf(pinned[0]) < calls.indexOf(update), 'pinned before the upload');
+      assert.equal(pdfs[0].headRevisionId, `${pdfs[0].id}-r2`, mode);
+      assert.equal(pdfs[0].appProperties.expirationDate, '2035-08-08');
+      assert.equal(pdfs[0].parents[0], files.find((f) => f.name === '2035').id, 'moved into the new year folder');
+    }
+  });
+
+  it('finds files uploaded before appProperties by name', async () => {
+    const { drive, files } = fakeDrive();
+    files.push({ id: 'old', name: 'FH25016154 - Expires 2030-08-08.pdf', parents: ['root'], mimeType: 'pdf' });
+    const adapter = createGoogleDriveAdapter({ folderId: 'root' }, { drive });
+
+    const record = await put(adapter);
+    assert.equal(record.action, 'skipped');
+    assert.equal(record.id, 'old');
+  });
+
+  it('rejects an unknown onExpirationChange', () => {
+    assert.throws(() => createGoogleDriveAdapter({ onExpirationChange: 'merge' }), /onExpirationChange/);
+  });
+});
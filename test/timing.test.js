@@ -0,0 +1,37 @@
+// test/timing.test.js - wait timeouts and step timing aggregation
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_TIMEOUTS, resolveTimeouts } from '../src/waits.js';
+import { createLapTimer, summarizeTimings } from '../src/timing.js';
+
+describe('resolveTimeouts', () => {
+  it('keeps defaults and applies known positive overrides only', () => {
+    const t = resolveTimeouts({ dropdown: '20000', download: 0, bogus: 5 });
+    assert.equal(t.dropdown, 20000);
+    assert.equal(t.download, DEFAULT_TIMEOUTS.download);
+    assert.equal('bogus' in t, false);
+  });
+
+  it('accepts a missing input', () => {
+    assert.deepEqual(resolveTimeouts(undefined), DEFAULT_TIMEOUTS);
+  });
+});
+
+describe('timings', () => {
+  it('accumulates repeated laps', () => {
+    const lap = createLapTimer();
+    lap('search');
+    lap('search');
+    lap('dialog');
+    assert.deepEqual(Object.keys(lap.timings), ['search', 'dialog']);
+    assert.ok(lap.total() >= 0);
+  });
+
+  it('summarizes steps across results', () => {
+    const results = [10, 20, 30, 40].map((ms) => ({ timings: { dialog: ms, search: 5 } }));
+    results.push({ timings: null });
+    const summary = summarizeTimings(results);
+    assert.deepEqual(summary.dialog, { count: 4, avgMs: 25, p95Ms: 40, maxMs: 40 });
+    assert.equal(summary.search.count, 4);
+  });
+});
@@ -0,0 +1,71 @@
+// test/verify.test.js - reading certificate PDFs back and checking them against the lookup
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCertificateText, verifyCertificatePdf } from '../src/verify.js';
+import { makeCertificatePdf, makeTextPdf } from './helpers/pdf.js';
+
+const EXPECTED = {
+  fhNumber: 'FH25016154',
+  buildingAddress: '520 Novatan Rd S, Mobile, AL 36608',
+  expirationDate: '01/05/2030',
+  searchAddress: '520 Novatan Rd S, Mobile, AL 36608',
+};
+
+const certificate = (fields = {}) => makeCertificatePdf({ ...EXPECTED, ...fields });
+
+describe('parseCertificateText', () => {
+  it('reads the FH number, labelled address and expiration date', () => {
+    assert.deepEqual(parseCertificateText('FORTIFIED Home Certificate\nFEH-24009876\nProperty Address: 513 Malaga Dr, Gulf Shores, AL 36542\nExpiration Date: 03/01/2029'), {
+      fhNumber: 'FEH24009876',
+      address: '513 Malaga Dr, Gulf Shores, AL 36542',
+      expirationDate: '03/01/2029',
+    });
+    assert.deepEqual(parseCertificateText(''), { fhNumber: null, address: null, expirationDate: null });
+  });
+});
+
+describe('verifyCertificatePdf', () => {
+  it('verifies the certificate that was looked up', async () => {
+    const { verified, mismatches, pdf } = await verifyCertificatePdf(certificate(), EXPECTED);
+    assert.deepEqual(mismatches, []);
+    assert.equal(verified, true);
+    assert.equal(pdf.fhNumber, 'FH25016154');
+  });
+
+  it('flags another FH number', async () => {
+    const { verified, mismatches } = await verifyCertificatePdf(certificate({ fhNumber: 'FH99999999' }), EXPECTED);
+    assert.equal(verified, false);
+    assert.deepEqual(mismatches, ['FH number FH99999999 does not match popup FH25016154']);
+  });
+
+  it('flags another address against both the searched and the popup address', async () => {
+    const { verified, mismatches } = await verifyCertificatePdf(certificate({ buildingAddress: '1 Elsewhere Rd, Birmingham, AL 35203' }), EXPECTED);
+    assert.equal(verified, false);
+    assert.equal(mismatches.length, 2);
+    assert.match(mismatches[0], /^PDF address "1 Elsewhere Rd, Birmingham, AL 35203" does not match searched address "520 Novatan Rd S, Mobile, AL 36608" \(score [\d.]+\)$/);
+    assert.match(mismatches[1], /does not match popup address/);
+  });
+
+  it('only checks the addresses it was given', async () => {
+    const other = certificate({ buildingAddress: '1 Elsewhere Rd, Birmingham, AL 35203' });
+    const { mismatches } = await verifyCertificatePdf(other, { ...EXPECTED, searchAddress: null });
+    assert.deepEqual(mismatches.map((m) => m.match(/does not match (\w+ address)/)[1]), ['popup address']);
+  });
+
+  it('flags another expiration date, in any date format', async () => {
+    assert.equal((await verifyCertificatePdf(certificate({ expirationDate: 'January 5, 2030' }), EXPECTED)).verified, true);
+    const { mismatches } = await verifyCertificatePdf(certificate({ expirationDate: '01/05/2031' }), EXPECTED);
+    assert.deepEqual(mismatches, ['Expiration 01/05/2031 does not match popup 01/05/2030']);
+  });
+
+  it('fails a PDF without the fields', async () => {
+    const { verified, unverifiable, mismatches } = await verifyCertificatePdf(makeTextPdf(['FORTIFIED Home Certificate']), EXPECTED);
+    assert.deepEqual([verified, unverifiable], [false, false]);
+    assert.deepEqual(mismatches, ['FH number not found in PDF', 'Property address not found in PDF']);
+  });
+
+  it('calls a PDF without any text unverifiable rather than failed', async () => {
+    const { verified, unverifiable, mismatches } = await verifyCertificatePdf(makeTextPdf([]), EXPECTED);
+    assert.deepEqual([verified, unverifiable, mismatches], [false, true, []]);
+  });
+});
@@ -0,0 +1,84 @@
+// test/webhook.test.js - webhook delivery, signing and retries
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { createWebhookNotifier, signPayload } from '../src/webhook.js';
+
+describe('webhook notifier', () => {
+  let server;
+  let url;
+  let received = [];
+  let replies = [];
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (c) => { body += c; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.writeHead(replies.shift() ?? 200);
+        res.end();
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/hook`;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  const reset = (codes = []) => {
+    received = [];
+    replies = [...codes];
+  };
+
+  it('is a no-op without a URL', async () => {
+    assert.equal(await createWebhookNotifier({})('result', {}), null);
+  });
+
+  it('posts the event with a verifiable signature', async () => {
+    reset();
+    const notify = createWebhookNotifier({ url, secret: 's3cret' });
+    const delivery = await notify('result', { address: '520 Novatan Rd S', status: 'completed' });
+
+    assert.equal(delivery.delivered, true);
+    assert.equal(delivery.attempts, 1);
+
+    const [{ headers, body }] = received;
+    assert.equal(headers['x-ibhs-event'], 'result');
+    assert.equal(headers['x-ibhs-signature'], signPayload('s3cret', headers['x-ibhs-timestamp'], body));
+    assert.deepEqual(JSON.parse(body).data, { address: '520 Novatan Rd S', status: 'completed' });
+  });
+
+  it('leaves the signature off without a secret', async () => {
+    reset();
+    await createWebhookNotifier({ url })('run.finished', {});
+    assert.equal(received[0].headers['x-ibhs-signature'], undefined);
+  });
+
+  it('retries 5xx with backoff and reuses the delivery id', async () => {
+    reset([503, 500]);
+    const delivery = await createWebhookNotifier({ url, backoffMs: 10 })('result', {});
+
+    assert.equal(delivery.delivered, true);
+    assert.equal(delivery.attempts, 3);
+    assert.equal(new Set(received.map((r) => r.headers['x-ibhs-delivery'])).size, 1);
+  });
+
+  it('gives up after maxRetries and does not retry other 4xx', async () => {
+    reset([500, 500, 500]);
+    const failed = await createWebhookNotifier({ url, backoffMs: 10, maxRetries: 2 })('result', {});
+    assert.deepEqual({ delivered: failed.delivered, attempts: failed.attempts, statusCode: failed.statusCode }, { delivered: false, attempts: 3, statusCode: 500 });
+
+    reset([404]);
+    const rejected = await createWebhookNotifier({ url, backoffMs: 10 })('result', {});
+    assert.equal(rejected.attempts, 1);
+    assert.equal(rejected.error, 'HTTP 404');
+  });
+
+  it('reports unreachable endpoints without throwing', async () => {
+    const delivery = await createWebhookNotifier({ url: 'http://127.0.0.1:9/hook', backoffMs: 10, maxRetries: 1 })('result', {});
+    assert.equal(delivery.delivered, false);
+    assert.equal(delivery.attempts, 2);
+    assert.ok(delivery.error);
+  });
+});